@@ -39,6 +39,46 @@ class BlockListManager: ObservableObject {
     @Published var frozenState: FrozenState? {
         didSet { saveState() }
     }
+    /// Path-scoped entries only the browser extensions enforce
+    @Published var blockEntries: [JSONValue] = [] {
+        didSet { saveState() }
+    }
+    /// Keywords blocked in URLs and search queries
+    @Published var blockedKeywords: [String] = [] {
+        didSet { saveState() }
+    }
+    /// YouTube and subreddit exceptions inside blocked sites
+    @Published var contentExceptions: [ContentException] = [] {
+        didSet { saveState() }
+    }
+    /// When budgets reset; nil keeps the extensions' default
+    @Published var budgetReset: BudgetReset? {
+        didSet { saveState() }
+    }
+    /// Whether sessions mark links to blocked sites on pages
+    @Published var linkGuard: Bool = true {
+        didSet { saveState() }
+    }
+    /// Feed eraser packs and selectors for sites kept open during sessions
+    @Published var feedErasers: [JSONValue] = [] {
+        didSet { saveState() }
+    }
+    /// Keywords looked for in page titles and text
+    @Published var pageKeywords: [String] = [] {
+        didSet { saveState() }
+    }
+    /// SafeSearch level enforced during sessions ("strict" or "moderate")
+    @Published var safeSearch: String? {
+        didSet { saveState() }
+    }
+    /// Extra DNS-over-HTTPS endpoints blocked during sessions
+    @Published var dohEndpoints: [String] = [] {
+        didSet { saveState() }
+    }
+    /// What locked sessions do about extensions that could undo them
+    @Published var extensionGuard: ExtensionGuard? {
+        didSet { saveState() }
+    }
     @Published var stats = BlockStats()
 
     private let userDefaults = UserDefaults.standard
@@ -50,6 +90,16 @@ class BlockListManager: ObservableObject {
     private let appExceptionsKey = "appExceptions"
     private let internetBlockKey = "internetBlockConfig"
     private let frozenStateKey = "frozenState"
+    private let blockEntriesKey = "blockEntries"
+    private let blockedKeywordsKey = "blockedKeywords"
+    private let contentExceptionsKey = "contentExceptions"
+    private let budgetResetKey = "budgetReset"
+    private let linkGuardKey = "linkGuard"
+    private let feedErasersKey = "feedErasers"
+    private let pageKeywordsKey = "pageKeywords"
+    private let safeSearchKey = "safeSearch"
+    private let dohEndpointsKey = "dohEndpoints"
+    private let extensionGuardKey = "extensionGuard"
     private let sharedBlockedDomainsKey = "blockedDomains"
     private let sharedIsBlockingKey = "isBlocking"
     private let sharedUrlExceptionsKey = "urlExceptions"
@@ -113,6 +163,13 @@ class BlockListManager: ObservableObject {
         blockedItems.append(app)
     }
 
+    func addBlockEntry(_ entry: BlockEntry) {
+        // Check for duplicates
+        guard !blockEntries.contains(entry.json) else { return }
+
+        blockEntries.append(entry.json)
+    }
+
     func getWebsites() -> [BlockItem] {
         blockedItems.filter { $0.type == .website }
     }
@@ -168,6 +225,44 @@ class BlockListManager: ObservableObject {
             userDefaults.set(encoded, forKey: frozenStateKey)
         }
 
+        if let encoded = try? JSONEncoder().encode(blockEntries) {
+            userDefaults.set(encoded, forKey: blockEntriesKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(blockedKeywords) {
+            userDefaults.set(encoded, forKey: blockedKeywordsKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(contentExceptions) {
+            userDefaults.set(encoded, forKey: contentExceptionsKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(budgetReset) {
+            userDefaults.set(encoded, forKey: budgetResetKey)
+        }
+
+        userDefaults.set(linkGuard, forKey: linkGuardKey)
+
+        if let encoded = try? JSONEncoder().encode(feedErasers) {
+            userDefaults.set(encoded, forKey: feedErasersKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(pageKeywords) {
+            userDefaults.set(encoded, forKey: pageKeywordsKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(safeSearch) {
+            userDefaults.set(encoded, forKey: safeSearchKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(dohEndpoints) {
+            userDefaults.set(encoded, forKey: dohEndpointsKey)
+        }
+
+        if let encoded = try? JSONEncoder().encode(extensionGuard) {
+            userDefaults.set(encoded, forKey: extensionGuardKey)
+        }
+
         writeDaemonConfig()
     }
 
@@ -198,6 +293,7 @@ class BlockListManager: ObservableObject {
         var sharedLockState: SharedLockState?
         var timerExpiry: Date?
         var frozenStateToSend: FrozenState? = frozenState
+        var frozenAllowedDomains: [String] = []
 
         if lock.isLocked {
             sharedLockState = SharedLockState(
@@ -205,7 +301,8 @@ class BlockListManager: ObservableObject {
                 lockType: lock.type.rawValue,
                 expiresAt: lock.unlockAt,
                 randomText: lock.randomText,
-                requireRestart: lock.type == .restart
+                requireRestart: lock.type == .restart,
+                scheduleWindows: lock.type == .schedule ? scheduleWindows() : nil
             )
             if lock.type == .timer {
                 timerExpiry = lock.unlockAt
@@ -220,6 +317,9 @@ class BlockListManager: ObservableObject {
                         expiresAt: lock.unlockAt,
                         allowedAppBundleIDs: lock.frozenAllowedApps ?? []
                     )
+                    if mode == .limitedAccess {
+                        frozenAllowedDomains = lock.frozenAllowedDomains ?? []
+                    }
                 }
             }
         }
@@ -233,9 +333,20 @@ class BlockListManager: ObservableObject {
             appExceptions: appExceptions,
             internetBlockConfig: internetBlockConfig,
             frozenState: frozenStateToSend,
+            frozenAllowedDomains: frozenAllowedDomains,
             lockState: sharedLockState,
             timerLockExpiry: timerExpiry,
-            requireBrowserExtension: requireBrowserExtension
+            requireBrowserExtension: requireBrowserExtension,
+            blockEntries: blockEntries,
+            blockedKeywords: blockedKeywords,
+            contentExceptions: contentExceptions,
+            budgetReset: budgetReset,
+            linkGuard: linkGuard,
+            feedErasers: feedErasers,
+            pageKeywords: pageKeywords,
+            safeSearch: safeSearch,
+            dohEndpoints: dohEndpoints,
+            extensionGuard: extensionGuard
         )
 
         do {
@@ -243,6 +354,7 @@ class BlockListManager: ObservableObject {
             encoder.dateEncodingStrategy = .iso8601
             encoder.outputFormatting = .prettyPrinted
             let data = try encoder.encode(config)
+            writeSafariConfig(data)
             try data.write(to: URL(fileURLWithPath: configPath), options: .atomic)
         } catch {
             // Silently fail if directory isn't writable yet (before daemon setup completes).
@@ -252,6 +364,33 @@ class BlockListManager: ObservableObject {
         writeSharedExtensionState(domains: enabledDomains, isBlocking: isBlocking, urlExceptions: urlExceptions)
     }
 
+    /// The Safari extension is sandboxed to the app group, so it reads its
+    /// own copy of config.json from the group container
+    private func writeSafariConfig(_ data: Data) {
+        guard let container = FileManager.default.containerURL(
+            forSecurityApplicationGroupIdentifier: SharedConstants.appGroupIdentifier
+        ) else { return }
+
+        do {
+            try data.write(to: container.appendingPathComponent("config.json"), options: .atomic)
+        } catch {
+            print("⚠️ writeSafariConfig failed: \(error.localizedDescription)")
+        }
+    }
+
+    /// Enabled schedules as the windows the browser extensions enforce offline
+    private func scheduleWindows() -> [ScheduleWindow] {
+        ScheduleLockController.shared.schedules
+            .filter { $0.isEnabled }
+            .map { rule in
+                ScheduleWindow(
+                    days: rule.days.map { $0.calendarValue }.sorted(),
+                    startMinutes: (rule.startTime.hour ?? 0) * 60 + (rule.startTime.minute ?? 0),
+                    endMinutes: (rule.endTime.hour ?? 0) * 60 + (rule.endTime.minute ?? 0)
+                )
+            }
+    }
+
     private func writeSharedExtensionState(domains: [String], isBlocking: Bool, urlExceptions: [URLException]) {
         guard let sharedDefaults = UserDefaults(suiteName: SharedConstants.appGroupIdentifier) else {
             return
@@ -300,6 +439,53 @@ class BlockListManager: ObservableObject {
            let decoded = try? JSONDecoder().decode(FrozenState.self, from: data) {
             frozenState = decoded
         }
+
+        if let data = userDefaults.data(forKey: blockEntriesKey),
+           let decoded = try? JSONDecoder().decode([JSONValue].self, from: data) {
+            blockEntries = decoded
+        }
+
+        if let data = userDefaults.data(forKey: blockedKeywordsKey),
+           let decoded = try? JSONDecoder().decode([String].self, from: data) {
+            blockedKeywords = decoded
+        }
+
+        if let data = userDefaults.data(forKey: contentExceptionsKey),
+           let decoded = try? JSONDecoder().decode([ContentException].self, from: data) {
+            contentExceptions = decoded
+        }
+
+        if let data = userDefaults.data(forKey: budgetResetKey),
+           let decoded = try? JSONDecoder().decode(BudgetReset.self, from: data) {
+            budgetReset = decoded
+        }
+
+        linkGuard = userDefaults.object(forKey: linkGuardKey) as? Bool ?? true
+
+        if let data = userDefaults.data(forKey: feedErasersKey),
+           let decoded = try? JSONDecoder().decode([JSONValue].self, from: data) {
+            feedErasers = decoded
+        }
+
+        if let data = userDefaults.data(forKey: pageKeywordsKey),
+           let decoded = try? JSONDecoder().decode([String].self, from: data) {
+            pageKeywords = decoded
+        }
+
+        if let data = userDefaults.data(forKey: safeSearchKey),
+           let decoded = try? JSONDecoder().decode(String.self, from: data) {
+            safeSearch = decoded
+        }
+
+        if let data = userDefaults.data(forKey: dohEndpointsKey),
+           let decoded = try? JSONDecoder().decode([String].self, from: data) {
+            dohEndpoints = decoded
+        }
+
+        if let data = userDefaults.data(forKey: extensionGuardKey),
+           let decoded = try? JSONDecoder().decode(ExtensionGuard.self, from: data) {
+            extensionGuard = decoded
+        }
     }
 
     func effectiveWhitelistAppsForEnforcement() -> [String] {
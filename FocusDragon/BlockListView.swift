@@ -15,6 +15,8 @@ struct BlockListView: View {
     @State private var newDomain = ""
     @State private var showingAppPicker = false
     @State private var showingPresets = false
+    @State private var showingEntryEditor = false
+    @State private var editingEntryIndex: Int?
 
     var body: some View {
         VStack(spacing: 16) {
@@ -31,10 +33,11 @@ struct BlockListView: View {
 
                 Picker("Type", selection: $selectedTab) {
                     Text("Websites").tag(0)
-                    Text("Applications").tag(1)
+                    Text("Pages").tag(1)
+                    Text("Applications").tag(2)
                 }
                 .pickerStyle(.segmented)
-                .frame(width: 220)
+                .frame(width: 300)
 
                 Button {
                     showingPresets = true
@@ -46,9 +49,15 @@ struct BlockListView: View {
 
             if selectedTab == 0 {
                 websitesView
+            } else if selectedTab == 1 {
+                pagesView
             } else {
                 applicationsView
             }
+
+            if selectedTab != 2 {
+                EntryProblemsView()
+            }
         }
         .sheet(isPresented: $showingPresets) {
             PresetsView(manager: manager)
@@ -91,6 +100,99 @@ struct BlockListView: View {
         }
     }
 
+    private var pagesView: some View {
+        VStack(spacing: 12) {
+            HStack {
+                Text("Block part of a site, like youtube.com/shorts. Only the browser extensions enforce these.")
+                    .font(AppTheme.bodyFont(11))
+                    .foregroundColor(.secondary)
+
+                Spacer()
+
+                Button {
+                    editingEntryIndex = nil
+                    showingEntryEditor = true
+                } label: {
+                    Label("Add Page", systemImage: "plus.circle")
+                }
+                .buttonStyle(PrimaryGlowButtonStyle())
+            }
+
+            List {
+                ForEach(Array(manager.blockEntries.enumerated()), id: \.offset) { index, value in
+                    HStack {
+                        Image(systemName: "doc.text")
+                            .foregroundColor(AppTheme.electricBlue)
+
+                        if let entry = BlockEntry(value) {
+                            VStack(alignment: .leading, spacing: 2) {
+                                Text(entry.displayName)
+                                let details = entryDetails(entry)
+                                if !details.isEmpty {
+                                    Text(details)
+                                        .font(AppTheme.bodyFont(11))
+                                        .foregroundColor(.secondary)
+                                }
+                            }
+
+                            Spacer()
+
+                            Button("Edit") {
+                                editingEntryIndex = index
+                                showingEntryEditor = true
+                            }
+                            .buttonStyle(SecondaryButtonStyle())
+                            .controlSize(.small)
+                        } else {
+                            Text("Unreadable entry")
+                                .foregroundColor(.secondary)
+                            Spacer()
+                        }
+                    }
+                    .padding(.vertical, 6)
+                    .listRowBackground(Color.clear)
+                }
+                .onDelete { offsets in
+                    manager.blockEntries.remove(atOffsets: offsets)
+                }
+            }
+            .listStyle(.plain)
+            .scrollContentBackground(.hidden)
+        }
+        .sheet(isPresented: $showingEntryEditor) {
+            BlockEntryEditor(
+                entry: editingEntryIndex.flatMap { BlockEntry(manager.blockEntries[$0]) },
+                onSave: saveEntry
+            )
+        }
+    }
+
+    /// What an entry does beyond blocking its pages, for its list row
+    private func entryDetails(_ entry: BlockEntry) -> String {
+        var details: [String] = []
+        if entry.hostOnly { details.append("This host only") }
+        if entry.blockEmbedded { details.append("Embedded too") }
+        if entry.enforcement == "friction" { details.append("Wait page") }
+        if !entry.redirectTo.isEmpty { details.append("Sends to \(entry.redirectTo)") }
+        if entry.enforcement == "intent" { details.append("Asks why, \(entry.passMinutes ?? 15) min") }
+        if !entry.schedule.isEmpty {
+            details.append(entry.schedule.count == 1 ? "On a schedule" : "\(entry.schedule.count) time windows")
+        }
+        if let budget = entry.budget {
+            let limits = [budget.minutes.map { "\($0) min" }, budget.visits.map { "\($0) visits" }].compactMap { $0 }
+            details.append("\(limits.joined(separator: " or ")) \(budget.period == "weekly" ? "a week" : "a day")")
+        }
+        return details.joined(separator: " · ")
+    }
+
+    private func saveEntry(_ entry: BlockEntry) {
+        if let index = editingEntryIndex, manager.blockEntries.indices.contains(index) {
+            manager.blockEntries[index] = entry.json
+        } else {
+            manager.addBlockEntry(entry)
+        }
+    }
+
     private var applicationsView: some View {
         VStack(spacing: 12) {
             HStack {
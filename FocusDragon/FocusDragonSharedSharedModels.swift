@@ -62,6 +62,19 @@ public struct URLException: Codable, Equatable, Hashable, Identifiable, Sendable
     }
 }
 
+/// A YouTube channel, playlist or video, or a subreddit, let through while
+/// the rest of its site stays blocked. `type` is "youtubeChannel",
+/// "youtubePlaylist", "youtubeVideo" or "subreddit".
+public struct ContentException: Codable, Equatable, Hashable, Sendable {
+    public var type: String
+    public var value: String
+
+    public init(type: String, value: String) {
+        self.type = type
+        self.value = value
+    }
+}
+
 public struct ExceptionSchedule: Codable, Equatable, Hashable, Sendable {
     /// 1-7 for Sunday-Saturday (Calendar.current weekday values)
     public var days: Set<Int>
@@ -194,6 +207,48 @@ public struct InternetBlockConfig: Codable, Equatable, Sendable {
     }
 }
 
+// MARK: - Config Values
+
+/// Any JSON value, for config entries the app writes for the browser
+/// extensions without reading them itself
+public enum JSONValue: Codable, Equatable, Hashable, Sendable {
+    case string(String)
+    case number(Double)
+    case bool(Bool)
+    case array([JSONValue])
+    case object([String: JSONValue])
+    case null
+
+    public init(from decoder: Decoder) throws {
+        let container = try decoder.singleValueContainer()
+        if container.decodeNil() {
+            self = .null
+        } else if let value = try? container.decode(Bool.self) {
+            self = .bool(value)
+        } else if let value = try? container.decode(Double.self) {
+            self = .number(value)
+        } else if let value = try? container.decode(String.self) {
+            self = .string(value)
+        } else if let value = try? container.decode([JSONValue].self) {
+            self = .array(value)
+        } else {
+            self = .object(try container.decode([String: JSONValue].self))
+        }
+    }
+
+    public func encode(to encoder: Encoder) throws {
+        var container = encoder.singleValueContainer()
+        switch self {
+        case .string(let value): try container.encode(value)
+        case .number(let value): try container.encode(value)
+        case .bool(let value): try container.encode(value)
+        case .array(let value): try container.encode(value)
+        case .object(let value): try container.encode(value)
+        case .null: try container.encodeNil()
+        }
+    }
+}
+
 // MARK: - Daemon Configuration
 
 /// Configuration structure shared between app and daemon
@@ -207,9 +262,40 @@ public struct DaemonConfig: Codable, Equatable, Sendable {
     public var appExceptions: [AppException]
     public var internetBlockConfig: InternetBlockConfig?
     public var frozenState: FrozenState?
+    /// The only sites the browser extensions open during a Frozen
+    /// limited-access lock; empty leaves browsing as it is
+    public var frozenAllowedDomains: [String]
     public var lockState: SharedLockState?
     public var timerLockExpiry: Date?
     public var requireBrowserExtension: Bool
+    /// Path-scoped block entries for the browser extensions: `{ "domain", "path",
+    /// "scope", ... }` objects (see the native host). The hosts file only takes
+    /// `blockedDomains`.
+    public var blockEntries: [JSONValue]
+    /// Keywords whose URLs and searches the browser extensions block
+    public var blockedKeywords: [String]
+    /// Channels, playlists, videos and subreddits the browser extensions let through
+    public var contentExceptions: [ContentException]
+    /// When the browser extensions reset time and visit budgets; midnight and
+    /// Monday when left out
+    public var budgetReset: BudgetReset?
+    /// Whether the browser extensions mark links to blocked sites on pages
+    public var linkGuard: Bool
+    /// Feed erasers for sites kept open: pack names ("youtube") or
+    /// `{ "pack", "selectors" }` / `{ "domain", "selectors" }` objects
+    public var feedErasers: [JSONValue]
+    /// Keywords the browser extensions look for in page titles and text; empty
+    /// turns the page check off
+    public var pageKeywords: [String]
+    /// SafeSearch level the browser extensions enforce on search engines during
+    /// sessions: "strict" or "moderate"; nil leaves searches alone
+    public var safeSearch: String?
+    /// DNS-over-HTTPS endpoints the browser extensions block on top of the ones
+    /// they ship with, as "host" or "host/path"
+    public var dohEndpoints: [String]
+    /// What the browser extensions do about proxy, VPN and unblocker extensions
+    /// during locked sessions; nil warns about them
+    public var extensionGuard: ExtensionGuard?
 
     public var isLocked: Bool {
         guard let lockState = lockState else { return false }
@@ -239,8 +325,19 @@ public struct DaemonConfig: Codable, Equatable, Sendable {
                 appExceptions: [AppException] = [],
                 internetBlockConfig: InternetBlockConfig? = nil,
                 frozenState: FrozenState? = nil,
+                frozenAllowedDomains: [String] = [],
                 lockState: SharedLockState? = nil,
-                timerLockExpiry: Date? = nil, requireBrowserExtension: Bool = true) {
+                timerLockExpiry: Date? = nil, requireBrowserExtension: Bool = true,
+                blockEntries: [JSONValue] = [],
+                blockedKeywords: [String] = [],
+                contentExceptions: [ContentException] = [],
+                budgetReset: BudgetReset? = nil,
+                linkGuard: Bool = true,
+                feedErasers: [JSONValue] = [],
+                pageKeywords: [String] = [],
+                safeSearch: String? = nil,
+                dohEndpoints: [String] = [],
+                extensionGuard: ExtensionGuard? = nil) {
         self.version = version
         self.isBlocking = isBlocking
         self.lastModified = lastModified
@@ -250,9 +347,20 @@ public struct DaemonConfig: Codable, Equatable, Sendable {
         self.appExceptions = appExceptions
         self.internetBlockConfig = internetBlockConfig
         self.frozenState = frozenState
+        self.frozenAllowedDomains = frozenAllowedDomains
         self.lockState = lockState
         self.timerLockExpiry = timerLockExpiry
         self.requireBrowserExtension = requireBrowserExtension
+        self.blockEntries = blockEntries
+        self.blockedKeywords = blockedKeywords
+        self.contentExceptions = contentExceptions
+        self.budgetReset = budgetReset
+        self.linkGuard = linkGuard
+        self.feedErasers = feedErasers
+        self.pageKeywords = pageKeywords
+        self.safeSearch = safeSearch
+        self.dohEndpoints = dohEndpoints
+        self.extensionGuard = extensionGuard
     }
 
     private enum CodingKeys: String, CodingKey {
@@ -265,9 +373,20 @@ public struct DaemonConfig: Codable, Equatable, Sendable {
         case appExceptions
         case internetBlockConfig
         case frozenState
+        case frozenAllowedDomains
         case lockState
         case timerLockExpiry
         case requireBrowserExtension
+        case blockEntries
+        case blockedKeywords
+        case contentExceptions
+        case budgetReset
+        case linkGuard
+        case feedErasers
+        case pageKeywords
+        case safeSearch
+        case dohEndpoints
+        case extensionGuard
     }
 
     public init(from decoder: Decoder) throws {
@@ -281,9 +400,20 @@ public struct DaemonConfig: Codable, Equatable, Sendable {
         appExceptions = try container.decodeIfPresent([AppException].self, forKey: .appExceptions) ?? []
         internetBlockConfig = try container.decodeIfPresent(InternetBlockConfig.self, forKey: .internetBlockConfig)
         frozenState = try container.decodeIfPresent(FrozenState.self, forKey: .frozenState)
+        frozenAllowedDomains = try container.decodeIfPresent([String].self, forKey: .frozenAllowedDomains) ?? []
         lockState = try container.decodeIfPresent(SharedLockState.self, forKey: .lockState)
         timerLockExpiry = try container.decodeIfPresent(Date.self, forKey: .timerLockExpiry)
         requireBrowserExtension = try container.decodeIfPresent(Bool.self, forKey: .requireBrowserExtension) ?? true
+        blockEntries = try container.decodeIfPresent([JSONValue].self, forKey: .blockEntries) ?? []
+        blockedKeywords = try container.decodeIfPresent([String].self, forKey: .blockedKeywords) ?? []
+        contentExceptions = try container.decodeIfPresent([ContentException].self, forKey: .contentExceptions) ?? []
+        budgetReset = try container.decodeIfPresent(BudgetReset.self, forKey: .budgetReset)
+        linkGuard = try container.decodeIfPresent(Bool.self, forKey: .linkGuard) ?? true
+        feedErasers = try container.decodeIfPresent([JSONValue].self, forKey: .feedErasers) ?? []
+        pageKeywords = try container.decodeIfPresent([String].self, forKey: .pageKeywords) ?? []
+        safeSearch = try container.decodeIfPresent(String.self, forKey: .safeSearch)
+        dohEndpoints = try container.decodeIfPresent([String].self, forKey: .dohEndpoints) ?? []
+        extensionGuard = try container.decodeIfPresent(ExtensionGuard.self, forKey: .extensionGuard)
     }
 }
 
@@ -294,13 +424,53 @@ public struct SharedLockState: Codable, Equatable, Sendable {
     public var expiresAt: Date?
     public var randomText: String?
     public var requireRestart: Bool
+    /// Weekly windows a schedule lock blocks in, so the browser extensions
+    /// can keep following the schedule while the app can't be reached.
+    public var scheduleWindows: [ScheduleWindow]?
 
     public init(isLocked: Bool, lockType: String, expiresAt: Date? = nil,
-                randomText: String? = nil, requireRestart: Bool = false) {
+                randomText: String? = nil, requireRestart: Bool = false,
+                scheduleWindows: [ScheduleWindow]? = nil) {
         self.isLocked = isLocked
         self.lockType = lockType
         self.expiresAt = expiresAt
         self.randomText = randomText
         self.requireRestart = requireRestart
+        self.scheduleWindows = scheduleWindows
+    }
+}
+
+/// One weekly schedule window, in local time
+public struct ScheduleWindow: Codable, Equatable, Sendable {
+    public var days: [Int]          // Calendar weekdays, 1 = Sunday
+    public var startMinutes: Int    // minutes after midnight
+    public var endMinutes: Int      // before startMinutes when crossing midnight
+
+    public init(days: [Int], startMinutes: Int, endMinutes: Int) {
+        self.days = days
+        self.startMinutes = startMinutes
+        self.endMinutes = endMinutes
+    }
+}
+
+/// When time and visit budgets start over, in local time
+public struct BudgetReset: Codable, Equatable, Sendable {
+    public var minutes: Int     // minutes after midnight
+    public var weekday: Int     // weekly budgets, Calendar weekday, 1 = Sunday
+
+    public init(minutes: Int = 0, weekday: Int = 2) {
+        self.minutes = minutes
+        self.weekday = weekday
+    }
+}
+
+/// What the browser extensions do about extensions that could undo a locked session
+public struct ExtensionGuard: Codable, Equatable, Sendable {
+    public var action: String       // "warn", "disable" or "off"
+    public var trusted: [String]    // extension ids left alone
+
+    public init(action: String = "warn", trusted: [String] = []) {
+        self.action = action
+        self.trusted = trusted
     }
 }
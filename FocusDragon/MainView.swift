@@ -217,6 +217,7 @@ struct MainView: View {
             GroupBox {
                 BrowserExtensionStatusView()
             }
+            ExtensionProblemsView()
         }
     }
 
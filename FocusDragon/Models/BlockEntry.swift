@@ -0,0 +1,126 @@
+//
+//  BlockEntry.swift
+//  FocusDragon
+//
+
+import Foundation
+
+/// One of the `blockEntries` objects the browser extensions enforce (see
+/// url-patterns.js in FocusDragonExtension-Shared). The JSON object is
+/// edited in place, so keys the app has no control for survive an edit.
+struct BlockEntry: Equatable {
+    var fields: [String: JSONValue]
+
+    init(domain: String, path: String = "", hostOnly: Bool = false) {
+        fields = [:]
+        self.domain = domain
+        self.path = path
+        self.hostOnly = hostOnly
+    }
+
+    /// nil for anything but a JSON object
+    init?(_ value: JSONValue) {
+        guard case .object(let fields) = value else { return nil }
+        self.fields = fields
+    }
+
+    var json: JSONValue { .object(fields) }
+
+    var domain: String {
+        get { string("domain") ?? "" }
+        set { setString("domain", newValue) }
+    }
+
+    /// Path prefix, "/shorts"; empty blocks the whole site
+    var path: String {
+        get { string("path") ?? "" }
+        set { setString("path", newValue) }
+    }
+
+    /// Whether only the exact host is blocked, not its subdomains
+    var hostOnly: Bool {
+        get { string("scope") == "host" }
+        set { fields["scope"] = newValue ? .string("host") : nil }
+    }
+
+    /// Whether the site is also blocked in frames on other pages and in its
+    /// background requests
+    var blockEmbedded: Bool {
+        get { fields["blockEmbedded"] == .bool(true) }
+        set { fields["blockEmbedded"] = newValue ? .bool(true) : nil }
+    }
+
+    /// Weekly windows the entry is only in force in; empty blocks all the time
+    var schedule: [ScheduleWindow] {
+        get { decoded("schedule") ?? [] }
+        set { setEncoded("schedule", newValue.isEmpty ? nil : newValue) }
+    }
+
+    /// Time or visits allowed before the entry is enforced; nil blocks right away
+    var budget: EntryBudget? {
+        get { decoded("budget") }
+        set { setEncoded("budget", newValue) }
+    }
+
+    /// "hard" (the blocked page, the default), "friction" (a wait page
+    /// that lets the page through after a countdown) or "intent" (a reason
+    /// page that opens the site for `passMinutes`)
+    var enforcement: String {
+        get { string("enforcement") ?? "hard" }
+        set { setString("enforcement", newValue == "hard" ? "" : newValue) }
+    }
+
+    /// How long a reason opens an intent entry; nil keeps the extensions' 15
+    var passMinutes: Int? {
+        get { decoded("passMinutes") }
+        set { setEncoded("passMinutes", newValue) }
+    }
+
+    /// An http(s) page opened instead of the blocked page; hard entries only
+    var redirectTo: String {
+        get { string("redirectTo") ?? "" }
+        set { setString("redirectTo", newValue) }
+    }
+
+    /// Set for `{ "pattern" }` entries written in the pattern language
+    /// instead of as a domain and path
+    var pattern: String? {
+        get { string("pattern") }
+        set { setString("pattern", newValue ?? "") }
+    }
+
+    var displayName: String {
+        if let pattern { return pattern }
+        return (hostOnly ? "=" : "") + domain + path
+    }
+
+    private func string(_ key: String) -> String? {
+        guard case .string(let value)? = fields[key] else { return nil }
+        return value
+    }
+
+    private mutating func setString(_ key: String, _ value: String) {
+        fields[key] = value.isEmpty ? nil : .string(value)
+    }
+
+    private func decoded<T: Decodable>(_ key: String) -> T? {
+        guard let value = fields[key], let data = try? JSONEncoder().encode(value) else { return nil }
+        return try? JSONDecoder().decode(T.self, from: data)
+    }
+
+    private mutating func setEncoded<T: Encodable>(_ key: String, _ value: T?) {
+        guard let value, let data = try? JSONEncoder().encode(value) else {
+            fields[key] = nil
+            return
+        }
+        fields[key] = try? JSONDecoder().decode(JSONValue.self, from: data)
+    }
+}
+
+/// A block entry's `budget` (see budgets.js): whichever limit runs out first
+/// uses it up until the next reset
+struct EntryBudget: Codable, Equatable {
+    var minutes: Int?
+    var visits: Int?
+    var period: String?     // "daily" (the default) or "weekly"
+}
@@ -53,6 +53,7 @@ struct LockState: Codable, Equatable {
     // Frozen mode properties
     var frozenMode: FrozenMode?
     var frozenAllowedApps: [String]?
+    var frozenAllowedDomains: [String]? // limited access: the only sites the browsers open
 
     init(type: LockType) {
         self.type = type
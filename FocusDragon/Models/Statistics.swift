@@ -63,6 +63,18 @@ struct ProductivityStreak: Codable {
     }
 }
 
+/// A reason given on an extension's reason page before opening an intent
+/// entry's site
+struct IntentJournalEntry: Codable, Identifiable {
+    var id = UUID()
+    let site: String
+    let url: String
+    let reason: String
+    let minutes: Int
+    let date: Date
+    let browser: String
+}
+
 struct FocusStatistics: Codable {
     var sessions: [FocusSession] = []
     var dailyStats: [String: DailyStats] = [:]
@@ -11,6 +11,17 @@
 import Foundation
 import SafariServices
 
+/// One browser's latest report of a kind, as the native host wrote it
+struct ExtensionReport {
+    let browser: String
+    let payload: [String: Any]
+    let date: Date
+
+    var browserName: String {
+        BrowserCatalog.all.first { $0.id == browser }?.displayName ?? browser.capitalized
+    }
+}
+
 class ExtensionMonitor {
     static let shared = ExtensionMonitor()
 
@@ -26,6 +37,11 @@ class ExtensionMonitor {
     private var timer: Timer?
 
     private let heartbeatDir = "/Library/Application Support/FocusDragon/heartbeats"
+    private let reportsDir = "/Library/Application Support/FocusDragon/extension-reports"
+    /// Per browser, the time of the last interruption already counted.
+    private let countedInterruptionsKey = "countedExtensionInterruptions"
+    /// Per browser, the time of the last intent reason already journaled.
+    private let journaledIntentsKey = "journaledExtensionIntents"
     private let stalenessThreshold: TimeInterval = 10.0
     private let checkInterval: TimeInterval = 10.0
 
@@ -88,6 +104,21 @@ class ExtensionMonitor {
         return count
     }
 
+    /// The latest `<browser>_<kind>.json` report (see the native host) of
+    /// every browser that has sent one
+    func latestReports(kind: String) -> [ExtensionReport] {
+        let suffix = "_\(kind).json"
+        let formatter = ISO8601DateFormatter()
+        return reportFiles(suffix: suffix).compactMap { path -> ExtensionReport? in
+            let file = (path as NSString).lastPathComponent
+            guard let data = try? Data(contentsOf: URL(fileURLWithPath: path)),
+                  let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else { return nil }
+            let date = (json["timestamp"] as? String).flatMap { formatter.date(from: $0) } ?? .distantPast
+            return ExtensionReport(browser: String(file.dropLast(suffix.count)), payload: json, date: date)
+        }
+        .sorted { $0.browser < $1.browser }
+    }
+
     // MARK: - Private
 
     private func checkExtensions() {
@@ -127,6 +158,84 @@ class ExtensionMonitor {
         })
 
         checkSafariExtension()
+        checkInterruptionReports()
+        checkIntentJournals()
+    }
+
+    /// Counts the times someone continued past a friction entry's wait page,
+    /// as reported by the extensions through the native host, so they show
+    /// up as interruption attempts.
+    private func checkInterruptionReports() {
+        let events = newReportItems(suffix: "_interruptions.json", field: "events", seenKey: countedInterruptionsKey)
+        events.forEach { _ in StatisticsManager.shared.recordInterruption() }
+    }
+
+    /// Copies the reasons given on the extensions' reason pages into the
+    /// statistics' intent journal.
+    private func checkIntentJournals() {
+        for report in newReportItems(suffix: "_journal.json", field: "entries", seenKey: journaledIntentsKey) {
+            guard let site = report.item["entry"] as? String,
+                  let reason = report.item["reason"] as? String else { continue }
+            StatisticsManager.shared.recordIntent(IntentJournalEntry(
+                site: site,
+                url: report.item["url"] as? String ?? "",
+                reason: reason,
+                minutes: report.item["minutes"] as? Int ?? 0,
+                date: report.date,
+                browser: report.browser
+            ))
+        }
+    }
+
+    /// Items of the accumulating `<browser><suffix>` reports (see the native
+    /// host) newer than the last ones seen, oldest first. Items are told
+    /// apart by their `at` time; `seenKey` keeps the newest seen per browser.
+    private func newReportItems(suffix: String, field: String,
+                                seenKey: String) -> [(browser: String, item: [String: Any], date: Date)] {
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        var seen = UserDefaults.standard.dictionary(forKey: seenKey) as? [String: Double] ?? [:]
+        var found: [(browser: String, item: [String: Any], date: Date)] = []
+
+        for path in reportFiles(suffix: suffix) {
+            let browser = String((path as NSString).lastPathComponent.dropLast(suffix.count))
+            guard let data = try? Data(contentsOf: URL(fileURLWithPath: path)),
+                  let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any],
+                  let items = json[field] as? [[String: Any]] else { continue }
+
+            let last = seen[browser] ?? 0
+            let fresh = items.compactMap { item -> (browser: String, item: [String: Any], date: Date)? in
+                guard let date = (item["at"] as? String).flatMap({ formatter.date(from: $0) }),
+                      date.timeIntervalSince1970 > last else { return nil }
+                return (browser, item, date)
+            }
+            guard let newest = fresh.map({ $0.date.timeIntervalSince1970 }).max() else { continue }
+
+            found += fresh
+            seen[browser] = newest
+        }
+
+        UserDefaults.standard.set(seen, forKey: seenKey)
+        return found.sorted { $0.date < $1.date }
+    }
+
+    /// Paths of the `<browser><suffix>` reports: the native host's, plus the
+    /// Safari extension's in the app group container (see its
+    /// SafariWebExtensionHandler)
+    private func reportFiles(suffix: String) -> [String] {
+        var dirs = [reportsDir]
+        if let container = FileManager.default.containerURL(
+            forSecurityApplicationGroupIdentifier: SharedConstants.appGroupIdentifier
+        ) {
+            dirs.append(container.appendingPathComponent("extension-reports").path)
+        }
+
+        return dirs.flatMap { dir -> [String] in
+            let files = (try? FileManager.default.contentsOfDirectory(atPath: dir)) ?? []
+            return files
+                .filter { $0.hasSuffix(suffix) }
+                .map { (dir as NSString).appendingPathComponent($0) }
+        }
     }
 
     /// Reads heartbeat files for Chrome/Firefox to determine if the extension is alive.
@@ -13,6 +13,17 @@ struct BlockListExport: Codable {
     let blockedDomains: [String]
     let blockedApps: [ExportedApp]
     let presetName: String?
+    // Left out by older exports
+    let blockEntries: [JSONValue]?
+    let blockedKeywords: [String]?
+    let contentExceptions: [ContentException]?
+    let budgetReset: BudgetReset?
+    let linkGuard: Bool?
+    let feedErasers: [JSONValue]?
+    let pageKeywords: [String]?
+    let safeSearch: String?
+    let dohEndpoints: [String]?
+    let extensionGuard: ExtensionGuard?
 
     struct ExportedApp: Codable {
         let name: String
@@ -52,7 +63,17 @@ class ImportExportManager {
             exportDate: Date(),
             blockedDomains: domains,
             blockedApps: apps,
-            presetName: name
+            presetName: name,
+            blockEntries: manager.blockEntries,
+            blockedKeywords: manager.blockedKeywords,
+            contentExceptions: manager.contentExceptions,
+            budgetReset: manager.budgetReset,
+            linkGuard: manager.linkGuard,
+            feedErasers: manager.feedErasers,
+            pageKeywords: manager.pageKeywords,
+            safeSearch: manager.safeSearch,
+            dohEndpoints: manager.dohEndpoints,
+            extensionGuard: manager.extensionGuard
         )
 
         let encoder = JSONEncoder()
@@ -136,6 +157,46 @@ class ImportExportManager {
             let item = BlockItem(appName: app.name, bundleIdentifier: app.bundleIdentifier)
             manager.addApplication(item)
         }
+
+        for entry in (export.blockEntries ?? []).compactMap({ BlockEntry($0) }) {
+            manager.addBlockEntry(entry)
+        }
+
+        for keyword in export.blockedKeywords ?? [] where !manager.blockedKeywords.contains(keyword) {
+            manager.blockedKeywords.append(keyword)
+        }
+
+        for exception in export.contentExceptions ?? [] where !manager.contentExceptions.contains(exception) {
+            manager.contentExceptions.append(exception)
+        }
+
+        if let budgetReset = export.budgetReset {
+            manager.budgetReset = budgetReset
+        }
+
+        if let linkGuard = export.linkGuard {
+            manager.linkGuard = linkGuard
+        }
+
+        for eraser in export.feedErasers ?? [] where !manager.feedErasers.contains(eraser) {
+            manager.feedErasers.append(eraser)
+        }
+
+        for keyword in export.pageKeywords ?? [] where !manager.pageKeywords.contains(keyword) {
+            manager.pageKeywords.append(keyword)
+        }
+
+        if let safeSearch = export.safeSearch {
+            manager.safeSearch = safeSearch
+        }
+
+        for endpoint in export.dohEndpoints ?? [] where !manager.dohEndpoints.contains(endpoint) {
+            manager.dohEndpoints.append(endpoint)
+        }
+
+        if let extensionGuard = export.extensionGuard {
+            manager.extensionGuard = extensionGuard
+        }
     }
 
     func showSavePanel(for url: URL, contentType: UTType = .json) {
@@ -110,7 +110,8 @@ class LockManager: ObservableObject {
         notifyDaemon()
     }
 
-    func createFrozenLock(duration: TimeInterval, mode: FrozenMode, allowedApps: [String]) throws {
+    func createFrozenLock(duration: TimeInterval, mode: FrozenMode, allowedApps: [String],
+                          allowedDomains: [String] = []) throws {
         guard duration >= configuration.minTimerDuration,
               duration <= configuration.maxTimerDuration else {
             throw LockError.invalidDuration
@@ -123,6 +124,7 @@ class LockManager: ObservableObject {
         lock.unlockAt = startTime.addingTimeInterval(duration)
         lock.frozenMode = mode
         lock.frozenAllowedApps = allowedApps
+        lock.frozenAllowedDomains = allowedDomains
         lock.lock()
 
         currentLock = lock
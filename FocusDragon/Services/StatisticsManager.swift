@@ -7,12 +7,16 @@ class StatisticsManager: ObservableObject {
 
     @Published var statistics = FocusStatistics()
     @Published var currentSession: FocusSession?
+    @Published var intentJournal: [IntentJournalEntry] = []
 
     private let storageKey = "focusStatistics"
+    private let intentJournalKey = "intentJournal"
+    private let maxIntentJournalEntries = 1000
     private var timer: Timer?
 
     private init() {
         loadStatistics()
+        loadIntentJournal()
         startPeriodicSave()
     }
 
@@ -64,6 +68,11 @@ class StatisticsManager: ObservableObject {
         saveStatistics()
     }
 
+    func recordIntent(_ entry: IntentJournalEntry) {
+        intentJournal = Array((intentJournal + [entry]).suffix(maxIntentJournalEntries))
+        saveIntentJournal()
+    }
+
     // MARK: - Daily Stats
 
     private func updateDailyStats(for session: FocusSession) {
@@ -118,6 +127,19 @@ class StatisticsManager: ObservableObject {
         }
     }
 
+    private func saveIntentJournal() {
+        if let encoded = try? JSONEncoder().encode(intentJournal) {
+            UserDefaults.standard.set(encoded, forKey: intentJournalKey)
+        }
+    }
+
+    private func loadIntentJournal() {
+        if let data = UserDefaults.standard.data(forKey: intentJournalKey),
+           let decoded = try? JSONDecoder().decode([IntentJournalEntry].self, from: data) {
+            intentJournal = decoded
+        }
+    }
+
     private func startPeriodicSave() {
         timer = Timer.scheduledTimer(withTimeInterval: 60, repeats: true) { [weak self] _ in
             self?.saveStatistics()
@@ -153,6 +175,30 @@ class StatisticsManager: ObservableObject {
         return url
     }
 
+    func exportIntentJournalCSV() -> URL? {
+        let formatter = ISO8601DateFormatter()
+        var lines: [String] = []
+        lines.append("date,browser,site,url,minutes,reason")
+
+        for entry in intentJournal {
+            let fields = [formatter.string(from: entry.date), entry.browser, entry.site, entry.url,
+                          String(entry.minutes), entry.reason]
+            lines.append(fields.map(csvField).joined(separator: ","))
+        }
+
+        let content = lines.joined(separator: "\n")
+        let filename = "focusdragon-intent-journal-\(Date().timeIntervalSince1970).csv"
+        let url = FileManager.default.temporaryDirectory.appendingPathComponent(filename)
+        try? content.write(to: url, atomically: true, encoding: .utf8)
+        return url
+    }
+
+    /// Quotes a field that a comma, quote or line break would break apart
+    private func csvField(_ value: String) -> String {
+        guard value.contains(where: { ",\"\n\r".contains($0) }) else { return value }
+        return "\"" + value.replacingOccurrences(of: "\"", with: "\"\"") + "\""
+    }
+
     func exportStatisticsPDF() -> URL? {
         let filename = "focusdragon-stats-\(Date().timeIntervalSince1970).pdf"
         let url = FileManager.default.temporaryDirectory.appendingPathComponent(filename)
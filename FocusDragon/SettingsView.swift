@@ -124,6 +124,113 @@ struct BlockingSettings: View {
                     .foregroundColor(.secondary)
             }
 
+            Section {
+                StringListEditor("casino", items: $manager.blockedKeywords) {
+                    $0.trimmingCharacters(in: .whitespacesAndNewlines).lowercased()
+                }
+            } header: {
+                Text("Blocked Keywords")
+            } footer: {
+                Text("The browser extensions block URLs and searches that contain these words.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                StringListEditor("fantasy league", items: $manager.pageKeywords) {
+                    $0.trimmingCharacters(in: .whitespacesAndNewlines).lowercased()
+                }
+            } header: {
+                Text("Page Keywords")
+            } footer: {
+                Text("Off while empty. The browser extensions block pages whose title, description or opening text contains these words, even on sites that aren't blocked.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                DatePicker("Budgets reset at", selection: budgetResetTime, displayedComponents: .hourAndMinute)
+
+                Picker("Weekly budgets reset on", selection: budgetResetWeekday) {
+                    ForEach(1...7, id: \.self) { weekday in
+                        Text(Calendar.current.weekdaySymbols[weekday - 1]).tag(weekday)
+                    }
+                }
+            } header: {
+                Text("Time & Visit Budgets")
+            } footer: {
+                Text("When pages with a time or visit budget get it back.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                Toggle("Grey out links to blocked sites", isOn: $manager.linkGuard)
+            } header: {
+                Text("Blocked Links")
+            } footer: {
+                Text("While blocking, the browser extensions mark links to blocked sites in search results and on pages so they aren't clicked.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                Picker("Extensions that can reroute traffic", selection: extensionGuardAction) {
+                    Text("Warn me").tag("warn")
+                    Text("Turn them off").tag("disable")
+                    Text("Leave them alone").tag("off")
+                }
+
+                VStack(alignment: .leading, spacing: 8) {
+                    Text("Trusted extension IDs")
+                        .font(.subheadline)
+                    StringListEditor("Extension ID", items: extensionGuardTrusted)
+                }
+            } header: {
+                Text("Tamper Protection")
+            } footer: {
+                Text("During a locked session the browser extensions look for proxy, VPN and unblocker extensions. Trusted ones, like a content blocker you rely on, are left alone. Firefox can only warn.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                StringListEditor("dns.example.com or 1.2.3.4/dns-query", items: $manager.dohEndpoints) {
+                    $0.trimmingCharacters(in: .whitespacesAndNewlines).lowercased()
+                        .replacingOccurrences(of: "https://", with: "")
+                }
+            } header: {
+                Text("Secure DNS Servers")
+            } footer: {
+                Text("While blocking, the browser extensions block well-known DNS-over-HTTPS servers so blocked sites can't be looked up around the hosts file. Add any others you know of.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                Picker("SafeSearch", selection: $manager.safeSearch) {
+                    Text("Off").tag(String?.none)
+                    Text("Moderate").tag(String?.some("moderate"))
+                    Text("Strict").tag(String?.some("strict"))
+                }
+            } header: {
+                Text("SafeSearch")
+            } footer: {
+                Text("While blocking, the browser extensions force SafeSearch on Google, Bing and DuckDuckGo and YouTube's Restricted Mode.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
+            Section {
+                FeedEraserEditor(erasers: $manager.feedErasers)
+            } header: {
+                Text("Feed Eraser")
+            } footer: {
+                Text("While blocking, the browser extensions hide these feeds but leave the rest of the site usable. For other sites, add the CSS selectors of what to hide.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+
             Section {
                 Toggle("Block all internet except whitelist", isOn: Binding(
                     get: { manager.internetBlockConfig.isEnabled },
@@ -197,6 +304,55 @@ struct BlockingSettings: View {
         }
     }
 
+    private var budgetResetTime: Binding<Date> {
+        Binding(
+            get: {
+                let minutes = (manager.budgetReset ?? BudgetReset()).minutes
+                return Calendar.current.date(bySettingHour: minutes / 60, minute: minutes % 60,
+                                             second: 0, of: Date()) ?? Date()
+            },
+            set: { date in
+                let components = Calendar.current.dateComponents([.hour, .minute], from: date)
+                var reset = manager.budgetReset ?? BudgetReset()
+                reset.minutes = (components.hour ?? 0) * 60 + (components.minute ?? 0)
+                manager.budgetReset = reset
+            }
+        )
+    }
+
+    private var budgetResetWeekday: Binding<Int> {
+        Binding(
+            get: { (manager.budgetReset ?? BudgetReset()).weekday },
+            set: { weekday in
+                var reset = manager.budgetReset ?? BudgetReset()
+                reset.weekday = weekday
+                manager.budgetReset = reset
+            }
+        )
+    }
+
+    private var extensionGuardAction: Binding<String> {
+        Binding(
+            get: { (manager.extensionGuard ?? ExtensionGuard()).action },
+            set: { action in
+                var extensionGuard = manager.extensionGuard ?? ExtensionGuard()
+                extensionGuard.action = action
+                manager.extensionGuard = extensionGuard
+            }
+        )
+    }
+
+    private var extensionGuardTrusted: Binding<[String]> {
+        Binding(
+            get: { (manager.extensionGuard ?? ExtensionGuard()).trusted },
+            set: { trusted in
+                var extensionGuard = manager.extensionGuard ?? ExtensionGuard()
+                extensionGuard.trusted = trusted
+                manager.extensionGuard = extensionGuard
+            }
+        )
+    }
+
     private func updateInternetConfig(_ block: (inout InternetBlockConfig) -> Void) {
         var config = manager.internetBlockConfig
         block(&config)
@@ -244,6 +400,177 @@ struct BlockingSettings: View {
     }
 }
 
+// MARK: - String List Editor
+
+/// A list of strings with a field to add one and a button to remove each
+private struct StringListEditor: View {
+    let placeholder: String
+    @Binding var items: [String]
+    let normalize: (String) -> String
+    @State private var newItem = ""
+
+    init(_ placeholder: String, items: Binding<[String]>,
+         normalize: @escaping (String) -> String = { $0.trimmingCharacters(in: .whitespacesAndNewlines) }) {
+        self.placeholder = placeholder
+        _items = items
+        self.normalize = normalize
+    }
+
+    var body: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            HStack {
+                TextField(placeholder, text: $newItem)
+                    .textFieldStyle(.roundedBorder)
+                    .onSubmit(addItem)
+                Button("Add", action: addItem)
+                    .disabled(normalize(newItem).isEmpty)
+            }
+
+            ForEach(items, id: \.self) { item in
+                HStack {
+                    Text(item)
+                    Spacer()
+                    Button(role: .destructive) {
+                        items.removeAll { $0 == item }
+                    } label: {
+                        Image(systemName: "trash")
+                    }
+                    .controlSize(.small)
+                }
+            }
+        }
+    }
+
+    private func addItem() {
+        let item = normalize(newItem)
+        guard !item.isEmpty else { return }
+
+        if !items.contains(item) {
+            items.append(item)
+        }
+        newItem = ""
+    }
+}
+
+// MARK: - Feed Eraser Editor
+
+/// The `feedErasers` list: toggles for the extensions' selector packs (see
+/// feed-eraser.js) and `{ domain, selectors }` entries for other sites
+private struct FeedEraserEditor: View {
+    @Binding var erasers: [JSONValue]
+    @State private var newDomain = ""
+    @State private var newSelector = ""
+
+    private let packs: [(name: String, title: String)] = [
+        ("youtube", "YouTube home, recommendations and end screens"),
+        ("twitter", "X (Twitter) timeline"),
+        ("linkedin", "LinkedIn feed"),
+        ("reddit", "Reddit front page")
+    ]
+
+    var body: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            ForEach(packs, id: \.name) { pack in
+                Toggle(pack.title, isOn: packBinding(pack.name))
+            }
+
+            HStack {
+                TextField("news.example.com", text: $newDomain)
+                    .textFieldStyle(.roundedBorder)
+                TextField("#latest, .sidebar", text: $newSelector)
+                    .textFieldStyle(.roundedBorder)
+                Button("Add", action: addSelector)
+                    .disabled(!newDomain.cleanDomain.isValidDomain || trimmedSelector.isEmpty)
+            }
+
+            ForEach(customSites, id: \.domain) { site in
+                HStack {
+                    VStack(alignment: .leading, spacing: 2) {
+                        Text(site.domain)
+                        Text(site.selectors.joined(separator: "  "))
+                            .font(.caption)
+                            .foregroundColor(.secondary)
+                    }
+                    Spacer()
+                    Button(role: .destructive) {
+                        erasers.removeAll { domain(of: $0) == site.domain }
+                    } label: {
+                        Image(systemName: "trash")
+                    }
+                    .controlSize(.small)
+                }
+            }
+        }
+    }
+
+    private var trimmedSelector: String {
+        newSelector.trimmingCharacters(in: .whitespacesAndNewlines)
+    }
+
+    /// `{ domain, selectors }` entries, in list order
+    private var customSites: [(domain: String, selectors: [String])] {
+        erasers.compactMap { eraser -> (domain: String, selectors: [String])? in
+            guard let site = domain(of: eraser), case .object(let fields) = eraser else { return nil }
+            return (site, selectors(in: fields))
+        }
+    }
+
+    /// On for the pack's name or a `{ pack }` entry that adds selectors to it
+    private func packBinding(_ name: String) -> Binding<Bool> {
+        Binding(
+            get: { erasers.contains { pack(of: $0) == name } },
+            set: { isOn in
+                erasers.removeAll { pack(of: $0) == name }
+                if isOn { erasers.append(.string(name)) }
+            }
+        )
+    }
+
+    private func addSelector() {
+        let domain = newDomain.cleanDomain
+        let selector = trimmedSelector
+        guard domain.isValidDomain, !selector.isEmpty else { return }
+
+        if let index = erasers.firstIndex(where: { self.domain(of: $0) == domain }),
+           case .object(var fields) = erasers[index] {
+            let existing = selectors(in: fields)
+            if !existing.contains(selector) {
+                fields["selectors"] = .array((existing + [selector]).map { .string($0) })
+                erasers[index] = .object(fields)
+            }
+        } else {
+            erasers.append(.object(["domain": .string(domain), "selectors": .array([.string(selector)])]))
+        }
+        newDomain = ""
+        newSelector = ""
+    }
+
+    private func pack(of eraser: JSONValue) -> String? {
+        switch eraser {
+        case .string(let name):
+            return name
+        case .object(let fields):
+            guard case .string(let name)? = fields["pack"] else { return nil }
+            return name
+        default:
+            return nil
+        }
+    }
+
+    private func domain(of eraser: JSONValue) -> String? {
+        guard case .object(let fields) = eraser, case .string(let domain)? = fields["domain"] else { return nil }
+        return domain
+    }
+
+    private func selectors(in fields: [String: JSONValue]) -> [String] {
+        guard case .array(let values)? = fields["selectors"] else { return [] }
+        return values.compactMap { value -> String? in
+            guard case .string(let selector) = value else { return nil }
+            return selector
+        }
+    }
+}
+
 // MARK: - Notification Settings
 
 struct NotificationSettings: View {
@@ -0,0 +1,351 @@
+//
+//  BlockEntryEditor.swift
+//  FocusDragon
+//
+
+import SwiftUI
+
+/// Adds or edits one of the path-scoped block entries only the browser
+/// extensions enforce
+struct BlockEntryEditor: View {
+    @Environment(\.dismiss) private var dismiss
+    @State private var domain: String
+    @State private var path: String
+    @State private var hostOnly: Bool
+    @State private var pattern: String
+    @State private var blockEmbedded: Bool
+    @State private var schedule: [ScheduleWindow]
+    @State private var showingWindowEditor = false
+    @State private var enforcement: String
+    @State private var passMinutes: Int
+    @State private var redirectTo: String
+    @State private var hasBudget: Bool
+    @State private var budgetMinutes: String
+    @State private var budgetVisits: String
+    @State private var budgetPeriod: String
+    @State private var editingWindowIndex: Int?
+
+    private let original: BlockEntry?
+    private let onSave: (BlockEntry) -> Void
+
+    init(entry: BlockEntry?, onSave: @escaping (BlockEntry) -> Void) {
+        self.original = entry
+        _domain = State(initialValue: entry?.domain ?? "")
+        _path = State(initialValue: entry?.path ?? "")
+        _hostOnly = State(initialValue: entry?.hostOnly ?? false)
+        _pattern = State(initialValue: entry?.pattern ?? "")
+        _blockEmbedded = State(initialValue: entry?.blockEmbedded ?? false)
+        _schedule = State(initialValue: entry?.schedule ?? [])
+        _enforcement = State(initialValue: entry?.enforcement ?? "hard")
+        _passMinutes = State(initialValue: entry?.passMinutes ?? 15)
+        _redirectTo = State(initialValue: entry?.redirectTo ?? "")
+        _hasBudget = State(initialValue: entry?.budget != nil)
+        _budgetMinutes = State(initialValue: entry?.budget?.minutes.map(String.init) ?? "")
+        _budgetVisits = State(initialValue: entry?.budget?.visits.map(String.init) ?? "")
+        _budgetPeriod = State(initialValue: entry?.budget?.period ?? "daily")
+        self.onSave = onSave
+    }
+
+    var body: some View {
+        VStack(spacing: 16) {
+            Text(original == nil ? "Block a Page" : "Edit Blocked Page")
+                .font(AppTheme.headerFont(16))
+
+            ScrollView {
+                VStack(alignment: .leading, spacing: 16) {
+                    VStack(alignment: .leading, spacing: 10) {
+                        if usesPattern {
+                            TextField("Pattern (e.g. youtube.com/*/videos)", text: $pattern)
+                                .textFieldStyle(.roundedBorder)
+                        } else {
+                            TextField("Domain (e.g. youtube.com)", text: $domain)
+                                .textFieldStyle(.roundedBorder)
+                            TextField("Path (e.g. /shorts), empty for the whole site", text: $path)
+                                .textFieldStyle(.roundedBorder)
+                            Toggle("Only this exact host, not its subdomains", isOn: $hostOnly)
+                        }
+                        Toggle("Also block it embedded in other sites", isOn: $blockEmbedded)
+                    }
+
+                    enforcementSection
+                    scheduleSection
+                    budgetSection
+                }
+            }
+
+            HStack {
+                Button("Cancel") { dismiss() }
+                Spacer()
+                Button("Save") {
+                    onSave(entry)
+                    dismiss()
+                }
+                .buttonStyle(PrimaryGlowButtonStyle())
+                .disabled(!isValid)
+            }
+        }
+        .padding()
+        .frame(minWidth: 460, minHeight: 420)
+        .sheet(isPresented: $showingWindowEditor) {
+            ScheduleWindowEditor(
+                window: editingWindowIndex.flatMap { schedule[$0] },
+                onSave: { window in
+                    if let index = editingWindowIndex {
+                        schedule[index] = window
+                    } else {
+                        schedule.append(window)
+                    }
+                }
+            )
+        }
+    }
+
+    private var enforcementSection: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            Picker("When it's opened", selection: $enforcement) {
+                Text("Show the blocked page").tag("hard")
+                Text("Make me wait, then let it through").tag("friction")
+                Text("Ask me why, then let it through").tag("intent")
+            }
+
+            if enforcement == "hard" {
+                TextField("Open this page instead (https://…), optional", text: $redirectTo)
+                    .textFieldStyle(.roundedBorder)
+            } else if enforcement == "friction" {
+                Text("Each time you continue, the next wait that day is longer. After three it stays blocked until midnight.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            } else if enforcement == "intent" {
+                Stepper("Open for \(passMinutes) minutes after a reason", value: $passMinutes, in: 1...(24 * 60))
+                Text("Reasons are kept in your statistics.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+        }
+    }
+
+    private var scheduleSection: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            HStack {
+                Text("Blocked only at these times").font(AppTheme.bodyFont(12))
+                Spacer()
+                Button {
+                    editingWindowIndex = nil
+                    showingWindowEditor = true
+                } label: {
+                    Label("Add", systemImage: "plus.circle")
+                }
+                .buttonStyle(SecondaryButtonStyle())
+                .controlSize(.small)
+            }
+
+            if schedule.isEmpty {
+                Text("No schedule: blocked whenever a session runs.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            } else {
+                ForEach(Array(schedule.enumerated()), id: \.offset) { index, window in
+                    HStack {
+                        Text(windowLabel(window))
+                            .font(AppTheme.bodyFont(11))
+                        Spacer()
+                        Button("Edit") {
+                            editingWindowIndex = index
+                            showingWindowEditor = true
+                        }
+                        .buttonStyle(SecondaryButtonStyle())
+                        .controlSize(.small)
+                        Button(role: .destructive) {
+                            schedule.remove(at: index)
+                        } label: {
+                            Image(systemName: "trash")
+                        }
+                        .buttonStyle(SecondaryButtonStyle())
+                        .controlSize(.small)
+                    }
+                    .padding(8)
+                    .background(Color(NSColor.controlBackgroundColor))
+                    .cornerRadius(6)
+                }
+            }
+        }
+    }
+
+    private var budgetSection: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            Toggle("Allow some time or visits before blocking", isOn: $hasBudget)
+
+            if hasBudget {
+                HStack {
+                    TextField("Minutes", text: $budgetMinutes)
+                        .textFieldStyle(.roundedBorder)
+                        .frame(width: 80)
+                    Text("minutes or")
+                    TextField("Visits", text: $budgetVisits)
+                        .textFieldStyle(.roundedBorder)
+                        .frame(width: 80)
+                    Text("visits")
+                    Picker("Per", selection: $budgetPeriod) {
+                        Text("a day").tag("daily")
+                        Text("a week").tag("weekly")
+                    }
+                    .labelsHidden()
+                    .frame(width: 100)
+                }
+
+                Text("Leave either empty for no limit on it. Budgets are shared across browsers.")
+                    .font(.caption)
+                    .foregroundColor(.secondary)
+            }
+        }
+    }
+
+    private func windowLabel(_ window: ScheduleWindow) -> String {
+        let symbols = Calendar.current.shortWeekdaySymbols
+        let days = window.days.map { symbols[max(1, min(7, $0)) - 1] }.joined(separator: ", ")
+        let start = String(format: "%02d:%02d", window.startMinutes / 60, window.startMinutes % 60)
+        let end = String(format: "%02d:%02d", window.endMinutes / 60, window.endMinutes % 60)
+        return "\(days) \(start)–\(end)"
+    }
+
+    /// Entries written in the pattern language keep their pattern
+    private var usesPattern: Bool {
+        original?.pattern != nil
+    }
+
+    private var isValid: Bool {
+        if hasBudget && budget == nil {
+            return false
+        }
+        if enforcement == "hard" && !trimmedRedirect.isEmpty {
+            guard let url = URL(string: trimmedRedirect),
+                  url.scheme == "http" || url.scheme == "https",
+                  url.host != nil else { return false }
+        }
+        if usesPattern {
+            return !pattern.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty
+        }
+        return domain.cleanDomain.isValidDomain
+    }
+
+    private var trimmedRedirect: String {
+        redirectTo.trimmingCharacters(in: .whitespacesAndNewlines)
+    }
+
+    /// The budget typed in, nil without a valid limit
+    private var budget: EntryBudget? {
+        let minutes = Int(budgetMinutes.trimmingCharacters(in: .whitespaces))
+        let visits = Int(budgetVisits.trimmingCharacters(in: .whitespaces))
+        let minutesValid = budgetMinutes.trimmingCharacters(in: .whitespaces).isEmpty || (minutes ?? 0) > 0
+        let visitsValid = budgetVisits.trimmingCharacters(in: .whitespaces).isEmpty || (visits ?? 0) > 0
+        guard minutesValid, visitsValid, minutes != nil || visits != nil else { return nil }
+        return EntryBudget(minutes: minutes, visits: visits, period: budgetPeriod)
+    }
+
+    /// The edited entry, with whatever the editor doesn't show left as it was
+    private var entry: BlockEntry {
+        var entry = original ?? BlockEntry(domain: "")
+        if usesPattern {
+            entry.pattern = pattern.trimmingCharacters(in: .whitespacesAndNewlines)
+        } else {
+            var cleanedPath = path.trimmingCharacters(in: .whitespacesAndNewlines)
+            if !cleanedPath.isEmpty && !cleanedPath.hasPrefix("/") {
+                cleanedPath = "/" + cleanedPath
+            }
+            entry.domain = domain.cleanDomain.lowercased()
+            entry.path = cleanedPath == "/" ? "" : cleanedPath
+            entry.hostOnly = hostOnly
+        }
+        entry.blockEmbedded = blockEmbedded
+        entry.enforcement = enforcement
+        entry.passMinutes = enforcement == "intent" ? passMinutes : nil
+        entry.redirectTo = enforcement == "hard" ? trimmedRedirect : ""
+        entry.schedule = schedule
+        entry.budget = hasBudget ? budget : nil
+        return entry
+    }
+}
+
+// MARK: - Schedule Window Editor
+
+private struct ScheduleWindowEditor: View {
+    @Environment(\.dismiss) private var dismiss
+    @State private var selectedDays: Set<Int>
+    @State private var startTime: Date
+    @State private var endTime: Date
+
+    private let onSave: (ScheduleWindow) -> Void
+
+    init(window: ScheduleWindow?, onSave: @escaping (ScheduleWindow) -> Void) {
+        let calendar = Calendar.current
+        let now = Date()
+        let startMinutes = window?.startMinutes ?? 9 * 60
+        let endMinutes = window?.endMinutes ?? 17 * 60
+        _selectedDays = State(initialValue: Set(window?.days ?? [2, 3, 4, 5, 6]))
+        _startTime = State(initialValue: calendar.date(bySettingHour: startMinutes / 60, minute: startMinutes % 60,
+                                                       second: 0, of: now) ?? now)
+        _endTime = State(initialValue: calendar.date(bySettingHour: endMinutes / 60, minute: endMinutes % 60,
+                                                     second: 0, of: now) ?? now)
+        self.onSave = onSave
+    }
+
+    var body: some View {
+        VStack(spacing: 16) {
+            Text("Blocked Time Window")
+                .font(AppTheme.headerFont(16))
+
+            daysPicker
+
+            HStack {
+                DatePicker("Start", selection: $startTime, displayedComponents: .hourAndMinute)
+                DatePicker("End", selection: $endTime, displayedComponents: .hourAndMinute)
+            }
+
+            Text("An end before the start runs past midnight.")
+                .font(.caption)
+                .foregroundColor(.secondary)
+
+            HStack {
+                Button("Cancel") { dismiss() }
+                Spacer()
+                Button("Save") {
+                    onSave(ScheduleWindow(
+                        days: selectedDays.sorted(),
+                        startMinutes: minutes(of: startTime),
+                        endMinutes: minutes(of: endTime)
+                    ))
+                    dismiss()
+                }
+                .buttonStyle(PrimaryGlowButtonStyle())
+                .disabled(selectedDays.isEmpty)
+            }
+        }
+        .padding()
+        .frame(minWidth: 420, minHeight: 260)
+    }
+
+    private var daysPicker: some View {
+        let symbols = Calendar.current.shortWeekdaySymbols
+        return HStack {
+            ForEach(0..<7, id: \.self) { index in
+                let weekday = index + 1
+                Toggle(symbols[index], isOn: Binding(
+                    get: { selectedDays.contains(weekday) },
+                    set: { isOn in
+                        if isOn {
+                            selectedDays.insert(weekday)
+                        } else {
+                            selectedDays.remove(weekday)
+                        }
+                    }
+                ))
+                .toggleStyle(.button)
+            }
+        }
+    }
+
+    private func minutes(of date: Date) -> Int {
+        let components = Calendar.current.dateComponents([.hour, .minute], from: date)
+        return (components.hour ?? 0) * 60 + (components.minute ?? 0)
+    }
+}
@@ -15,6 +15,9 @@ struct ExceptionsView: View {
     @State private var showingAppSheet = false
     @State private var editingAppException: AppException?
 
+    @State private var newContentType = ContentExceptionKind.all[0].type
+    @State private var newContentValue = ""
+
     var body: some View {
         ZStack {
             AppBackground()
@@ -37,6 +40,7 @@ struct ExceptionsView: View {
                 ScrollView {
                     VStack(alignment: .leading, spacing: 20) {
                         urlExceptionsSection
+                        contentExceptionsSection
                         appExceptionsSection
                     }
                     .padding()
@@ -117,6 +121,68 @@ struct ExceptionsView: View {
         }
     }
 
+    private var contentExceptionsSection: some View {
+        AppCard {
+            VStack(alignment: .leading, spacing: 10) {
+                Text("Content Exceptions")
+                    .font(AppTheme.headerFont(15))
+
+                Text("Allow one YouTube channel, playlist or video, or one subreddit, while the rest of its site stays blocked. Only the browser extensions enforce these.")
+                    .font(AppTheme.bodyFont(11))
+                    .foregroundColor(.secondary)
+
+                HStack {
+                    Picker("Type", selection: $newContentType) {
+                        ForEach(ContentExceptionKind.all, id: \.type) { kind in
+                            Text(kind.name).tag(kind.type)
+                        }
+                    }
+                    .labelsHidden()
+                    .frame(width: 160)
+
+                    TextField(ContentExceptionKind.named(newContentType)?.placeholder ?? "", text: $newContentValue)
+                        .textFieldStyle(.roundedBorder)
+                        .onSubmit(addContentException)
+
+                    Button(action: addContentException) {
+                        Label("Add", systemImage: "plus.circle")
+                    }
+                    .buttonStyle(SecondaryButtonStyle())
+                    .controlSize(.small)
+                    .disabled(newContentValue.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty)
+                }
+
+                if manager.contentExceptions.isEmpty {
+                    Text("No content exceptions yet.")
+                        .font(AppTheme.bodyFont(11))
+                        .foregroundColor(.secondary)
+                } else {
+                    ForEach(manager.contentExceptions, id: \.self) { exception in
+                        AppCard {
+                            HStack {
+                                VStack(alignment: .leading, spacing: 4) {
+                                    Text(exception.value)
+                                        .font(AppTheme.headerFont(13))
+                                    Text(ContentExceptionKind.named(exception.type)?.name ?? exception.type)
+                                        .font(AppTheme.bodyFont(11))
+                                        .foregroundColor(.secondary)
+                                }
+                                Spacer()
+                                Button(role: .destructive) {
+                                    manager.contentExceptions.removeAll { $0 == exception }
+                                } label: {
+                                    Image(systemName: "trash")
+                                }
+                                .buttonStyle(SecondaryButtonStyle())
+                                .controlSize(.small)
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
     private var appExceptionsSection: some View {
         AppCard {
             VStack(alignment: .leading, spacing: 10) {
@@ -186,6 +252,17 @@ struct ExceptionsView: View {
         return "Allowed on \(schedules.count) time windows"
     }
 
+    private func addContentException() {
+        let value = newContentValue.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !value.isEmpty else { return }
+
+        let exception = ContentException(type: newContentType, value: value)
+        if !manager.contentExceptions.contains(exception) {
+            manager.contentExceptions.append(exception)
+        }
+        newContentValue = ""
+    }
+
     private func saveURLException(_ exception: URLException) {
         if let existing = manager.urlExceptions.firstIndex(where: { $0.id == exception.id }) {
             manager.urlExceptions[existing] = exception
@@ -203,6 +280,26 @@ struct ExceptionsView: View {
     }
 }
 
+// MARK: - Content Exception Kinds
+
+/// The content exception types the browser extensions understand
+private struct ContentExceptionKind {
+    let type: String
+    let name: String
+    let placeholder: String
+
+    static let all = [
+        ContentExceptionKind(type: "youtubeChannel", name: "YouTube channel", placeholder: "@mitocw or channel URL"),
+        ContentExceptionKind(type: "youtubePlaylist", name: "YouTube playlist", placeholder: "Playlist ID (PL…)"),
+        ContentExceptionKind(type: "youtubeVideo", name: "YouTube video", placeholder: "Video ID (dQw4w9WgXcQ)"),
+        ContentExceptionKind(type: "subreddit", name: "Subreddit", placeholder: "learnprogramming")
+    ]
+
+    static func named(_ type: String) -> ContentExceptionKind? {
+        all.first { $0.type == type }
+    }
+}
+
 // MARK: - URL Exception Editor
 
 private struct URLExceptionEditor: View {
@@ -0,0 +1,235 @@
+//
+//  ExtensionReportsView.swift
+//  FocusDragon
+//
+//  What the browser extensions report back through the native host about
+//  the settings they were sent (see ExtensionMonitor.latestReports).
+//
+
+import SwiftUI
+import Combine
+
+/// Block list entries the browser extensions rejected or flagged, shown
+/// with the block list so they can be fixed there
+struct EntryProblemsView: View {
+    private struct Problem: Identifiable {
+        var id: String { "\(rejected) \(entry) \(reason)" }
+        let entry: String
+        let reason: String
+        let rejected: Bool
+        var browsers: [String]
+    }
+
+    private let refreshTimer = Timer.publish(every: 5, on: .main, in: .common).autoconnect()
+
+    @State private var problems: [Problem] = []
+
+    var body: some View {
+        VStack(alignment: .leading, spacing: 6) {
+            if !problems.isEmpty {
+                Label("Some entries didn't work as typed", systemImage: "exclamationmark.triangle")
+                    .font(AppTheme.headerFont(12))
+                    .foregroundColor(.orange)
+
+                ForEach(problems) { problem in
+                    HStack(alignment: .firstTextBaseline, spacing: 8) {
+                        Text(problem.entry)
+                            .font(AppTheme.bodyFont(12))
+                        Text(problem.rejected ? "Not blocked: \(problem.reason)" : describeFlag(problem.reason))
+                            .font(AppTheme.bodyFont(11))
+                            .foregroundColor(problem.rejected ? .red : .orange)
+                        Spacer()
+                        Text(problem.browsers.joined(separator: ", "))
+                            .font(AppTheme.bodyFont(10))
+                            .foregroundColor(.secondary)
+                    }
+                }
+            }
+        }
+        .padding(problems.isEmpty ? 0 : 10)
+        .frame(maxWidth: .infinity, alignment: .leading)
+        .background(problems.isEmpty ? Color.clear : Color.orange.opacity(0.08))
+        .cornerRadius(8)
+        .onAppear(perform: refresh)
+        .onReceive(refreshTimer) { _ in refresh() }
+    }
+
+    private func refresh() {
+        var found: [Problem] = []
+        for report in ExtensionMonitor.shared.latestReports(kind: "entries") {
+            for (field, rejected) in [("rejected", true), ("flagged", false)] {
+                for item in report.payload[field] as? [[String: Any]] ?? [] {
+                    let entry = item["entry"] as? String ?? ""
+                    let reason = item["reason"] as? String ?? ""
+                    if let index = found.firstIndex(where: {
+                        $0.entry == entry && $0.reason == reason && $0.rejected == rejected
+                    }) {
+                        found[index].browsers.append(report.browserName)
+                    } else {
+                        found.append(Problem(entry: entry, reason: reason, rejected: rejected,
+                                             browsers: [report.browserName]))
+                    }
+                }
+            }
+        }
+        problems = found
+    }
+
+    private func describeFlag(_ flag: String) -> String {
+        switch flag {
+        case "mixedScript":
+            return "Blocked, but mixes Latin with Cyrillic or Greek letters"
+        case "lookalikeScript":
+            return "Blocked, but spelled in letters that only look Latin"
+        default:
+            return "Blocked, but looks suspicious"
+        }
+    }
+}
+
+/// Problems the browser extensions ran into enforcing the settings, for
+/// the side panel; shows nothing while there are none
+struct ExtensionProblemsView: View {
+    private struct Problem: Identifiable {
+        var id: String { "\(browser) \(title) \(detail)" }
+        let browser: String
+        let title: String
+        let detail: String
+    }
+
+    /// How long a warning nothing clears stays up
+    private let warningLifetime: TimeInterval = 24 * 60 * 60
+    private let refreshTimer = Timer.publish(every: 5, on: .main, in: .common).autoconnect()
+
+    @State private var problems: [Problem] = []
+
+    var body: some View {
+        VStack {
+            if !problems.isEmpty {
+                GroupBox {
+                    VStack(alignment: .leading, spacing: 12) {
+                        HStack {
+                            Text("Extension Problems")
+                                .font(AppTheme.headerFont(15))
+                            Spacer()
+                            AppBadge(text: "\(problems.count)", color: .orange)
+                        }
+
+                        ForEach(problems) { problem in
+                            VStack(alignment: .leading, spacing: 2) {
+                                Text("\(problem.browser): \(problem.title)")
+                                    .font(AppTheme.bodyFont(12))
+                                Text(problem.detail)
+                                    .font(AppTheme.bodyFont(11))
+                                    .foregroundColor(.secondary)
+                                    .fixedSize(horizontal: false, vertical: true)
+                            }
+                        }
+                    }
+                    .padding(.vertical, 6)
+                }
+            }
+        }
+        .onAppear(perform: refresh)
+        .onReceive(refreshTimer) { _ in refresh() }
+    }
+
+    private func refresh() {
+        problems = ruleBudgetProblems() + ruleSyncProblems() + dohProblems() + tamperProblems()
+    }
+
+    /// Entries that didn't fit the browser's rule limits
+    private func ruleBudgetProblems() -> [Problem] {
+        ExtensionMonitor.shared.latestReports(kind: "rules").compactMap { report -> Problem? in
+            let overflow = report.payload["overflow"] as? [String] ?? []
+            guard !overflow.isEmpty else { return nil }
+            let listed = overflow.prefix(3).joined(separator: ", ") + (overflow.count > 3 ? ", …" : "")
+            return Problem(
+                browser: report.browserName,
+                title: "\(overflow.count) \(overflow.count == 1 ? "entry isn't" : "entries aren't") enforced",
+                detail: "Over the browser's rule limit: \(listed). Shorten the block list or use plain domains."
+            )
+        }
+    }
+
+    /// A rule update the browser refused, leaving the previous rules in force
+    private func ruleSyncProblems() -> [Problem] {
+        ExtensionMonitor.shared.latestReports(kind: "sync").compactMap { report -> Problem? in
+            guard report.payload["ok"] as? Bool == false else { return nil }
+            let error = report.payload["error"] as? String ?? ""
+            return Problem(
+                browser: report.browserName,
+                title: "Block list changes aren't applied",
+                detail: "The browser refused the update and keeps the previous rules\(error.isEmpty ? "" : ": \(error)")."
+            )
+        }
+    }
+
+    /// The browser resolving names over DNS-over-HTTPS, which skips the
+    /// hosts file the daemon blocks sites in
+    private func dohProblems() -> [Problem] {
+        ExtensionMonitor.shared.latestReports(kind: "doh").compactMap { report -> Problem? in
+            guard Date().timeIntervalSince(report.date) < warningLifetime else { return nil }
+            let host = report.payload["host"] as? String ?? ""
+            let seen: String
+            switch report.payload["reason"] as? String {
+            case "hostsBypassed":
+                seen = "\(host) was looked up without the hosts file that blocks it"
+            case "unlistedEndpoint":
+                seen = "A page sent DNS queries to \(host)"
+            default:
+                seen = "A page tried to reach \(host), which was blocked"
+            }
+            return Problem(
+                browser: report.browserName,
+                title: "Secure DNS gets around blocking",
+                detail: "\(seen). Turn off secure DNS (DNS-over-HTTPS) in the browser's privacy settings."
+            )
+        }
+    }
+
+    /// What the tamper guard found during locked sessions, newest first,
+    /// each finding once
+    private func tamperProblems() -> [Problem] {
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]  // toISOString()'s format
+        var found: [Problem] = []
+        for report in ExtensionMonitor.shared.latestReports(kind: "tamper") {
+            let events = report.payload["events"] as? [[String: Any]] ?? []
+            for event in events.reversed() {
+                guard let at = (event["at"] as? String).flatMap(formatter.date(from:)),
+                      Date().timeIntervalSince(at) < warningLifetime,
+                      let problem = tamperProblem(event, browser: report.browserName),
+                      !found.contains(where: { $0.id == problem.id }) else { continue }
+                found.append(problem)
+            }
+        }
+        return found
+    }
+
+    private func tamperProblem(_ event: [String: Any], browser: String) -> Problem? {
+        let detail = event["detail"] as? [String: Any] ?? [:]
+        let name = detail["name"] as? String ?? "An extension"
+        switch event["kind"] as? String {
+        case "riskyExtension":
+            return Problem(browser: browser, title: "\(name) could get around blocking",
+                           detail: "It can reroute or rewrite requests. Turn it off, or trust it in Settings › Blocking.")
+        case "extensionDisabled":
+            return Problem(browser: browser, title: "\(name) was turned off",
+                           detail: "It can reroute or rewrite requests, so it stays off until the session ends.")
+        case "proxySettings":
+            let mode = detail["mode"] as? String ?? "unknown"
+            return Problem(browser: browser, title: "Proxy settings changed",
+                           detail: "The browser sends requests through a proxy (\(mode)), which can get around blocking.")
+        case "extensionStore":
+            return Problem(browser: browser, title: "Extension store blocked",
+                           detail: detail["url"] as? String ?? "")
+        case "permissionsRefused":
+            let permissions = detail["permissions"] as? [String] ?? []
+            return Problem(browser: browser, title: "Tamper protection is off",
+                           detail: "Allow \(permissions.joined(separator: " and ")) from the extension's popup.")
+        default:
+            return nil
+        }
+    }
+}
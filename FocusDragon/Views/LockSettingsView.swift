@@ -11,6 +11,8 @@ struct LockSettingsView: View {
     @State private var frozenMinutes: Int = 0
     @State private var frozenMode: FrozenMode = .lockScreen
     @State private var frozenAllowedApps: [BlockItem] = []
+    @State private var frozenAllowedDomains: [String] = []
+    @State private var newAllowedDomain: String = ""
     @State private var showError: Bool = false
     @State private var errorMessage: String = ""
     @State private var protectionLevel: ProtectionLevel = ProtectionLevel.current
@@ -270,6 +272,38 @@ struct LockSettingsView: View {
                             .controlSize(.small)
                         }
                     }
+
+                    Text("Allowed Websites")
+                        .font(AppTheme.bodyFont(11))
+                        .foregroundColor(.secondary)
+                    HStack {
+                        TextField("Domain (e.g. docs.google.com)", text: $newAllowedDomain)
+                            .textFieldStyle(.roundedBorder)
+                            .onSubmit(addFrozenAllowedDomain)
+                        Button("Add", action: addFrozenAllowedDomain)
+                            .buttonStyle(SecondaryButtonStyle())
+                            .disabled(!newAllowedDomain.cleanDomain.isValidDomain)
+                    }
+
+                    ForEach(frozenAllowedDomains, id: \.self) { domain in
+                        HStack {
+                            Text(domain)
+                            Spacer()
+                            Button(role: .destructive) {
+                                frozenAllowedDomains.removeAll { $0 == domain }
+                            } label: {
+                                Image(systemName: "trash")
+                            }
+                            .buttonStyle(SecondaryButtonStyle())
+                            .controlSize(.small)
+                        }
+                    }
+
+                    Text(frozenAllowedDomains.isEmpty
+                         ? "Without allowed websites, browsing stays as it is."
+                         : "Browsers open only these websites until the lock ends.")
+                        .font(AppTheme.bodyFont(11))
+                        .foregroundColor(.secondary)
                 }
             }
 
@@ -382,7 +416,8 @@ struct LockSettingsView: View {
             case .frozen:
                 let duration = TimeInterval(frozenHours * 3600 + frozenMinutes * 60)
                 let allowed = frozenAllowedApps.compactMap { $0.bundleIdentifier }
-                try lockManager.createFrozenLock(duration: duration, mode: frozenMode, allowedApps: allowed)
+                try lockManager.createFrozenLock(duration: duration, mode: frozenMode, allowedApps: allowed,
+                                                 allowedDomains: frozenAllowedDomains)
             default:
                 break
             }
@@ -407,6 +442,15 @@ struct LockSettingsView: View {
         return formatTimeInterval(TimeInterval(total))
     }
 
+    private func addFrozenAllowedDomain() {
+        let domain = newAllowedDomain.cleanDomain.lowercased()
+        guard domain.isValidDomain else { return }
+        if !frozenAllowedDomains.contains(domain) {
+            frozenAllowedDomains.append(domain)
+        }
+        newAllowedDomain = ""
+    }
+
     private func formatFrozenDuration() -> String {
         let total = frozenHours * 3600 + frozenMinutes * 60
         return formatTimeInterval(TimeInterval(total))
@@ -14,6 +14,7 @@ struct StatisticsView: View {
                 heatmapView
                 topBlockedList
                 topBlockedAppsList
+                intentJournalList
                 exportButton
             }
             .padding(24)
@@ -171,6 +172,48 @@ struct StatisticsView: View {
         }
     }
 
+    private var intentJournalList: some View {
+        GroupBox {
+            VStack(alignment: .leading, spacing: 4) {
+                HStack {
+                    Text("Intent Journal")
+                        .font(.headline)
+                    Spacer()
+                    Button("Export CSV") {
+                        if let url = manager.exportIntentJournalCSV() {
+                            NSWorkspace.shared.activateFileViewerSelecting([url])
+                        }
+                    }
+                    .disabled(manager.intentJournal.isEmpty)
+                }
+
+                if manager.intentJournal.isEmpty {
+                    Text("Reasons you give before opening an intent site show up here.")
+                        .font(.caption)
+                        .foregroundColor(.secondary)
+                }
+
+                ForEach(manager.intentJournal.suffix(10).reversed()) { entry in
+                    VStack(alignment: .leading, spacing: 2) {
+                        HStack {
+                            Text(entry.site)
+                                .font(.body)
+                            Spacer()
+                            Text(entry.date, style: .relative)
+                                .font(.caption)
+                                .foregroundColor(.secondary)
+                        }
+                        Text(entry.reason)
+                            .font(.caption)
+                            .foregroundColor(.secondary)
+                    }
+                    .padding(.vertical, 4)
+                }
+            }
+            .frame(maxWidth: .infinity, alignment: .leading)
+        }
+    }
+
     private var heatmapView: some View {
         let days = manager.heatmapData(lastDays: 84)
         let columns = Array(repeating: GridItem(.fixed(12), spacing: 4), count: 7)
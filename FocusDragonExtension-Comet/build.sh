@@ -18,10 +18,16 @@ cp "$SCRIPT_DIR/manifest.json" "$DIST_DIR/"
 cp "$SCRIPT_DIR/background.js" "$DIST_DIR/"
 cp "$SCRIPT_DIR/blocked.html" "$DIST_DIR/"
 cp "$SCRIPT_DIR/blocked.css" "$DIST_DIR/"
+cp "$SCRIPT_DIR/blocked.js" "$DIST_DIR/"
+cp "$SCRIPT_DIR/embed-blocked.html" "$DIST_DIR/"
 cp "$SCRIPT_DIR/rules.json" "$DIST_DIR/"
 cp -r "$SCRIPT_DIR/popup" "$DIST_DIR/"
 cp -r "$SCRIPT_DIR/icons" "$DIST_DIR/"
 
+# Shared engine scripts (also used by the Firefox and Safari extensions)
+mkdir -p "$DIST_DIR/shared"
+cp "$SCRIPT_DIR/../FocusDragonExtension-Shared/"*.js "$DIST_DIR/shared/"
+
 echo ""
 echo "Build complete! Extension in dist/"
 echo ""
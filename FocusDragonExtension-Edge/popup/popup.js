@@ -1,9 +1,14 @@
 // Popup script for FocusDragon Edge extension
 
 async function updateUI() {
-  const data = await chrome.storage.local.get(["blockedDomains", "incognitoAllowed"]);
+  const data = await chrome.storage.local.get([
+    "blockedDomains", "blockedKeywords", "blockingMode", "allowedDomains", "incognitoAllowed", "safeSearch",
+  ]);
   const domains = data.blockedDomains || [];
+  const keywords = data.blockedKeywords || [];
+  const allowedDomains = data.allowedDomains || [];
   const incognitoAllowed = data.incognitoAllowed;
+  const safeSearch = data.safeSearch || null;
 
   const statusIndicator = document.getElementById("status-indicator");
   const statusText = document.getElementById("status-text");
@@ -17,16 +22,39 @@ async function updateUI() {
     incognitoWarning.style.display = "none";
   }
 
-  if (domains.length > 0) {
+  showSafeSearch(safeSearch);
+
+  if (data.blockingMode === "allowlist") {
+    statusIndicator.classList.add("active");
+    statusText.textContent = `Allowlist mode — ${allowedDomains.length} site(s) allowed`;
+
+    blockedList.innerHTML = allowedDomains.length > 0
+      ? allowedDomains
+        .map((domain) => `<div class="blocked-item">✅ ${escapeHtml(domain)}</div>`)
+        .join("")
+      : '<div class="blocked-item">Every site is blocked</div>';
+  } else if (domains.length > 0 || keywords.length > 0) {
     statusIndicator.classList.add("active");
-    statusText.textContent = `Blocking ${domains.length} site(s)`;
+    statusText.textContent = keywords.length > 0
+      ? `Blocking ${domains.length} site(s) and ${keywords.length} keyword(s)`
+      : `Blocking ${domains.length} site(s)`;
 
-    blockedList.innerHTML = domains
+    blockedList.innerHTML = parseBlockEntries(domains)
       .map(
-        (domain) =>
-          `<div class="blocked-item">${escapeHtml(domain)}</div>`
+        (entry) =>
+          `<div class="blocked-item">${escapeHtml(describeBlockEntry(entry))}</div>`
+      )
+      .concat(
+        keywords.map(
+          (keyword) =>
+            `<div class="blocked-item">🔎 ${escapeHtml(keyword)}</div>`
+        )
       )
       .join("");
+  } else if (safeSearch) {
+    statusIndicator.classList.add("active");
+    statusText.textContent = "Enforcing SafeSearch";
+    blockedList.innerHTML = '<div class="blocked-item">No sites blocked</div>';
   } else {
     statusIndicator.classList.remove("active");
     statusText.textContent = "No blocking active";
@@ -34,6 +62,40 @@ async function updateUI() {
   }
 }
 
+// SafeSearch and YouTube Restricted Mode, while a session forces them
+function showSafeSearch(level) {
+  const info = document.getElementById("safe-search-info");
+  info.style.display = level ? "block" : "none";
+  if (!level) return;
+  document.getElementById("safe-search-text").textContent =
+    `SafeSearch and YouTube Restricted Mode (${level}) are on`;
+}
+
+// When an entry's redirectTo sent this tab here, says so and links to the
+// blocked page explaining it
+async function showRedirect() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  const info = await chrome.runtime.sendMessage({ type: "getRedirectInfo", tabId: tab.id, url: tab.url });
+  if (!info) return;
+
+  const entry = info.entries.join(", ");
+  document.getElementById("redirect-entry").textContent = entry;
+  document.getElementById("redirect-info").style.display = "block";
+  document.getElementById("show-blocked-page").addEventListener("click", (e) => {
+    e.preventDefault();
+    const query = new URLSearchParams({ entry, reason: "redirect", to: info.to });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`blocked.html?${query}`) });
+  });
+}
+
+// The tamper guard's optional permissions can only be asked for on a
+// click, so the popup offers them while they are missing
+async function showTamperPermissions() {
+  const missing = await missingGuardPermissions(chrome.permissions);
+  document.getElementById("permissions-warning").style.display = missing.length > 0 ? "block" : "none";
+}
+
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
@@ -53,12 +115,24 @@ document.getElementById("fix-incognito").addEventListener("click", (e) => {
   });
 });
 
+document.getElementById("grant-permissions").addEventListener("click", async (e) => {
+  e.preventDefault();
+  const granted = await chrome.permissions.request({ permissions: TAMPER_GUARD_PERMISSIONS });
+  if (!granted) {
+    chrome.runtime.sendMessage({ type: "tamperPermissionsRefused", permissions: TAMPER_GUARD_PERMISSIONS });
+  }
+  showTamperPermissions();
+});
+
 // Update UI on load
 updateUI();
+showTamperPermissions().catch(() => {});
+showRedirect().catch(() => {});
 
 // Update UI when storage changes
 chrome.storage.onChanged.addListener((changes) => {
-  if (changes.blockedDomains || changes.incognitoAllowed) {
+  if (changes.blockedDomains || changes.blockedKeywords || changes.blockingMode ||
+      changes.allowedDomains || changes.incognitoAllowed || changes.safeSearch) {
     updateUI();
   }
 });
@@ -4,8 +4,18 @@ const NATIVE_APP_NAME = "com.focusdragon.nativehost";
 const STORAGE_KEY = "blockedDomains";
 const STORAGE_BLOCKING_KEY = "isBlocking";
 const EXCEPTIONS_KEY = "urlExceptions";
+const KEYWORDS_KEY = "blockedKeywords";
+const MODE_KEY = "blockingMode";
+const ALLOWED_DOMAINS_KEY = "allowedDomains";
 const PROFILE_ID_KEY = "profileId";
 const HEARTBEAT_INTERVAL_MS = 2000;
+const OFFLINE_CHECK_INTERVAL_MS = 60 * 1000;
+const BUDGET_RESET_KEY = "budgetReset";
+const BUDGET_IDLE_SECONDS = 60;
+const LINK_GUARD_ON_KEY = "linkGuardOn";
+const FEED_ERASERS_KEY = "feedErasers";
+const PAGE_KEYWORDS_LIST_KEY = "pageKeywordList";
+const DOH_ENDPOINTS_KEY = "dohEndpoints";
 
 let nativePort = null;
 let heartbeatTimer = null;
@@ -15,6 +25,41 @@ let blockedDomains = [];
 let isBlocking = false;
 let currentLockState = null;
 let urlExceptions = [];
+let blockEntries = [];
+let urlPatterns = []; // block entries + exceptions, see shared/url-patterns.js
+let inForcePatterns = []; // urlPatterns before budgets, for metering
+let blockedKeywords = [];
+let keywordMatchers = [];
+let allowedChannels = []; // youtubeChannel exceptions, see shared/content-exceptions.js
+let blockingMode = BLOCKING_MODE_BLOCKLIST;
+let allowedDomains = []; // allowlist mode, see shared/allowlist.js
+let lastEntryReport = null; // last rejected/flagged entries sent to the host
+let offlineTimer = null; // set while the host is unreachable
+let scheduleTimer = null; // next look at entry schedules, see shared/schedule-windows.js
+let budgetReset = normalizeBudgetReset(null); // see shared/budgets.js
+let budgetTimer = null; // next look at the page in front while it is metered
+let lastBudgetUsageReport = null; // last budget usage sent to the host
+let appliedBudgetKeys = null; // exhaustedBudgetKeys() urlPatterns was compiled with
+let intentPasses = {}; // entry → when its pass ends, see shared/intent.js
+let linkGuardOn = true; // whether the session marks links, see shared/link-guard.js
+let linkGuardScripts = null; // see replaceContentScripts()
+let feedEraserEntries = []; // the payload's feedErasers, see shared/feed-eraser.js
+let feedErasers = []; // feedEraserEntries compiled
+let feedEraserScripts = null;
+let pageKeywords = []; // see shared/page-keywords.js
+let pageKeywordScripts = null;
+let safeSearch = null; // "strict", "moderate" or null, see shared/safe-search.js
+let dohEndpointEntries = []; // the payload's dohEndpoints, see shared/doh-guard.js
+let dohEndpoints = []; // the bundled endpoints plus dohEndpointEntries
+let extensionGuard = normalizeExtensionGuard(null); // see shared/tamper-guard.js
+const budgetTracker = createBudgetTracker(browser.storage.local);
+const budgetVisitTabs = new Map(); // tab id → metered entry it is on, or null
+const frictionPasses = new Map(); // tab id → { host, timer }, see shared/friction.js
+const continuedTabs = new Map(); // tab id → friction entry it was let through to
+const redirectedTabs = new Map(); // tab id → { entry, to } of its last redirectTo
+const tabSweeper = createTabSweeper(browser.tabs, sweepDestinations);
+const dohWarningsSent = new Set(); // reason and host of each dohWarning sent
+const tamperEventsSent = new Set(); // kind and detail of each tamperEvent sent
 
 const GUARDED_URL_PREFIXES = [
   "about:addons",
@@ -41,6 +86,7 @@ function connectNative() {
       console.log("Native host disconnected");
       nativePort = null;
       stopHeartbeat();
+      goOffline();
       setTimeout(connectNative, 5000);
     });
 
@@ -49,9 +95,48 @@ function connectNative() {
   } catch (error) {
     console.error("Failed to connect to native host:", error);
     nativePort = null;
+    goOffline();
   }
 }
 
+// ─── Offline lock (see shared/offline-lock.js) ──────────────────────
+
+// Keeps the last rules in force and lets the stored lock decide what may
+// change until the host is back. Storage keeps what the host sent; only
+// the in-memory state follows the lock.
+async function goOffline() {
+  await markHostOffline(browser.storage.local, Date.now());
+  if (offlineTimer) return;
+  offlineTimer = setInterval(enforceOfflineLock, OFFLINE_CHECK_INTERVAL_MS);
+  enforceOfflineLock();
+}
+
+async function enforceOfflineLock() {
+  if (nativePort) return;
+  const stored = await browser.storage.local.get([STORAGE_BLOCKING_KEY, MODE_KEY, "lockState"]);
+  const state = offlineBlockingState(
+    { isBlocking: stored[STORAGE_BLOCKING_KEY], mode: stored[MODE_KEY] },
+    stored.lockState,
+    Date.now()
+  );
+  if (state.isBlocking === isBlocking && state.mode === blockingMode) return;
+
+  isBlocking = state.isBlocking;
+  blockingMode = state.mode;
+  compileUrlPatterns();
+  updateWebRequestListener();
+  updateExtensionIcon();
+}
+
+// Called on the host's first block list after a disconnect
+async function reportOfflinePeriod() {
+  clearInterval(offlineTimer);
+  offlineTimer = null;
+  const period = await takeOfflinePeriod(browser.storage.local, Date.now());
+  if (!period || !nativePort) return;
+  nativePort.postMessage({ type: "offlineReport", browser: "firefox", periods: [period] });
+}
+
 function startHeartbeat() {
   stopHeartbeat();
   sendHeartbeat();
@@ -119,10 +204,14 @@ async function sendHeartbeat() {
 }
 
 async function isBlockingActive() {
-  const data = await browser.storage.local.get([STORAGE_KEY, STORAGE_BLOCKING_KEY]);
+  const data = await browser.storage.local.get([
+    STORAGE_KEY, STORAGE_BLOCKING_KEY, KEYWORDS_KEY, MODE_KEY, SAFE_SEARCH_KEY,
+  ]);
   const domains = data[STORAGE_KEY] || [];
+  const keywords = data[KEYWORDS_KEY] || [];
   const blocking = data[STORAGE_BLOCKING_KEY] || false;
-  return blocking && domains.length > 0;
+  return blocking &&
+    (isAllowlistMode(data[MODE_KEY]) || domains.length > 0 || keywords.length > 0 || !!data[SAFE_SEARCH_KEY]);
 }
 
 // ─── Tab Guardian ───────────────────────────────────────────────────
@@ -148,8 +237,12 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
     }
   }
 
-  const ipPattern = /^https?:\/\/(\d{1,3}\.){3}\d{1,3}(:\d+)?(\/|$)/;
-  if (ipPattern.test(url)) {
+  if (await guardExtensionStore(tabId, url)) return;
+
+  // Allowlist mode already blocks every address that isn't allowed
+  if (isAllowlistMode(blockingMode)) return;
+
+  if (isIpLiteralUrl(url)) {
     try {
       await browser.tabs.update(tabId, {
         url: browser.runtime.getURL("blocked.html"),
@@ -177,19 +270,141 @@ browser.tabs.onCreated.addListener(async (tab) => {
       return;
     }
   }
+
+  await guardExtensionStore(tab.id, url);
 });
 
+// ─── Tamper guard (see shared/tamper-guard.js) ──────────────────────
+
+// Whether a lock holds the running session
+async function isStrictSession() {
+  const { lockState } = await browser.storage.local.get("lockState");
+  return (await isBlockingActive()) && isLockActive(lockState || currentLockState, Date.now());
+}
+
+// Looks for extensions and proxy settings that could undo the session, as
+// far as the granted permissions let it
+async function guardSession() {
+  if (!(await isStrictSession())) return;
+  const missing = await missingGuardPermissions(browser.permissions);
+  if (missing.length > 0) reportTamperEvent(TAMPER_PERMISSIONS_REFUSED, { permissions: missing });
+  if (!missing.includes("management")) {
+    await guardExtensions().catch((error) => console.warn("FocusDragon: could not check extensions:", error));
+  }
+  if (!missing.includes("proxy")) {
+    await guardProxySettings().catch((error) => console.warn("FocusDragon: could not check proxy settings:", error));
+  }
+}
+
+// Firefox only lets extensions turn off themes, so risky extensions are
+// reported whatever extensionGuard asks
+async function guardExtensions() {
+  if (extensionGuard.action === EXTENSION_GUARD_OFF) return;
+  const risky = findRiskyExtensions(await browser.management.getAll(), browser.runtime.id, extensionGuard.trusted);
+  for (const extension of risky) {
+    reportTamperEvent(TAMPER_RISKY_EXTENSION, extension);
+  }
+}
+
+async function guardProxySettings() {
+  const details = await browser.proxy.settings.get({});
+  if (!isProxyTampered(details)) return;
+  reportTamperEvent(TAMPER_PROXY_SETTINGS, { levelOfControl: details.levelOfControl, mode: details.value.proxyType });
+}
+
+// Sends tab `tabId`, on its way to `url`, to the blocked page when `url` is
+// an extension store and the session is strict. Returns whether it did.
+async function guardExtensionStore(tabId, url) {
+  if (!isExtensionStoreUrl(url) || !(await isStrictSession())) return false;
+  console.log(`Blocked extension store: ${url}`);
+  reportTamperEvent(TAMPER_EXTENSION_STORE, { url });
+  try {
+    await browser.tabs.update(tabId, { url: browser.runtime.getURL("blocked.html") });
+  } catch {}
+  return true;
+}
+
+// Tells the app about a tamper attempt, once per finding while the
+// extension runs
+function reportTamperEvent(kind, detail) {
+  const key = `${kind} ${JSON.stringify(detail)}`;
+  if (!nativePort || tamperEventsSent.has(key)) return;
+  tamperEventsSent.add(key);
+  console.warn(`FocusDragon: tamper event (${kind}):`, detail);
+  nativePort.postMessage({
+    type: TAMPER_EVENT_TYPE,
+    browser: "firefox",
+    kind,
+    detail,
+    at: new Date().toISOString(),
+  });
+}
+
+function onTamperChange() {
+  guardSession();
+}
+
+// An extension installed or turned on mid-session is looked at right away.
+// management's events and the proxy API need their optional permissions.
+// Firefox doesn't tell about proxy setting changes; they are looked at
+// with every block list update instead.
+async function addTamperListeners() {
+  const missing = await missingGuardPermissions(browser.permissions);
+  if (!missing.includes("management") && !browser.management.onEnabled.hasListener(onTamperChange)) {
+    browser.management.onInstalled.addListener(onTamperChange);
+    browser.management.onEnabled.addListener(onTamperChange);
+  }
+  if (browser.proxy && browser.proxy.settings.onChange && !browser.proxy.settings.onChange.hasListener(onTamperChange)) {
+    browser.proxy.settings.onChange.addListener(onTamperChange);
+  }
+}
+
+addTamperListeners().catch(() => {});
+browser.permissions.onAdded.addListener(() => {
+  addTamperListeners().catch(() => {});
+  guardSession();
+});
+browser.permissions.onRemoved.addListener(onTamperChange);
+
 function handleNativeMessage(message) {
   switch (message.type) {
-    case "updateBlockedDomains":
-      blockedDomains = message.domains || [];
+    case "updateBlockedDomains": {
+      // Bad entries are dropped one by one, see shared/entry-normalize.js
+      const list = normalizeBlockList(message);
+      blockedDomains = list.domains;
       isBlocking = message.isBlocking || false;
-      urlExceptions = message.urlExceptions || [];
+      urlExceptions = list.urlExceptions;
+      blockedKeywords = parseKeywords(message.keywords);
+      blockingMode = message.mode || BLOCKING_MODE_BLOCKLIST;
+      allowedDomains = list.allowedDomains;
+      budgetReset = normalizeBudgetReset(message.budgetReset);
+      linkGuardOn = message.linkGuard !== false;
+      feedEraserEntries = message.feedErasers || [];
+      const erasers = parseFeedErasers(feedEraserEntries);
+      feedErasers = erasers.erasers;
+      pageKeywords = parseKeywords(message.pageKeywords);
+      safeSearch = normalizeSafeSearch(message.safeSearch);
+      dohEndpointEntries = message.dohEndpoints || [];
+      const doh = parseDohEndpoints(dohEndpointEntries);
+      dohEndpoints = doh.endpoints;
+      extensionGuard = normalizeExtensionGuard(message.extensionGuard);
+      compileUrlPatterns();
+      reportEntryProblems([...list.rejected, ...erasers.rejected, ...doh.rejected], list.flagged);
       currentLockState = message.lockState || null;
       browser.storage.local.set({ lockState: currentLockState });
+      reportOfflinePeriod();
+      reportInterruptions();
+      reportIntentJournal();
       updateWebRequestListener();
       updateExtensionIcon();
       persistState();
+      updateBudgetClock();
+      guardSession();
+      break;
+    }
+
+    case "budgetUsage":
+      mergeBudgetUsage(message.usage || {});
       break;
 
     case "blockStatus":
@@ -203,12 +418,405 @@ function handleNativeMessage(message) {
   }
 }
 
+// Tells the app which entries were rejected or look like homoglyphs.
+// Only sent when the report changes.
+function reportEntryProblems(rejected, flagged) {
+  const report = JSON.stringify({ rejected, flagged });
+  if (!nativePort || report === lastEntryReport) return;
+  lastEntryReport = report;
+
+  rejected.forEach((item) => console.warn(`Rejected ${item.list} entry "${item.entry}": ${item.reason}`));
+  nativePort.postMessage({
+    type: "entryReport",
+    browser: "firefox",
+    rejected,
+    flagged,
+  });
+}
+
+function compileUrlPatterns() {
+  blockEntries = parseBlockEntries(blockedDomains);
+  const content = parseContentExceptions(urlExceptions);
+  const patterns = [
+    ...(isAllowlistMode(blockingMode) ? buildAllowlistPatterns(allowedDomains) : []),
+    ...blockEntries,
+    ...parseExceptionEntries(urlExceptions),
+    ...content.patterns,
+  ];
+  // Scheduled entries outside their windows are left out until they change,
+  // budgeted ones until their budget is used up, and intent entries while a
+  // pass is running
+  const now = Date.now();
+  inForcePatterns = patternsInForce(patterns, now);
+  const budgeted = applyBudgets(inForcePatterns, budgetTracker.state(), budgetReset, now);
+  const enforced = applyIntentPasses(budgeted, intentPasses, now);
+  keywordMatchers = compileKeywordMatchers(blockedKeywords);
+  urlPatterns = settleRedirects(enforced, (url) => isUrlBlocked(enforced, keywordMatchers, url));
+  appliedBudgetKeys = exhaustedBudgetKeys(inForcePatterns, budgetTracker.state(), budgetReset, now);
+  armEntrySchedule(earliestTime(
+    nextPatternScheduleChange(patterns, now),
+    nextPatternBudgetReset(patterns, budgetReset, now),
+    nextIntentPassEnd(intentPasses, now)
+  ), timeZoneSignature(now));
+  allowedChannels = content.channels;
+}
+
+// Recompiles at the next schedule change or budget reset, looking again
+// every SCHEDULE_RECHECK_MS in case the timezone changes
+function armEntrySchedule(nextChangeAt, zone) {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  if (nextChangeAt === null) return;
+
+  scheduleTimer = setTimeout(() => {
+    const now = Date.now();
+    if (now >= nextChangeAt || timeZoneSignature(now) !== zone) {
+      compileUrlPatterns();
+      updateWebRequestListener();
+    } else {
+      armEntrySchedule(nextChangeAt, zone);
+    }
+  }, Math.min(nextChangeAt - Date.now(), SCHEDULE_RECHECK_MS));
+}
+
 async function persistState() {
   await browser.storage.local.set({
     [STORAGE_KEY]: blockedDomains,
     [STORAGE_BLOCKING_KEY]: isBlocking,
     [EXCEPTIONS_KEY]: urlExceptions,
+    [KEYWORDS_KEY]: blockedKeywords,
+    [MODE_KEY]: blockingMode,
+    [ALLOWED_DOMAINS_KEY]: allowedDomains,
+    [BUDGET_RESET_KEY]: budgetReset,
+    [LINK_GUARD_ON_KEY]: linkGuardOn,
+    [FEED_ERASERS_KEY]: feedEraserEntries,
+    [PAGE_KEYWORDS_LIST_KEY]: pageKeywords,
+    [SAFE_SEARCH_KEY]: safeSearch,
+    [DOH_ENDPOINTS_KEY]: dohEndpointEntries,
+    [EXTENSION_GUARD_KEY]: extensionGuard,
+  });
+}
+
+// ─── Budgets (see shared/budgets.js) ────────────────────────────────
+
+// The metered entry the user is looking at, with its tab, or null
+async function focusedMeteredTab() {
+  if (!isBlocking) return null;
+  if ((await browser.idle.queryState(BUDGET_IDLE_SECONDS)) !== "active") return null;
+
+  const [tab] = await browser.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url) return null;
+  const focusedWindow = await browser.windows.get(tab.windowId);
+  if (!focusedWindow.focused) return null;
+
+  const pattern = meteredPattern(inForcePatterns, tab.url);
+  return pattern ? { tab, pattern } : null;
+}
+
+// Credits the time spent on the page that was counting and starts counting
+// the one in front now. Runs on every tab, window and idle change, and
+// every BUDGET_TICK_MS while a metered page is in front.
+async function updateBudgetClock() {
+  clearTimeout(budgetTimer);
+  budgetTimer = null;
+
+  const now = Date.now();
+  const front = await focusedMeteredTab();
+  await budgetTracker.setActive(front && front.pattern, inForcePatterns, budgetReset, now);
+  afterBudgetChange();
+  if (!front) return;
+
+  const remaining = budgetRemaining(front.pattern, budgetTracker.state(), budgetReset, now);
+  // The visit that uses up a visit budget still gets to finish
+  if (remaining.seconds === 0) {
+    const [blocked] = applyBudgets([front.pattern], budgetTracker.state(), budgetReset, now);
+    try {
+      await browser.tabs.update(front.tab.id, { url: blockedDestination(blocked, front.tab.url, browser.runtime.getURL("")) });
+    } catch {}
+    return;
+  }
+
+  const wait = remaining.seconds === null ? BUDGET_TICK_MS : Math.min(remaining.seconds * 1000, BUDGET_TICK_MS);
+  budgetTimer = setTimeout(updateBudgetClock, wait);
+}
+
+// A visit is a page load of a metered entry in a tab that wasn't already
+// on it
+async function countBudgetVisit(tabId, url) {
+  const pattern = isBlocking ? meteredPattern(inForcePatterns, url) : null;
+  const previous = budgetVisitTabs.get(tabId);
+  budgetVisitTabs.set(tabId, pattern ? pattern.source : null);
+  if (!pattern || previous === pattern.source) return;
+
+  await budgetTracker.addVisit(pattern, budgetReset, Date.now());
+  afterBudgetChange();
+}
+
+// Takes in the usage of every browser as kept by the native host
+async function mergeBudgetUsage(usage) {
+  await budgetTracker.mergeRemote(usage, "firefox");
+  afterBudgetChange();
+}
+
+// Sends our usage to the host and recompiles when a budget ran out or came
+// back since the last compile
+function afterBudgetChange() {
+  reportBudgetUsage();
+  const keys = exhaustedBudgetKeys(inForcePatterns, budgetTracker.state(), budgetReset, Date.now());
+  if (keys === appliedBudgetKeys) return;
+  compileUrlPatterns();
+  updateWebRequestListener();
+}
+
+// The host keeps every browser's usage and passes it on to the others.
+// Only sent when our usage changes.
+function reportBudgetUsage() {
+  const usage = budgetTracker.state().own;
+  const report = JSON.stringify(usage);
+  if (!nativePort || report === lastBudgetUsageReport) return;
+  lastBudgetUsageReport = report;
+  nativePort.postMessage({ type: "budgetUsage", browser: "firefox", usage });
+}
+
+// What the on-page overlay (shared/budget-overlay.js) shows for `url`:
+// { entry, seconds, visits, resetsAt }, or null when it isn't metered
+function budgetStatus(url) {
+  const pattern = url && isBlocking ? meteredPattern(inForcePatterns, url) : null;
+  if (!pattern) return null;
+
+  const remaining = budgetRemaining(pattern, budgetTracker.state(), budgetReset, Date.now());
+  return {
+    entry: pattern.source,
+    seconds: remaining.seconds,
+    visits: remaining.visits,
+    resetsAt: remaining.resetsAt,
+  };
+}
+
+browser.tabs.onActivated.addListener(() => updateBudgetClock());
+browser.windows.onFocusChanged.addListener(() => updateBudgetClock());
+browser.idle.setDetectionInterval(BUDGET_IDLE_SECONDS);
+browser.idle.onStateChanged.addListener(() => updateBudgetClock());
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) countBudgetVisit(tabId, changeInfo.url);
+  if (tab.active && changeInfo.url) updateBudgetClock();
+});
+
+browser.tabs.onRemoved.addListener((tabId) => budgetVisitTabs.delete(tabId));
+
+// ─── Friction and intent (see shared/friction.js, shared/intent.js) ─
+
+// The entry that sent `url` to the wait or reason page, while it is still
+// enforced as `enforcement`; otherwise `open` says whether nothing blocks
+// `url` any more
+function softBlockState(url, enforcement) {
+  if (!url) return { open: false };
+  if (!isBlocking) return { open: true };
+  const match = matchUrlPatterns(urlPatterns, url);
+  if (match && match.action === PATTERN_ACTION_BLOCK && match.enforcement === enforcement) return { match };
+  return { open: !isUrlBlocked(urlPatterns, keywordMatchers, url) };
+}
+
+// Starts the wait page's countdown for `url` in tab `tabId`
+async function startFriction(tabId, url) {
+  const state = softBlockState(url, ENFORCEMENT_FRICTION);
+  if (!state.match) return state.open ? { open: true } : { blocked: true };
+  return beginFriction(browser.storage.local, state.match.source, url, tabId, Date.now());
+}
+
+// "Continue anyway": lets the tab's next page load through and reports it.
+// Returns { url } to go to, or null when the token isn't accepted.
+async function continueFriction(tabId, token) {
+  const passed = await redeemFrictionToken(browser.storage.local, token, tabId, Date.now());
+  if (!passed) return null;
+
+  closeFrictionPass(tabId);
+  frictionPasses.set(tabId, {
+    host: new URL(passed.url).hostname,
+    timer: setTimeout(() => closeFrictionPass(tabId), FRICTION_PASS_MS),
   });
+  continuedTabs.set(tabId, passed.entry);
+
+  await queueHostReport(browser.storage.local, FRICTION_REPORTS_KEY, {
+    entry: passed.entry,
+    at: new Date().toISOString(),
+  });
+  reportInterruptions();
+  return { url: passed.url };
+}
+
+// What the reason page needs for `url`
+function startIntent(url) {
+  const state = softBlockState(url, ENFORCEMENT_INTENT);
+  if (!state.match) return state.open ? { open: true } : { blocked: true };
+  return { minLength: INTENT_MIN_REASON_LENGTH, minutes: intentPassMinutes(state.match) };
+}
+
+// A reason for opening `url`: opens its entry for a while and journals the
+// reason. Returns { url } once it is let through, or { error }.
+async function grantIntent(url, reason) {
+  const state = softBlockState(url, ENFORCEMENT_INTENT);
+  if (!state.match) return state.open ? { url } : { error: "This site is blocked" };
+
+  const now = Date.now();
+  const granted = await grantIntentPass(browser.storage.local, state.match, url, reason, now);
+  if (granted.error) return granted;
+  intentPasses = await loadIntentPasses(browser.storage.local, now);
+  compileUrlPatterns();
+  updateWebRequestListener();
+  reportIntentJournal();
+  return { url };
+}
+
+function closeFrictionPass(tabId) {
+  const pass = frictionPasses.get(tabId);
+  if (pass) clearTimeout(pass.timer);
+  frictionPasses.delete(tabId);
+}
+
+// Whether a page load of `url` in tab `tabId` has a pass. Like the
+// declarativeNetRequest pass, it covers the host and its subdomains.
+function hasFrictionPass(tabId, url) {
+  const pass = frictionPasses.get(tabId);
+  if (!pass) return false;
+  const host = new URL(url).hostname;
+  return host === pass.host || host.endsWith(`.${pass.host}`);
+}
+
+// Sends what the host hasn't seen yet of the queue under `key`, as
+// `field` of a `type` message; it waits in storage while the host is away
+async function flushHostReports(key, type, field) {
+  if (!nativePort) return;
+  const items = await takeHostReports(browser.storage.local, key);
+  if (items.length === 0) return;
+  try {
+    nativePort.postMessage({ type, browser: "firefox", [field]: items });
+  } catch {
+    await requeueHostReports(browser.storage.local, key, items);
+  }
+}
+
+// Continues past the wait page, which the app counts as interruptions
+function reportInterruptions() {
+  return flushHostReports(FRICTION_REPORTS_KEY, "interruptionReport", "events");
+}
+
+function reportIntentJournal() {
+  return flushHostReports(INTENT_REPORTS_KEY, "intentJournal", "entries");
+}
+
+// A pass is spent by the page load it was opened for; a tab back on our
+// own pages has left the page it continued to
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  closeFrictionPass(tabId);
+  if (changeInfo.url.startsWith(SELF_PREFIX)) continuedTabs.delete(tabId);
+});
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  closeFrictionPass(tabId);
+  continuedTabs.delete(tabId);
+  redirectedTabs.delete(tabId);
+});
+
+// Why tab `tabId`, now at `url`, was sent there instead of being shown the
+// blocked page (see redirectTo in shared/url-patterns.js): { entries, to },
+// or null when it wasn't. For the popup.
+function redirectInfo(tabId, url) {
+  const redirect = redirectedTabs.get(tabId);
+  if (!redirect || !url || new URL(url).origin !== new URL(redirect.to).origin) return null;
+  return { entries: [redirect.entry], to: redirect.to };
+}
+
+// What blocks `url`, for a blocked page that only knows the URL
+function explainBlock(url) {
+  return explainBlockedUrl(urlPatterns, keywordMatchers, url);
+}
+
+// ─── Open tabs (see shared/tab-sweep.js) ────────────────────────────
+
+// Where each open tab has to go while the listeners are on
+function sweepDestinations() {
+  const extensionUrl = browser.runtime.getURL("");
+  return (tabId, url) => isEnforcing()
+    ? sweepDestination(urlPatterns, keywordMatchers, url, extensionUrl, continuedTabs.get(tabId))
+    : null;
+}
+
+// Single-page apps change pages without a request the listeners would see
+browser.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId === 0) tabSweeper.navigated(details.tabId, details.url);
+});
+
+browser.tabs.onRemoved.addListener((tabId) => tabSweeper.forget(tabId));
+
+// ─── On-demand content scripts ──────────────────────────────────────
+
+// The content scripts sessions turn on (link guard, feed eraser, page
+// keywords) are registered with contentScripts.register() only where they
+// have something to do. Registrations last as long as this background page
+// does. Takes what the last call returned and gives back what to keep:
+// { matches, registered } or null when `matches` is empty.
+function replaceContentScripts(current, files, matches, runAt) {
+  if (JSON.stringify(matches) === JSON.stringify(current ? current.matches : [])) return current;
+  if (current) current.registered.then((scripts) => scripts.unregister(), () => {});
+  if (matches.length === 0) return null;
+  return {
+    matches,
+    registered: browser.contentScripts.register({ js: files.map((file) => ({ file })), matches, runAt }),
+  };
+}
+
+// ─── Link guard (see shared/link-guard.js) ──────────────────────────
+
+// Hands link-marker.js what to mark, or null, and keeps its scripts
+// registered only while there is something to mark
+async function publishLinkGuard() {
+  const snapshot = linkGuardOn && isEnforcing() ? linkGuardSnapshot(urlPatterns, keywordMatchers) : null;
+  linkGuardScripts = replaceContentScripts(
+    linkGuardScripts, LINK_GUARD_FILES, snapshot ? LINK_GUARD_MATCHES : [], "document_idle"
+  );
+  await browser.storage.local.set({ [LINK_GUARD_KEY]: snapshot });
+}
+
+// ─── Feed eraser (see shared/feed-eraser.js) ────────────────────────
+
+// Hands feed-hider.js the session's feed erasers, or null, and registers
+// it on their hosts only. A session with nothing to block can still erase
+// feeds.
+async function publishFeedEraser() {
+  const erasers = isBlocking && feedErasers.length > 0 ? feedErasers : null;
+  feedEraserScripts = replaceContentScripts(
+    feedEraserScripts, FEED_ERASER_FILES, erasers ? feedEraserMatches(erasers) : [], "document_start"
+  );
+  await browser.storage.local.set({ [FEED_ERASER_KEY]: erasers });
+}
+
+// ─── Page keywords (see shared/page-keywords.js) ────────────────────
+
+// Hands page-check.js the session's page keywords, or null, and registers
+// it only while there are any
+async function publishPageKeywords() {
+  const keywords = isBlocking && pageKeywords.length > 0 ? pageKeywords : null;
+  pageKeywordScripts = replaceContentScripts(
+    pageKeywordScripts, PAGE_KEYWORDS_FILES, keywords ? PAGE_KEYWORDS_MATCHES : [], "document_idle"
+  );
+  await browser.storage.local.set({ [PAGE_KEYWORDS_KEY]: keywords });
+}
+
+// page-check.js found `keyword` on the page at `url` in tab `tabId`
+async function blockPageKeyword(tabId, url, keyword) {
+  if (!isBlocking || !isPageKeywordBlocked(urlPatterns, pageKeywords, url, keyword)) return;
+  console.log(`Blocked page containing "${keyword}": ${url}`);
+  try {
+    await browser.tabs.update(tabId, { url: pageKeywordBlockedUrl(keyword, url, browser.runtime.getURL("")) });
+  } catch {}
+}
+
+// Whether there is anything to block right now
+function isEnforcing() {
+  return isBlocking && (isAllowlistMode(blockingMode) || blockEntries.length > 0 || blockedKeywords.length > 0);
 }
 
 function updateWebRequestListener() {
@@ -218,83 +826,246 @@ function updateWebRequestListener() {
   if (browser.webRequest.onBeforeRequest.hasListener(blockIPAddress)) {
     browser.webRequest.onBeforeRequest.removeListener(blockIPAddress);
   }
+  if (browser.webRequest.onBeforeRequest.hasListener(blockNonCanonicalUrl)) {
+    browser.webRequest.onBeforeRequest.removeListener(blockNonCanonicalUrl);
+  }
+  if (browser.webRequest.onBeforeRequest.hasListener(blockKeywords)) {
+    browser.webRequest.onBeforeRequest.removeListener(blockKeywords);
+  }
+  if (browser.webRequest.onBeforeRequest.hasListener(blockWrappedUrl)) {
+    browser.webRequest.onBeforeRequest.removeListener(blockWrappedUrl);
+  }
+  if (browser.webRequest.onBeforeRequest.hasListener(forceSafeSearch)) {
+    browser.webRequest.onBeforeRequest.removeListener(forceSafeSearch);
+  }
+  if (browser.webRequest.onBeforeSendHeaders.hasListener(restrictYoutube)) {
+    browser.webRequest.onBeforeSendHeaders.removeListener(restrictYoutube);
+  }
+  if (browser.webRequest.onBeforeRequest.hasListener(blockDohEndpoint)) {
+    browser.webRequest.onBeforeRequest.removeListener(blockDohEndpoint);
+  }
+  if (browser.webRequest.onBeforeRequest.hasListener(noteDohQuery)) {
+    browser.webRequest.onBeforeRequest.removeListener(noteDohQuery);
+  }
+  if (browser.webRequest.onResponseStarted.hasListener(noteHostsFileResponse)) {
+    browser.webRequest.onResponseStarted.removeListener(noteHostsFileResponse);
+  }
+
+  const allowlist = isAllowlistMode(blockingMode);
+
+  if (isEnforcing()) {
+    // In allowlist mode the catch-all can't be expressed as a match
+    // pattern, so this listens to every URL
+    const patterns = generateUrlPatterns(urlPatterns);
+
+    if (patterns.length > 0) {
+      browser.webRequest.onBeforeRequest.addListener(
+        blockBlockedDomains,
+        { urls: patterns, types: [...MAIN_FRAME_RESOURCE_TYPES, ...EMBEDDED_RESOURCE_TYPES] },
+        ["blocking"]
+      );
+    }
 
-  if (isBlocking && blockedDomains.length > 0) {
-    const patterns = generateUrlPatterns(blockedDomains);
+    if (keywordMatchers.length > 0) {
+      browser.webRequest.onBeforeRequest.addListener(
+        blockKeywords,
+        { urls: ["<all_urls>"], types: ["main_frame"] },
+        ["blocking"]
+      );
+    }
 
     browser.webRequest.onBeforeRequest.addListener(
-      blockBlockedDomains,
-      { urls: patterns, types: ["main_frame"] },
+      blockWrappedUrl,
+      { urls: ["<all_urls>"], types: ["main_frame"] },
       ["blocking"]
     );
 
+    // DNS-over-HTTPS goes around the hosts file, see shared/doh-guard.js
+    browser.webRequest.onBeforeRequest.addListener(
+      blockDohEndpoint,
+      { urls: dohEndpointMatchPatterns(dohEndpoints) },
+      ["blocking"]
+    );
+
+    browser.webRequest.onBeforeRequest.addListener(
+      noteDohQuery,
+      { urls: [DOH_QUERY_MATCH_PATTERN] }
+    );
+
+    const hostsFile = hostsFileDomains(blockedDomains);
+    if (hostsFile.length > 0) {
+      browser.webRequest.onResponseStarted.addListener(
+        noteHostsFileResponse,
+        { urls: hostsFileMatchPatterns(hostsFile) }
+      );
+    }
+
+    // Allowlist mode already blocks every address that isn't allowed,
+    // including private ones used by captive portals
+    if (!allowlist) {
+      browser.webRequest.onBeforeRequest.addListener(
+        blockIPAddress,
+        { urls: ["<all_urls>"], types: ["main_frame"] },
+        ["blocking"]
+      );
+
+      browser.webRequest.onBeforeRequest.addListener(
+        blockNonCanonicalUrl,
+        { urls: ["<all_urls>"], types: ["main_frame"] },
+        ["blocking"]
+      );
+    }
+  }
+
+  // A session with nothing to block can still force SafeSearch
+  if (isBlocking && safeSearch) {
     browser.webRequest.onBeforeRequest.addListener(
-      blockIPAddress,
+      forceSafeSearch,
       { urls: ["<all_urls>"], types: ["main_frame"] },
       ["blocking"]
     );
+
+    browser.webRequest.onBeforeSendHeaders.addListener(
+      restrictYoutube,
+      {
+        urls: YOUTUBE_RESTRICT_DOMAINS.flatMap((domain) => [`*://${domain}/*`, `*://*.${domain}/*`]),
+        types: ["main_frame", "sub_frame", "xmlhttprequest"],
+      },
+      ["blocking", "requestHeaders"]
+    );
   }
+
+  // Tabs already open on what is blocked now get their grace
+  tabSweeper.sweep().catch(() => {});
+  publishLinkGuard().catch((error) => console.warn("FocusDragon: could not update the link guard:", error));
+  publishFeedEraser().catch((error) => console.warn("FocusDragon: could not update the feed eraser:", error));
+  publishPageKeywords().catch((error) => console.warn("FocusDragon: could not update the page keywords:", error));
 }
 
+// Also sees frames and background requests; only blockEmbedded entries
+// block those (see shared/url-patterns.js)
 function blockBlockedDomains(details) {
-  if (isAllowedByException(details.url)) {
+  if (details.url.startsWith(SELF_PREFIX)) return undefined;
+  // Listener patterns only pre-select hosts; the shared matcher decides
+  const initiator = details.originUrl || details.documentUrl;
+  const match = matchUrlPatterns(urlPatterns, details.url, details.type, initiator);
+  if (!match || match.action !== PATTERN_ACTION_BLOCK) {
+    return undefined;
+  }
+  if (details.type === "main_frame") {
+    if (hasFrictionPass(details.tabId, details.url)) return undefined;
+    if (match.redirectTo) redirectedTabs.set(details.tabId, { entry: match.source, to: match.redirectTo });
+    return { redirectUrl: blockedDestination(match, details.url, browser.runtime.getURL("")) };
+  }
+  if (details.type === "sub_frame") {
+    return { redirectUrl: browser.runtime.getURL("embed-blocked.html") };
+  }
+  return { cancel: true };
+}
+
+// Keyword blocks give way to any exception that matches the URL
+function blockKeywords(details) {
+  if (!findBlockedKeyword(keywordMatchers, details.url)) {
+    return undefined;
+  }
+  if (isAllowedByException(details.url) || hasFrictionPass(details.tabId, details.url)) {
     return undefined;
   }
-  return { redirectUrl: browser.runtime.getURL("blocked.html") };
+  return { redirectUrl: blockedDestination(null, details.url, browser.runtime.getURL("")) };
 }
 
+// IPv4 in any notation (decimal, hex, octal, shortened) and IPv6 literals
 function blockIPAddress(details) {
-  const ipPattern = /^https?:\/\/(\d{1,3}\.){3}\d{1,3}(:\d+)?(\/|$)/;
-  if (ipPattern.test(details.url)) {
+  if (isIpLiteralUrl(details.url)) {
     return { redirectUrl: browser.runtime.getURL("blocked.html") };
   }
   return undefined;
 }
 
-function generateUrlPatterns(domains) {
-  const patterns = [];
-  for (const domain of domains) {
-    patterns.push(`*://${domain}/*`);
-    patterns.push(`*://www.${domain}/*`);
-    patterns.push(`*://*.${domain}/*`);
+// Match patterns see the host as written, so `reddit.com.` or
+// `user@reddit.com` never reach blockBlockedDomains; check the canonical form
+function blockNonCanonicalUrl(details) {
+  if (canonicalizeUrl(details.url) === details.url) return undefined;
+  if (isUrlBlocked(urlPatterns, keywordMatchers, details.url)) {
+    const match = matchUrlPatterns(urlPatterns, details.url);
+    return { redirectUrl: blockedDestination(match, details.url, browser.runtime.getURL("")) };
   }
-  return patterns;
+  return undefined;
 }
 
-function isAllowedByException(url) {
-  if (!urlExceptions || urlExceptions.length === 0) return false;
+// Match patterns see the wrapper's host, so a blocked site behind a proxy,
+// cache or archive never reaches blockBlockedDomains; check what it wraps
+// (see shared/url-wrappers.js)
+function blockWrappedUrl(details) {
+  if (!isWrapperUrl(details.url)) return undefined;
+  const blocked = findBlockedWrappedUrl(urlPatterns, keywordMatchers, details.url);
+  if (!blocked || hasFrictionPass(details.tabId, blocked)) return undefined;
+  const match = matchUrlPatterns(urlPatterns, blocked);
+  return { redirectUrl: blockedDestination(match, blocked, browser.runtime.getURL("")) };
+}
 
-  let parsed;
-  try {
-    parsed = new URL(url);
-  } catch {
-    return false;
-  }
+// ─── SafeSearch (see shared/safe-search.js) ─────────────────────────
+
+function forceSafeSearch(details) {
+  const redirectUrl = safeSearchUrl(details.url);
+  return redirectUrl ? { redirectUrl } : undefined;
+}
 
-  const host = parsed.hostname.toLowerCase();
-  const path = parsed.pathname || "/";
+function restrictYoutube(details) {
+  const requestHeaders = details.requestHeaders
+    .filter((header) => header.name.toLowerCase() !== YOUTUBE_RESTRICT_HEADER.toLowerCase());
+  requestHeaders.push({ name: YOUTUBE_RESTRICT_HEADER, value: youtubeRestrictHeader(safeSearch) });
+  return { requestHeaders };
+}
 
-  for (const exception of urlExceptions) {
-    const domain = (exception.domain || "").toLowerCase();
-    if (!domain) continue;
+// ─── DNS-over-HTTPS (see shared/doh-guard.js) ───────────────────────
 
-    const hostMatches =
-      host === domain ||
-      host === `www.${domain}` ||
-      host.endsWith(`.${domain}`);
+// Every resource type, ahead of exceptions
+function blockDohEndpoint(details) {
+  reportDohWarning(DOH_REASON_ENDPOINT, canonicalHostOf(details.url));
+  return { cancel: true };
+}
 
-    if (!hostMatches) continue;
+function noteDohQuery(details) {
+  if (findDohEndpoint(dohEndpoints, details.url)) return;
+  reportDohWarning(DOH_REASON_UNLISTED, canonicalHostOf(details.url));
+}
 
-    const allowedPaths = exception.allowedPaths || [];
-    for (const rawPath of allowedPaths) {
-      const normalized = rawPath.startsWith("/") ? rawPath : `/${rawPath}`;
-      if (path.startsWith(normalized)) {
-        return true;
-      }
-    }
+// Through a proxy the address is the proxy's
+function noteHostsFileResponse(details) {
+  if (details.proxyInfo || !isHostsFileBypassed(details.ip)) return;
+  reportDohWarning(DOH_REASON_HOSTS_BYPASSED, canonicalHostOf(details.url));
+}
+
+// Tells the app DNS seems to go around the hosts file, once per reason and
+// host while the extension runs
+function reportDohWarning(reason, host) {
+  const key = `${reason} ${host}`;
+  if (!nativePort || dohWarningsSent.has(key)) return;
+  dohWarningsSent.add(key);
+  console.warn(`FocusDragon: DNS-over-HTTPS looks to be in use (${reason}: ${host})`);
+  nativePort.postMessage({
+    type: DOH_WARNING_TYPE,
+    browser: "firefox",
+    reason,
+    host,
+  });
+}
+
+function generateUrlPatterns(entries) {
+  const patterns = [];
+  for (const entry of entries) {
+    if (entry.action !== PATTERN_ACTION_BLOCK) continue;
+    const entryPatterns = patternMatchPatterns(entry);
+    if (!entryPatterns) return ["<all_urls>"];
+    patterns.push(...entryPatterns);
   }
+  return patterns;
+}
 
-  return false;
+function isAllowedByException(url) {
+  const match = matchUrlPatterns(urlPatterns, url);
+  return !!match && match.action === PATTERN_ACTION_ALLOW;
 }
 
 function updateExtensionIcon() {
@@ -317,14 +1088,54 @@ function updateExtensionIcon() {
 }
 
 async function restoreFromStorage() {
-  const data = await browser.storage.local.get([STORAGE_KEY, STORAGE_BLOCKING_KEY]);
+  const data = await browser.storage.local.get([
+    STORAGE_KEY, STORAGE_BLOCKING_KEY, EXCEPTIONS_KEY, KEYWORDS_KEY, MODE_KEY, ALLOWED_DOMAINS_KEY,
+    BUDGET_RESET_KEY, LINK_GUARD_ON_KEY, FEED_ERASERS_KEY, PAGE_KEYWORDS_LIST_KEY, SAFE_SEARCH_KEY,
+    DOH_ENDPOINTS_KEY, EXTENSION_GUARD_KEY,
+  ]);
+  await budgetTracker.load();
+  intentPasses = await loadIntentPasses(browser.storage.local, Date.now());
   blockedDomains = data[STORAGE_KEY] || [];
   isBlocking = data[STORAGE_BLOCKING_KEY] || false;
+  urlExceptions = data[EXCEPTIONS_KEY] || [];
+  blockedKeywords = data[KEYWORDS_KEY] || [];
+  blockingMode = data[MODE_KEY] || BLOCKING_MODE_BLOCKLIST;
+  allowedDomains = data[ALLOWED_DOMAINS_KEY] || [];
+  budgetReset = normalizeBudgetReset(data[BUDGET_RESET_KEY]);
+  linkGuardOn = data[LINK_GUARD_ON_KEY] !== false;
+  feedEraserEntries = data[FEED_ERASERS_KEY] || [];
+  feedErasers = parseFeedErasers(feedEraserEntries).erasers;
+  pageKeywords = data[PAGE_KEYWORDS_LIST_KEY] || [];
+  safeSearch = normalizeSafeSearch(data[SAFE_SEARCH_KEY]);
+  dohEndpointEntries = data[DOH_ENDPOINTS_KEY] || [];
+  dohEndpoints = parseDohEndpoints(dohEndpointEntries).endpoints;
+  extensionGuard = normalizeExtensionGuard(data[EXTENSION_GUARD_KEY]);
+  compileUrlPatterns();
   updateWebRequestListener();
   updateExtensionIcon();
+  updateBudgetClock();
 }
 
-browser.runtime.onMessage.addListener((message) => {
+// YouTube watch pages are let through when a channel exception exists;
+// youtube-metadata.js reports the channel and we decide here.
+async function checkPageContent(tabId, url, channel) {
+  if (!isBlocking || allowedChannels.length === 0) return;
+
+  if (shouldBlockAfterContentCheck(urlPatterns, keywordMatchers, allowedChannels, url, channel)) {
+    // A page someone continued to past the wait page stays open
+    const match = matchUrlPatterns(urlPatterns.filter((pattern) => !pattern.deferred), url);
+    if (match && match.source === continuedTabs.get(tabId)) return;
+
+    console.log(`Blocked video outside allowed channels: ${url}`);
+    try {
+      await browser.tabs.update(tabId, {
+        url: blockedDestination(match, url, browser.runtime.getURL("")),
+      });
+    } catch {}
+  }
+}
+
+browser.runtime.onMessage.addListener((message, sender) => {
   if (message.type === "openApp") {
     if (nativePort) {
       nativePort.postMessage({ type: "openApp" });
@@ -333,35 +1144,86 @@ browser.runtime.onMessage.addListener((message) => {
   }
 
   if (message.type === "getStatus") {
-    return browser.storage.local.get([STORAGE_KEY, STORAGE_BLOCKING_KEY]).then((result) => {
+    return browser.storage.local.get([
+      STORAGE_KEY, STORAGE_BLOCKING_KEY, KEYWORDS_KEY, MODE_KEY, ALLOWED_DOMAINS_KEY, SAFE_SEARCH_KEY,
+    ]).then((result) => {
       const domains = result[STORAGE_KEY] || [];
+      const keywords = result[KEYWORDS_KEY] || [];
       const blocking = result[STORAGE_BLOCKING_KEY] || false;
+      const mode = result[MODE_KEY] || BLOCKING_MODE_BLOCKLIST;
       return {
-        isBlocking: blocking && domains.length > 0,
+        isBlocking: blocking &&
+          (isAllowlistMode(mode) || domains.length > 0 || keywords.length > 0 || !!result[SAFE_SEARCH_KEY]),
         domains: domains,
+        keywords: keywords,
+        mode: mode,
+        allowedDomains: result[ALLOWED_DOMAINS_KEY] || [],
         connected: nativePort !== null,
       };
     });
   }
 
+  if (message.type === "tamperPermissionsRefused") {
+    reportTamperEvent(TAMPER_PERMISSIONS_REFUSED, { permissions: message.permissions });
+    return Promise.resolve({ success: true });
+  }
+
+  if (message.type === "pageMetadata") {
+    if (sender.tab) checkPageContent(sender.tab.id, message.url, message.channel);
+    return Promise.resolve({ success: true });
+  }
+
+  if (message.type === "getBudgetStatus") {
+    return Promise.resolve(budgetStatus(sender.tab && sender.tab.url));
+  }
+
+  if (message.type === "beginFriction") {
+    return sender.tab ? startFriction(sender.tab.id, message.url) : undefined;
+  }
+
+  if (message.type === "continueFriction") {
+    return sender.tab ? continueFriction(sender.tab.id, message.token) : undefined;
+  }
+
+  if (message.type === "beginIntent") {
+    return Promise.resolve(startIntent(message.url));
+  }
+
+  if (message.type === "grantIntent") {
+    return grantIntent(message.url, message.reason);
+  }
+
+  if (message.type === "getRedirectInfo") {
+    return Promise.resolve(redirectInfo(message.tabId, message.url));
+  }
+
+  if (message.type === "pageKeywordFound") {
+    if (sender.tab && sender.frameId === 0) blockPageKeyword(sender.tab.id, sender.tab.url, message.keyword);
+    return undefined;
+  }
+  if (message.type === "explainBlock") {
+    return Promise.resolve(explainBlock(message.url));
+  }
+
   if (message.type === "getLockInfo") {
     return browser.storage.local.get("lockState").then((result) => {
-      return { lockState: result.lockState || currentLockState || null };
+      return { lockState: resolveLockState(result.lockState || currentLockState, Date.now()), mode: blockingMode };
     });
   }
 
   return undefined;
 });
 
-// Initialize
+// Initialize. The background page loads again with every browser start,
+// so this is also the startup path: a second connection from onStartup
+// would race this one to deliver the block list.
 restoreFromStorage().finally(() => {
   connectNative();
 });
 
-browser.runtime.onStartup.addListener(() => {
-  connectNative();
-});
-
 browser.runtime.onInstalled.addListener((details) => {
   console.log("Extension installed:", details.reason);
+
+  // The popup asks for the tamper guard's permissions
+  if (details.reason === "install") browser.tabs.create({ url: browser.runtime.getURL("popup/popup.html") });
 });
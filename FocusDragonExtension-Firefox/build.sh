@@ -16,9 +16,15 @@ cp "$SCRIPT_DIR/manifest.json" "$DIST_DIR/"
 cp "$SCRIPT_DIR/background.js" "$DIST_DIR/"
 cp "$SCRIPT_DIR/blocked.html" "$DIST_DIR/"
 cp "$SCRIPT_DIR/blocked.css" "$DIST_DIR/"
+cp "$SCRIPT_DIR/blocked.js" "$DIST_DIR/"
+cp "$SCRIPT_DIR/embed-blocked.html" "$DIST_DIR/"
 cp -r "$SCRIPT_DIR/popup" "$DIST_DIR/"
 cp -r "$SCRIPT_DIR/icons" "$DIST_DIR/"
 
+# Shared engine scripts (also used by the Chromium and Safari extensions)
+mkdir -p "$DIST_DIR/shared"
+cp "$SCRIPT_DIR/../FocusDragonExtension-Shared/"*.js "$DIST_DIR/shared/"
+
 chmod +x "$SCRIPT_DIR/build.sh" || true
 
 echo ""
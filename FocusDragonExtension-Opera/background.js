@@ -1,17 +1,67 @@
 // Background service worker for FocusDragon Chrome extension
 
+importScripts(
+  "shared/url-normalize.js",
+  "shared/url-wrappers.js",
+  "shared/schedule-windows.js",
+  "shared/budgets.js",
+  "shared/url-patterns.js",
+  "shared/friction.js",
+  "shared/intent.js",
+  "shared/keywords.js",
+  "shared/safe-search.js",
+  "shared/doh-guard.js",
+  "shared/content-exceptions.js",
+  "shared/allowlist.js",
+  "shared/offline-lock.js",
+  "shared/tamper-guard.js",
+  "shared/entry-normalize.js",
+  "shared/tab-sweep.js",
+  "shared/content-scripts.js",
+  "shared/link-guard.js",
+  "shared/feed-eraser.js",
+  "shared/page-keywords.js",
+  "shared/rule-budget.js",
+  "shared/rule-sync.js"
+);
+
 const NATIVE_APP_NAME = "com.focusdragon.nativehost";
 const BROWSER_NAME = "opera";
 const STORAGE_KEY = "blockedDomains";
 const EXCEPTIONS_KEY = "urlExceptions";
+const KEYWORDS_KEY = "blockedKeywords";
+const MODE_KEY = "blockingMode";
+const ALLOWED_DOMAINS_KEY = "allowedDomains";
 const PROFILE_ID_KEY = "profileId";
-const RULE_ID_START = 1;
 const HEARTBEAT_INTERVAL_MS = 2000; // Tightened: 2s (was 3s)
+const OFFLINE_ALARM = "offlineLock";
+const OFFLINE_CHECK_MINUTES = 1;
+const SCHEDULE_ALARM = "entrySchedule";
+const SCHEDULE_CHECK_KEY = "entryScheduleCheck"; // { nextChangeAt, zone }
+const BUDGET_RESET_KEY = "budgetReset";
+const BUDGET_ALARM = "budgetTick";
+const BUDGET_IDLE_SECONDS = 60;
 
 // Connect to native host
 let nativePort = null;
 let heartbeatTimer = null;
 let heartbeatSeq = 0; // Monotonically increasing sequence counter
+let currentLockState = null;
+let lastEntryReport = null; // last rejected/flagged entries sent to the host
+let lastBudgetReport = null; // last rule budget overflow sent to the host
+let lastSyncError = null; // message of the last failed rule update, if any
+let lastBudgetUsageReport = null; // last budget usage sent to the host
+let appliedBudgetKeys = null; // exhaustedBudgetKeys() the installed rules were built with
+let dohEndpoints = []; // endpoints blocked this session, see shared/doh-guard.js
+const queueRuleUpdate = createUpdateQueue();
+const queueBudgetClock = createUpdateQueue();
+const budgetTracker = createBudgetTracker(chrome.storage.local);
+const budgetVisitTabs = new Map(); // tab id → metered entry it is on, or null
+const frictionPassTabs = new Map(); // tab id → timer closing its friction pass
+const continuedTabs = new Map(); // tab id → friction entry it was let through to
+const tabSweeper = createTabSweeper(chrome.tabs, sweepDestinations);
+const dohWarningsSent = new Set(); // reason and host of each dohWarning sent
+const tamperEventsSent = new Set(); // kind and detail of each tamperEvent sent
 
 function connectNative() {
   try {
@@ -26,6 +76,7 @@ function connectNative() {
       console.log("Native host disconnected");
       nativePort = null;
       stopHeartbeat();
+      goOffline();
 
       // Retry connection after 5 seconds
       setTimeout(connectNative, 5000);
@@ -39,9 +90,312 @@ function connectNative() {
   } catch (error) {
     console.error("Failed to connect to native host:", error);
     nativePort = null;
+    goOffline();
+  }
+}
+
+// ─── Offline lock (see shared/offline-lock.js) ──────────────────────
+
+// Keeps the last rules in force and lets the stored lock decide what may
+// change until the host is back.
+async function goOffline() {
+  if (!(await chrome.alarms.get(OFFLINE_ALARM))) {
+    chrome.alarms.create(OFFLINE_ALARM, { periodInMinutes: OFFLINE_CHECK_MINUTES });
+  }
+  if (await markHostOffline(chrome.storage.local, Date.now())) enforceOfflineLock();
+}
+
+async function enforceOfflineLock() {
+  if (nativePort) return;
+  applyStoredList();
+}
+
+// Rebuilds the rules from the last list the host sent, as the stored lock
+// allows when the host is away
+async function applyStoredList() {
+  const stored = await chrome.storage.local.get([HOST_LIST_KEY, "lockState"]);
+  const list = stored[HOST_LIST_KEY];
+  if (!list) return;
+
+  const state = nativePort ? list : offlineBlockingState(list, stored.lockState, Date.now());
+  return queueRuleUpdate(() => updateBlockingRules(
+    list.domains,
+    state.isBlocking,
+    list.urlExceptions,
+    list.keywords,
+    state.mode,
+    list.allowedDomains,
+    list.budgetReset,
+    list.linkGuard !== false,
+    list.feedErasers || [],
+    list.pageKeywords || [],
+    list.safeSearch || null,
+    list.dohEndpoints || []
+  ));
+}
+
+// Called on the host's first block list after a disconnect
+async function reportOfflinePeriod() {
+  chrome.alarms.clear(OFFLINE_ALARM);
+  const period = await takeOfflinePeriod(chrome.storage.local, Date.now());
+  if (!period || !nativePort) return;
+  nativePort.postMessage({ type: "offlineReport", browser: BROWSER_NAME, periods: [period] });
+}
+
+// ─── Entry schedules (see shared/schedule-windows.js) ───────────────
+
+// Wakes up at the next schedule change, budget reset or end of an intent
+// pass, and every SCHEDULE_RECHECK_MS in between in case the timezone
+// changes
+async function armScheduleAlarm(nextChangeAt) {
+  if (nextChangeAt === null) {
+    await chrome.storage.local.remove(SCHEDULE_CHECK_KEY);
+    chrome.alarms.clear(SCHEDULE_ALARM);
+    return;
+  }
+
+  const now = Date.now();
+  await chrome.storage.local.set({
+    [SCHEDULE_CHECK_KEY]: { nextChangeAt, zone: timeZoneSignature(now) },
+  });
+  chrome.alarms.create(SCHEDULE_ALARM, { when: Math.min(nextChangeAt, now + SCHEDULE_RECHECK_MS) });
+}
+
+async function checkEntrySchedules() {
+  const { [SCHEDULE_CHECK_KEY]: check } = await chrome.storage.local.get(SCHEDULE_CHECK_KEY);
+  if (!check) return;
+
+  const now = Date.now();
+  if (now >= check.nextChangeAt || timeZoneSignature(now) !== check.zone) {
+    applyStoredList();
+  } else {
+    armScheduleAlarm(check.nextChangeAt);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OFFLINE_ALARM) enforceOfflineLock();
+  if (alarm.name === SCHEDULE_ALARM) checkEntrySchedules();
+  if (alarm.name === BUDGET_ALARM) queueBudgetClock(updateBudgetClock);
+});
+
+// ─── Budgets (see shared/budgets.js) ────────────────────────────────
+
+// The metered entry the user is looking at, with its tab, or null
+async function focusedMeteredTab(inForce) {
+  if ((await chrome.idle.queryState(BUDGET_IDLE_SECONDS)) !== "active") return null;
+
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url) return null;
+  const focusedWindow = await chrome.windows.get(tab.windowId);
+  if (!focusedWindow.focused) return null;
+
+  const pattern = meteredPattern(inForce, tab.url);
+  return pattern ? { tab, pattern } : null;
+}
+
+// Credits the time spent on the page that was counting and starts counting
+// the one in front now. Runs on every tab, window and idle change, and on
+// BUDGET_ALARM while a metered page is in front.
+async function updateBudgetClock() {
+  const rules = await loadStoredRules();
+  const now = Date.now();
+  const front = await focusedMeteredTab(rules.inForce);
+
+  await budgetTracker.setActive(front && front.pattern, rules.inForce, rules.budgetReset, now);
+  await afterBudgetChange(rules);
+  if (!front) {
+    chrome.alarms.clear(BUDGET_ALARM);
+    return;
   }
+
+  const remaining = budgetRemaining(front.pattern, budgetTracker.state(), rules.budgetReset, now);
+  // The visit that uses up a visit budget still gets to finish
+  if (remaining.seconds === 0) {
+    chrome.alarms.clear(BUDGET_ALARM);
+    const [blocked] = applyBudgets([front.pattern], budgetTracker.state(), rules.budgetReset, now);
+    try {
+      await chrome.tabs.update(front.tab.id, { url: blockedDestination(blocked, front.tab.url, chrome.runtime.getURL("")) });
+    } catch {}
+    return;
+  }
+
+  const wait = remaining.seconds === null ? BUDGET_TICK_MS : Math.min(remaining.seconds * 1000, BUDGET_TICK_MS);
+  chrome.alarms.create(BUDGET_ALARM, { when: now + wait });
+}
+
+// A visit is a page load of a metered entry in a tab that wasn't already
+// on it. Tabs are remembered in memory only, so the first load in each tab
+// after the service worker restarts may count as a visit.
+async function countBudgetVisit(tabId, url) {
+  const rules = await loadStoredRules();
+  const pattern = meteredPattern(rules.inForce, url);
+  const previous = budgetVisitTabs.get(tabId);
+  budgetVisitTabs.set(tabId, pattern ? pattern.source : null);
+  if (!pattern || previous === pattern.source) return;
+
+  await budgetTracker.addVisit(pattern, rules.budgetReset, Date.now());
+  await afterBudgetChange(rules);
+}
+
+// Takes in the usage of every browser as kept by the native host
+async function mergeBudgetUsage(usage) {
+  const rules = await loadStoredRules();
+  await budgetTracker.mergeRemote(usage, BROWSER_NAME);
+  await afterBudgetChange(rules);
+}
+
+// Sends our usage to the host and rebuilds the rules when a budget ran out
+// or came back since they were last built
+async function afterBudgetChange(rules) {
+  reportBudgetUsage();
+  const keys = exhaustedBudgetKeys(rules.inForce, budgetTracker.state(), rules.budgetReset, Date.now());
+  if (keys !== appliedBudgetKeys) await applyStoredList();
+}
+
+// The host keeps every browser's usage and passes it on to the others.
+// Only sent when our usage changes.
+function reportBudgetUsage() {
+  const usage = budgetTracker.state().own;
+  const report = JSON.stringify(usage);
+  if (!nativePort || report === lastBudgetUsageReport) return;
+  lastBudgetUsageReport = report;
+  nativePort.postMessage({ type: "budgetUsage", browser: BROWSER_NAME, usage });
+}
+
+// What the on-page overlay (shared/budget-overlay.js) shows for `url`:
+// { entry, seconds, visits, resetsAt }, or null when it isn't metered
+async function budgetStatus(url) {
+  if (!url) return null;
+  const rules = await loadStoredRules();
+  const pattern = meteredPattern(rules.inForce, url);
+  if (!pattern) return null;
+
+  const remaining = budgetRemaining(pattern, await budgetTracker.load(), rules.budgetReset, Date.now());
+  return {
+    entry: pattern.source,
+    seconds: remaining.seconds,
+    visits: remaining.visits,
+    resetsAt: remaining.resetsAt,
+  };
+}
+
+chrome.tabs.onActivated.addListener(() => queueBudgetClock(updateBudgetClock));
+chrome.windows.onFocusChanged.addListener(() => queueBudgetClock(updateBudgetClock));
+chrome.idle.setDetectionInterval(BUDGET_IDLE_SECONDS);
+chrome.idle.onStateChanged.addListener(() => queueBudgetClock(updateBudgetClock));
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) countBudgetVisit(tabId, changeInfo.url);
+  if (tab.active && changeInfo.url) queueBudgetClock(updateBudgetClock);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => budgetVisitTabs.delete(tabId));
+
+// ─── Friction and intent (see shared/friction.js, shared/intent.js) ─
+
+// The entry that sent `url` to the wait or reason page, while it is still
+// enforced as `enforcement`; otherwise `open` says whether nothing blocks
+// `url` any more
+async function softBlockState(url, enforcement) {
+  const { patterns, keywordMatchers } = await loadStoredRules();
+  const match = url ? matchUrlPatterns(patterns, url) : null;
+  if (match && match.action === PATTERN_ACTION_BLOCK && match.enforcement === enforcement) return { match };
+  return { open: !!url && !isUrlBlocked(patterns, keywordMatchers, url) };
 }
 
+// Starts the wait page's countdown for `url` in tab `tabId`
+async function startFriction(tabId, url) {
+  const state = await softBlockState(url, ENFORCEMENT_FRICTION);
+  if (!state.match) return state.open ? { open: true } : { blocked: true };
+  return beginFriction(chrome.storage.local, state.match.source, url, tabId, Date.now());
+}
+
+// "Continue anyway": lets the tab's next page load through and reports it.
+// Returns { url } to go to, or null when the token isn't accepted.
+async function continueFriction(tabId, token) {
+  const passed = await redeemFrictionToken(chrome.storage.local, token, tabId, Date.now());
+  if (!passed) return null;
+
+  try {
+    await openFrictionPass(chrome.declarativeNetRequest, tabId, passed.url);
+  } catch (error) {
+    console.error("Failed to open a friction pass:", error);
+    return null;
+  }
+  clearTimeout(frictionPassTabs.get(tabId));
+  frictionPassTabs.set(tabId, setTimeout(() => closeFrictionPass(tabId), FRICTION_PASS_MS));
+  continuedTabs.set(tabId, passed.entry);
+
+  await queueHostReport(chrome.storage.local, FRICTION_REPORTS_KEY, {
+    entry: passed.entry,
+    at: new Date().toISOString(),
+  });
+  reportInterruptions();
+  return { url: passed.url };
+}
+
+// What the reason page needs for `url`
+async function startIntent(url) {
+  const state = await softBlockState(url, ENFORCEMENT_INTENT);
+  if (!state.match) return state.open ? { open: true } : { blocked: true };
+  return { minLength: INTENT_MIN_REASON_LENGTH, minutes: intentPassMinutes(state.match) };
+}
+
+// A reason for opening `url`: opens its entry for a while and journals the
+// reason. Returns { url } once the rules let it through, or { error }.
+async function grantIntent(url, reason) {
+  const state = await softBlockState(url, ENFORCEMENT_INTENT);
+  if (!state.match) return state.open ? { url } : { error: "This site is blocked" };
+
+  const granted = await grantIntentPass(chrome.storage.local, state.match, url, reason, Date.now());
+  if (granted.error) return granted;
+  await applyStoredList();
+  reportIntentJournal();
+  return { url };
+}
+
+function closeFrictionPass(tabId) {
+  clearTimeout(frictionPassTabs.get(tabId));
+  frictionPassTabs.delete(tabId);
+  closeFrictionPasses(chrome.declarativeNetRequest, tabId).catch(() => {});
+}
+
+// Sends what the host hasn't seen yet of the queue under `key`, as
+// `field` of a `type` message; it waits in storage while the host is away
+async function flushHostReports(key, type, field) {
+  if (!nativePort) return;
+  const items = await takeHostReports(chrome.storage.local, key);
+  if (items.length === 0) return;
+  try {
+    nativePort.postMessage({ type, browser: BROWSER_NAME, [field]: items });
+  } catch {
+    await requeueHostReports(chrome.storage.local, key, items);
+  }
+}
+
+// Continues past the wait page, which the app counts as interruptions
+function reportInterruptions() {
+  return flushHostReports(FRICTION_REPORTS_KEY, "interruptionReport", "events");
+}
+
+function reportIntentJournal() {
+  return flushHostReports(INTENT_REPORTS_KEY, "intentJournal", "entries");
+}
+
+// A pass is spent by the page load it was opened for; a tab back on our
+// own pages has left the page it continued to
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  if (frictionPassTabs.has(tabId)) closeFrictionPass(tabId);
+  if (changeInfo.url.startsWith(SELF_PREFIX)) continuedTabs.delete(tabId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (frictionPassTabs.has(tabId)) closeFrictionPass(tabId);
+  continuedTabs.delete(tabId);
+});
+
 // Heartbeat: periodically tell the native host we're alive.
 // The native host writes a timestamp file the daemon checks.
 function startHeartbeat() {
@@ -106,6 +460,242 @@ async function getIncognitoAllowed() {
   );
 }
 
+// ─── Redirects (redirectTo, see shared/url-patterns.js) ─────────────
+
+// Why tab `tabId`, now at `url`, was sent there instead of being shown the
+// blocked page: { entries, to }, or null when it wasn't. For the popup.
+async function redirectInfo(tabId, url) {
+  const to = await lastRuleRedirect(chrome.declarativeNetRequest, tabId);
+  if (!to || !url || new URL(url).origin !== new URL(to).origin) return null;
+  const { patterns } = await loadStoredRules();
+  const entries = patterns.filter((pattern) => pattern.redirectTo === to).map((pattern) => pattern.source);
+  return entries.length > 0 ? { entries, to } : null;
+}
+
+// What blocks `url`, for a blocked page that only knows the URL (pages
+// from grouped entries and keywords)
+async function explainBlock(url) {
+  const { patterns, keywordMatchers } = await loadStoredRules();
+  return explainBlockedUrl(patterns, keywordMatchers, url);
+}
+
+// ─── Open tabs (see shared/tab-sweep.js) ────────────────────────────
+
+// Where each open tab has to go under the stored rules
+async function sweepDestinations() {
+  const { patterns, keywordMatchers } = await loadStoredRules();
+  const extensionUrl = chrome.runtime.getURL("");
+  return (tabId, url) => sweepDestination(patterns, keywordMatchers, url, extensionUrl, continuedTabs.get(tabId));
+}
+
+// Single-page apps change pages without a request the rules would see
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId === 0) tabSweeper.navigated(details.tabId, details.url);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => tabSweeper.forget(tabId));
+
+// ─── Link guard (see shared/link-guard.js) ──────────────────────────
+
+// Hands link-marker.js what to mark, or null, and keeps its scripts
+// registered only while there is something to mark
+async function publishLinkGuard(snapshot) {
+  await chrome.storage.local.set({ [LINK_GUARD_KEY]: snapshot });
+  try {
+    await syncLinkGuardScripts(chrome.scripting, !!snapshot);
+  } catch (error) {
+    console.warn("FocusDragon: could not update the link guard scripts:", error);
+  }
+}
+
+// ─── Feed eraser (see shared/feed-eraser.js) ────────────────────────
+
+// Hands feed-hider.js the session's feed erasers, or null, and registers
+// it on their hosts only
+async function publishFeedEraser(erasers) {
+  await chrome.storage.local.set({ [FEED_ERASER_KEY]: erasers });
+  try {
+    await syncFeedEraserScripts(chrome.scripting, erasers);
+  } catch (error) {
+    console.warn("FocusDragon: could not update the feed eraser scripts:", error);
+  }
+}
+
+// ─── Page keywords (see shared/page-keywords.js) ────────────────────
+
+// Hands page-check.js the session's page keywords, or null, and registers
+// it only while there are any
+async function publishPageKeywords(keywords) {
+  await chrome.storage.local.set({ [PAGE_KEYWORDS_KEY]: keywords });
+  try {
+    await syncPageKeywordScripts(chrome.scripting, keywords);
+  } catch (error) {
+    console.warn("FocusDragon: could not update the page keyword scripts:", error);
+  }
+}
+
+// page-check.js found `keyword` on the page at `url` in tab `tabId`
+async function blockPageKeyword(tabId, url, keyword) {
+  const { [PAGE_KEYWORDS_KEY]: keywords } = await chrome.storage.local.get(PAGE_KEYWORDS_KEY);
+  const { patterns } = await loadStoredRules();
+  if (!isPageKeywordBlocked(patterns, keywords || [], url, keyword)) return;
+
+  console.log(`Blocked page containing "${keyword}": ${url}`);
+  try {
+    await chrome.tabs.update(tabId, { url: pageKeywordBlockedUrl(keyword, url, chrome.runtime.getURL("")) });
+  } catch {}
+}
+
+// ─── DNS-over-HTTPS (see shared/doh-guard.js) ───────────────────────
+
+// Watches for DNS that goes around the hosts file: blocked requests to
+// `endpoints`, DNS queries to hosts not on the list, and answers from real
+// addresses for the hosts-file domains `hosts`. Empty lists stop watching.
+function watchDoh(endpoints, hosts) {
+  dohEndpoints = endpoints;
+  chrome.webRequest.onErrorOccurred.removeListener(noteBlockedDohRequest);
+  chrome.webRequest.onBeforeRequest.removeListener(noteDohQuery);
+  chrome.webRequest.onResponseStarted.removeListener(noteHostsFileResponse);
+  if (endpoints.length > 0) {
+    chrome.webRequest.onErrorOccurred.addListener(noteBlockedDohRequest, { urls: dohEndpointMatchPatterns(endpoints) });
+    chrome.webRequest.onBeforeRequest.addListener(noteDohQuery, { urls: [DOH_QUERY_MATCH_PATTERN] });
+  }
+  if (hosts.length > 0) {
+    chrome.webRequest.onResponseStarted.addListener(noteHostsFileResponse, { urls: hostsFileMatchPatterns(hosts) });
+  }
+}
+
+function noteBlockedDohRequest(details) {
+  if (details.error !== "net::ERR_BLOCKED_BY_CLIENT") return;
+  reportDohWarning(DOH_REASON_ENDPOINT, canonicalHostOf(details.url));
+}
+
+function noteDohQuery(details) {
+  if (findDohEndpoint(dohEndpoints, details.url)) return;
+  reportDohWarning(DOH_REASON_UNLISTED, canonicalHostOf(details.url));
+}
+
+function noteHostsFileResponse(details) {
+  if (!isHostsFileBypassed(details.ip)) return;
+  reportDohWarning(DOH_REASON_HOSTS_BYPASSED, canonicalHostOf(details.url));
+}
+
+// Tells the app DNS seems to go around the hosts file, once per reason and
+// host while the worker runs
+function reportDohWarning(reason, host) {
+  const key = `${reason} ${host}`;
+  if (!nativePort || dohWarningsSent.has(key)) return;
+  dohWarningsSent.add(key);
+  console.warn(`FocusDragon: DNS-over-HTTPS looks to be in use (${reason}: ${host})`);
+  nativePort.postMessage({
+    type: DOH_WARNING_TYPE,
+    browser: BROWSER_NAME,
+    reason,
+    host,
+  });
+}
+
+// ─── Tamper guard (see shared/tamper-guard.js) ──────────────────────
+
+// Whether a lock holds the running session
+async function isStrictSession() {
+  const { lockState } = await chrome.storage.local.get("lockState");
+  return (await isBlockingActive()) && isLockActive(lockState || currentLockState, Date.now());
+}
+
+// Looks for extensions and proxy settings that could undo the session, as
+// far as the granted permissions let it
+async function guardSession() {
+  if (!(await isStrictSession())) return;
+  const missing = await missingGuardPermissions(chrome.permissions);
+  if (missing.length > 0) reportTamperEvent(TAMPER_PERMISSIONS_REFUSED, { permissions: missing });
+  if (!missing.includes("management")) {
+    await guardExtensions().catch((error) => console.warn("FocusDragon: could not check extensions:", error));
+  }
+  if (!missing.includes("proxy")) {
+    await guardProxySettings().catch((error) => console.warn("FocusDragon: could not check proxy settings:", error));
+  }
+}
+
+// Warns about the risky extensions, or turns them off, as the app's
+// extensionGuard says
+async function guardExtensions() {
+  const { [EXTENSION_GUARD_KEY]: stored } = await chrome.storage.local.get(EXTENSION_GUARD_KEY);
+  const guard = normalizeExtensionGuard(stored);
+  if (guard.action === EXTENSION_GUARD_OFF) return;
+
+  const risky = findRiskyExtensions(await chrome.management.getAll(), chrome.runtime.id, guard.trusted);
+  for (const extension of risky) {
+    if (guard.action === EXTENSION_GUARD_DISABLE) {
+      try {
+        await chrome.management.setEnabled(extension.id, false);
+        reportTamperEvent(TAMPER_EXTENSION_DISABLED, extension);
+        continue;
+      } catch (error) {
+        console.warn(`FocusDragon: could not turn off ${extension.name}:`, error);
+      }
+    }
+    reportTamperEvent(TAMPER_RISKY_EXTENSION, extension);
+  }
+}
+
+async function guardProxySettings() {
+  const details = await chrome.proxy.settings.get({});
+  if (!isProxyTampered(details)) return;
+  reportTamperEvent(TAMPER_PROXY_SETTINGS, { levelOfControl: details.levelOfControl, mode: details.value.mode });
+}
+
+// Sends tab `tabId`, on its way to `url`, to the blocked page when `url` is
+// an extension store and the session is strict. Returns whether it did.
+async function guardExtensionStore(tabId, url) {
+  if (!isExtensionStoreUrl(url) || !(await isStrictSession())) return false;
+  console.log(`Blocked extension store: ${url}`);
+  reportTamperEvent(TAMPER_EXTENSION_STORE, { url });
+  try {
+    await chrome.tabs.update(tabId, { url: chrome.runtime.getURL("/blocked.html") });
+  } catch {}
+  return true;
+}
+
+// Tells the app about a tamper attempt. Findings are sent once while the
+// worker runs; every extension turned off is sent.
+function reportTamperEvent(kind, detail) {
+  const key = `${kind} ${JSON.stringify(detail)}`;
+  if (!nativePort || (kind !== TAMPER_EXTENSION_DISABLED && tamperEventsSent.has(key))) return;
+  tamperEventsSent.add(key);
+  console.warn(`FocusDragon: tamper event (${kind}):`, detail);
+  nativePort.postMessage({
+    type: TAMPER_EVENT_TYPE,
+    browser: BROWSER_NAME,
+    kind,
+    detail,
+    at: new Date().toISOString(),
+  });
+}
+
+function onTamperChange() {
+  guardSession();
+}
+
+// An extension installed or turned on mid-session is looked at right away.
+// The APIs only exist once their optional permissions are granted.
+function addTamperListeners() {
+  if (chrome.management && !chrome.management.onEnabled.hasListener(onTamperChange)) {
+    chrome.management.onInstalled.addListener(onTamperChange);
+    chrome.management.onEnabled.addListener(onTamperChange);
+  }
+  if (chrome.proxy && !chrome.proxy.settings.onChange.hasListener(onTamperChange)) {
+    chrome.proxy.settings.onChange.addListener(onTamperChange);
+  }
+}
+
+addTamperListeners();
+chrome.permissions.onAdded.addListener(() => {
+  addTamperListeners();
+  guardSession();
+});
+chrome.permissions.onRemoved.addListener(onTamperChange);
+
 // ─── Tab Guardian ───────────────────────────────────────────────────
 // Prevent users from navigating to chrome://extensions to disable the
 // extension during a blocking session. Also block direct IP access to
@@ -130,9 +720,10 @@ const SELF_PREFIX = `chrome-extension://${chrome.runtime.id}`;
 
 // Check if blocking is currently active
 async function isBlockingActive() {
-  const data = await chrome.storage.local.get(STORAGE_KEY);
+  const data = await chrome.storage.local.get([STORAGE_KEY, KEYWORDS_KEY, MODE_KEY, SAFE_SEARCH_KEY]);
   const domains = data[STORAGE_KEY] || [];
-  return domains.length > 0;
+  const keywords = data[KEYWORDS_KEY] || [];
+  return isAllowlistMode(data[MODE_KEY]) || domains.length > 0 || keywords.length > 0 || !!data[SAFE_SEARCH_KEY];
 }
 
 // Monitor tab updates — close tabs that navigate to guarded URLs
@@ -162,11 +753,35 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
   }
 
-  // Block direct IP address access to blocked sites
-  // Match http(s)://IP_ADDRESS patterns
-  const ipPattern = /^https?:\/\/(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})(:\d+)?(\/|$)/;
-  const match = url.match(ipPattern);
-  if (match) {
+  if (await guardExtensionStore(tabId, url)) return;
+
+  // declarativeNetRequest matches the URL as the browser wrote it, so
+  // catch other spellings of a blocked site (`reddit.com.`, credentials)
+  // and blocked sites behind a proxy, cache or archive (shared/url-wrappers.js)
+  const canonical = canonicalizeUrl(url);
+  if (canonical !== url || isWrapperUrl(canonical)) {
+    const { patterns, keywordMatchers } = await loadStoredRules();
+    const blocked = canonical !== url && isUrlBlocked(patterns, keywordMatchers, canonical)
+      ? canonical
+      : findBlockedWrappedUrl(patterns, keywordMatchers, canonical);
+    if (blocked) {
+      console.log(`Blocked ${blocked === canonical ? "non-canonical" : "wrapped"} URL: ${url}`);
+      try {
+        await chrome.tabs.update(tabId, {
+          url: blockedDestination(matchUrlPatterns(patterns, blocked), blocked, chrome.runtime.getURL("")),
+        });
+      } catch {}
+      return;
+    }
+  }
+
+  // Allowlist mode already blocks every address that isn't allowed,
+  // including private ones used by captive portals
+  const { [MODE_KEY]: mode } = await chrome.storage.local.get(MODE_KEY);
+  if (isAllowlistMode(mode)) return;
+
+  // Block direct IP address access (IPv4 in any notation, IPv6)
+  if (isIpLiteralUrl(url)) {
     console.log(`Blocked direct IP navigation: ${url}`);
     try {
       await chrome.tabs.update(tabId, {
@@ -196,12 +811,53 @@ chrome.tabs.onCreated.addListener(async (tab) => {
       return;
     }
   }
+
+  await guardExtensionStore(tab.id, url);
 });
 
 function handleNativeMessage(message) {
   switch (message.type) {
     case "updateBlockedDomains":
-      updateBlockingRules(message.domains, message.isBlocking, message.urlExceptions || []);
+      currentLockState = message.lockState || null;
+      chrome.storage.local.set({
+        lockState: currentLockState,
+        [EXTENSION_GUARD_KEY]: message.extensionGuard || null,
+        [HOST_LIST_KEY]: {
+          domains: message.domains || [],
+          isBlocking: !!message.isBlocking,
+          urlExceptions: message.urlExceptions || [],
+          keywords: message.keywords || [],
+          mode: message.mode || BLOCKING_MODE_BLOCKLIST,
+          allowedDomains: message.allowedDomains || [],
+          budgetReset: message.budgetReset || null,
+          linkGuard: message.linkGuard !== false,
+          feedErasers: message.feedErasers || [],
+          pageKeywords: message.pageKeywords || [],
+          safeSearch: message.safeSearch || null,
+          dohEndpoints: message.dohEndpoints || [],
+        },
+      });
+      reportOfflinePeriod();
+      reportInterruptions();
+      reportIntentJournal();
+      queueRuleUpdate(() => updateBlockingRules(
+        message.domains,
+        message.isBlocking,
+        message.urlExceptions || [],
+        message.keywords || [],
+        message.mode || BLOCKING_MODE_BLOCKLIST,
+        message.allowedDomains || [],
+        message.budgetReset || null,
+        message.linkGuard !== false,
+        message.feedErasers || [],
+        message.pageKeywords || [],
+        message.safeSearch || null,
+        message.dohEndpoints || []
+      )).finally(guardSession);
+      break;
+
+    case "budgetUsage":
+      mergeBudgetUsage(message.usage || {});
       break;
 
     case "blockStatus":
@@ -213,130 +869,174 @@ function handleNativeMessage(message) {
   }
 }
 
-// Update blocking rules using declarativeNetRequest
-async function updateBlockingRules(domains, isBlocking, urlExceptions) {
-  if (!isBlocking || !domains || domains.length === 0) {
+// Update blocking rules using declarativeNetRequest. Runs through
+// queueRuleUpdate() so updates never overlap.
+async function updateBlockingRules(
+  domains, isBlocking, urlExceptions, keywords, mode, allowedDomains, budgetReset,
+  linkGuard, feedErasers, pageKeywords, safeSearch, dohEndpoints
+) {
+  // Bad entries are dropped one by one instead of failing the whole update
+  const list = normalizeBlockList({ domains, urlExceptions, allowedDomains });
+  domains = list.domains;
+  urlExceptions = list.urlExceptions;
+  allowedDomains = list.allowedDomains;
+  keywords = parseKeywords(keywords);
+  budgetReset = normalizeBudgetReset(budgetReset);
+  const erasers = parseFeedErasers(feedErasers);
+  pageKeywords = parseKeywords(pageKeywords);
+  safeSearch = normalizeSafeSearch(safeSearch);
+  const doh = parseDohEndpoints(dohEndpoints);
+  const allowlist = isAllowlistMode(mode);
+
+  if (!isBlocking || (!allowlist && domains.length === 0 && keywords.length === 0 && !safeSearch)) {
     // Clear all rules
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: await getAllRuleIds(),
-    });
+    if (!(await installRules({ dynamic: [], session: [] }))) return;
+    appliedBudgetKeys = "";
+    armScheduleAlarm(null);
 
-    await chrome.storage.local.set({ [STORAGE_KEY]: [], [EXCEPTIONS_KEY]: [] });
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: [],
+      [EXCEPTIONS_KEY]: [],
+      [KEYWORDS_KEY]: [],
+      [MODE_KEY]: BLOCKING_MODE_BLOCKLIST,
+      [ALLOWED_DOMAINS_KEY]: [],
+      [SAFE_SEARCH_KEY]: null,
+    });
+    publishLinkGuard(null);
+    watchDoh([], []);
+    // A session with nothing to block can still erase feeds and check pages
+    publishFeedEraser(isBlocking && erasers.erasers.length > 0 ? erasers.erasers : null);
+    publishPageKeywords(isBlocking && pageKeywords.length > 0 ? pageKeywords : null);
     updateExtensionIcon(false);
+    reportEntryProblems([...list.rejected, ...erasers.rejected, ...doh.rejected], list.flagged);
+    reportRuleBudget([], null);
     return;
   }
 
-  // Generate rules
-  const rules = [];
-  let ruleId = RULE_ID_START;
-
-  const allowRules = buildAllowRules(urlExceptions || []);
-  for (const rule of allowRules) {
-    rule.id = ruleId++;
-    rules.push(rule);
-  }
-
-  for (const domain of domains) {
-    // Block main domain
-    rules.push({
-      id: ruleId++,
-      priority: 1,
-      action: {
-        type: "redirect",
-        redirect: { extensionPath: "/blocked.html" },
-      },
-      condition: {
-        urlFilter: `*://${domain}/*`,
-        resourceTypes: ["main_frame"],
-      },
-    });
+  // Generate rules (exceptions and block entries share one pattern language)
+  const entries = parseBlockEntries(domains);
+  const checked = await rejectUnsupportedRegexes(chrome.declarativeNetRequest, [
+    ...(allowlist ? buildAllowlistPatterns(allowedDomains) : []),
+    ...entries,
+    ...parseExceptionEntries(urlExceptions),
+    ...parseContentExceptions(urlExceptions).patterns,
+  ]);
+  // Scheduled entries outside their windows are left out until the alarm,
+  // budgeted ones until their budget is used up, and intent entries while
+  // a pass is running
+  const now = Date.now();
+  const inForce = patternsInForce(checked.patterns, now);
+  const budgetState = await budgetTracker.load();
+  const intentPasses = await loadIntentPasses(chrome.storage.local, now);
+  const enforced = applyIntentPasses(applyBudgets(inForce, budgetState, budgetReset, now), intentPasses, now);
+  const keywordMatchers = compileKeywordMatchers(keywords);
+  const patterns = settleRedirects(enforced, (url) => isUrlBlocked(enforced, keywordMatchers, url));
+  reportEntryProblems([...list.rejected, ...checked.rejected, ...erasers.rejected, ...doh.rejected], list.flagged);
 
-    // Block www variant
-    if (!domain.startsWith("www.")) {
-      rules.push({
-        id: ruleId++,
-        priority: 1,
-        action: {
-          type: "redirect",
-          redirect: { extensionPath: "/blocked.html" },
-        },
-        condition: {
-          urlFilter: `*://www.${domain}/*`,
-          resourceTypes: ["main_frame"],
-        },
-      });
-    }
-
-    // Block subdomains
-    rules.push({
-      id: ruleId++,
-      priority: 1,
-      action: {
-        type: "redirect",
-        redirect: { extensionPath: "/blocked.html" },
-      },
-      condition: {
-        urlFilter: `*://*.${domain}/*`,
-        resourceTypes: ["main_frame"],
-      },
-    });
-  }
+  // Whatever doesn't fit the rule budgets is reported, not silently lost
+  const fitted = fitRuleBudget(
+    [
+      ...compilePatternRules(patterns, chrome.runtime.getURL("")),
+      ...compileKeywordRules(keywords, chrome.runtime.getURL("")),
+      ...compileSafeSearchRules(safeSearch),
+      ...compileDohRules(doh.endpoints),
+    ],
+    ruleLimits(chrome.declarativeNetRequest)
+  );
 
-  // Update rules
-  try {
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: await getAllRuleIds(),
-      addRules: rules,
-    });
+  // Storage and the icon only change once the new rules are in force
+  if (!(await installRules(fitted))) return;
+  appliedBudgetKeys = exhaustedBudgetKeys(inForce, budgetState, budgetReset, now);
+  reportRuleBudget(fitted.overflow, fitted.usage);
+  armScheduleAlarm(earliestTime(
+    nextPatternScheduleChange(checked.patterns, now),
+    nextPatternBudgetReset(checked.patterns, budgetReset, now),
+    nextIntentPassEnd(intentPasses, now)
+  ));
 
-    await chrome.storage.local.set({ [STORAGE_KEY]: domains, [EXCEPTIONS_KEY]: urlExceptions || [] });
-    updateExtensionIcon(true);
+  await chrome.storage.local.set({
+    [STORAGE_KEY]: domains,
+    [EXCEPTIONS_KEY]: urlExceptions,
+    [KEYWORDS_KEY]: keywords,
+    [MODE_KEY]: allowlist ? BLOCKING_MODE_ALLOWLIST : BLOCKING_MODE_BLOCKLIST,
+    [ALLOWED_DOMAINS_KEY]: allowlist ? allowedDomains : [],
+    [BUDGET_RESET_KEY]: budgetReset,
+    [SAFE_SEARCH_KEY]: safeSearch,
+  });
+  publishLinkGuard(linkGuard ? linkGuardSnapshot(patterns, keywordMatchers) : null);
+  watchDoh(doh.endpoints, hostsFileDomains(domains));
+  publishFeedEraser(erasers.erasers.length > 0 ? erasers.erasers : null);
+  publishPageKeywords(pageKeywords.length > 0 ? pageKeywords : null);
+  updateExtensionIcon(true);
+  queueBudgetClock(updateBudgetClock);
+  // Tabs already open on what is blocked now get their grace
+  tabSweeper.sweep().catch(() => {});
 
-    console.log(`Updated blocking rules for ${domains.length} domains`);
-  } catch (error) {
-    console.error("Failed to update rules:", error);
-  }
+  console.log(allowlist
+    ? `Updated allowlist rules for ${allowedDomains.length} allowed domains`
+    : `Updated blocking rules for ${entries.length} entries and ${keywords.length} keywords`);
 }
 
-function buildAllowRules(urlExceptions) {
-  const rules = [];
+// Tells the app which entries were rejected or look like homoglyphs.
+// Only sent when the report changes.
+function reportEntryProblems(rejected, flagged) {
+  const report = JSON.stringify({ rejected, flagged });
+  if (!nativePort || report === lastEntryReport) return;
+  lastEntryReport = report;
 
-  for (const exception of urlExceptions) {
-    const domain = exception.domain;
-    const allowedPaths = exception.allowedPaths || [];
-    if (!domain || allowedPaths.length === 0) continue;
+  rejected.forEach((item) => console.warn(`Rejected ${item.list} entry "${item.entry}": ${item.reason}`));
+  nativePort.postMessage({
+    type: "entryReport",
+    browser: BROWSER_NAME,
+    rejected,
+    flagged,
+  });
+}
 
-    for (const rawPath of allowedPaths) {
-      const normalized = rawPath.startsWith("/") ? rawPath : `/${rawPath}`;
+// Tells the app which entries didn't fit the browser's rule limits and how
+// much of each budget is in use. Only sent when the overflow changes.
+function reportRuleBudget(overflow, usage) {
+  const sources = [...new Set(overflow.flatMap((entry) => entry.sources))];
+  const report = JSON.stringify(sources);
+  if (!nativePort || report === lastBudgetReport) return;
+  lastBudgetReport = report;
 
-      rules.push({
-        priority: 2,
-        action: { type: "allow" },
-        condition: {
-          urlFilter: `*://${domain}${normalized}*`,
-          resourceTypes: ["main_frame"],
-        },
-      });
-
-      if (!domain.startsWith("www.")) {
-        rules.push({
-          priority: 2,
-          action: { type: "allow" },
-          condition: {
-            urlFilter: `*://www.${domain}${normalized}*`,
-            resourceTypes: ["main_frame"],
-          },
-        });
-      }
-    }
+  if (sources.length > 0) {
+    console.warn(`FocusDragon: ${sources.length} entries exceed the browser's rule limits and are not enforced`);
   }
+  nativePort.postMessage({
+    type: "ruleBudgetReport",
+    browser: BROWSER_NAME,
+    overflow: sources,
+    usage,
+  });
+}
 
-  return rules;
+// Installs `rules` ({ dynamic, session }) through shared/rule-sync.js.
+// On failure the previous rules stay in force and the app is told; returns
+// whether the new rules were installed.
+async function installRules(rules) {
+  try {
+    await syncRules(chrome.declarativeNetRequest, rules);
+    reportRuleSync(null);
+    return true;
+  } catch (error) {
+    console.error("Failed to update rules, keeping the previous set:", error);
+    reportRuleSync(String(error && error.message || error));
+    return false;
+  }
 }
 
-async function getAllRuleIds() {
-  const rules = await chrome.declarativeNetRequest.getDynamicRules();
-  return rules.map((rule) => rule.id);
+// Tells the app when rule updates start or stop failing
+function reportRuleSync(errorMessage) {
+  if (!nativePort || errorMessage === lastSyncError) return;
+  lastSyncError = errorMessage;
+  nativePort.postMessage({
+    type: "ruleSyncReport",
+    browser: BROWSER_NAME,
+    ok: errorMessage === null,
+    error: errorMessage,
+  });
 }
 
 function updateExtensionIcon(isBlocking) {
@@ -358,7 +1058,7 @@ function updateExtensionIcon(isBlocking) {
   });
 }
 
-// Listen for messages from popup
+// Listen for messages from popup and blocked page
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "openApp") {
     if (nativePort) {
@@ -366,18 +1066,113 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     sendResponse({ success: true });
   } else if (message.type === "getStatus") {
-    chrome.storage.local.get(STORAGE_KEY, (result) => {
+    chrome.storage.local.get([STORAGE_KEY, KEYWORDS_KEY, MODE_KEY, ALLOWED_DOMAINS_KEY, SAFE_SEARCH_KEY], (result) => {
       const domains = result[STORAGE_KEY] || [];
+      const keywords = result[KEYWORDS_KEY] || [];
+      const mode = result[MODE_KEY] || BLOCKING_MODE_BLOCKLIST;
       sendResponse({
-        isBlocking: domains.length > 0,
+        isBlocking: isAllowlistMode(mode) || domains.length > 0 || keywords.length > 0 || !!result[SAFE_SEARCH_KEY],
         domains: domains,
+        keywords: keywords,
+        mode: mode,
+        allowedDomains: result[ALLOWED_DOMAINS_KEY] || [],
         connected: nativePort !== null,
       });
     });
     return true; // async sendResponse
+  } else if (message.type === "tamperPermissionsRefused") {
+    reportTamperEvent(TAMPER_PERMISSIONS_REFUSED, { permissions: message.permissions });
+    sendResponse({ success: true });
+  } else if (message.type === "pageMetadata") {
+    if (sender.tab) checkPageContent(sender.tab.id, message.url, message.channel);
+    sendResponse({ success: true });
+  } else if (message.type === "getLockInfo") {
+    chrome.storage.local.get(["lockState", MODE_KEY], (result) => {
+      sendResponse({
+        lockState: resolveLockState(result.lockState || currentLockState, Date.now()),
+        mode: result[MODE_KEY] || BLOCKING_MODE_BLOCKLIST,
+      });
+    });
+    return true; // async sendResponse
+  } else if (message.type === "getBudgetStatus") {
+    budgetStatus(sender.tab && sender.tab.url).then(sendResponse);
+    return true; // async sendResponse
+  } else if (message.type === "beginFriction") {
+    if (!sender.tab) return;
+    startFriction(sender.tab.id, message.url).then(sendResponse);
+    return true; // async sendResponse
+  } else if (message.type === "continueFriction") {
+    if (!sender.tab) return;
+    continueFriction(sender.tab.id, message.token).then(sendResponse);
+    return true; // async sendResponse
+  } else if (message.type === "beginIntent") {
+    startIntent(message.url).then(sendResponse);
+    return true; // async sendResponse
+  } else if (message.type === "grantIntent") {
+    grantIntent(message.url, message.reason).then(sendResponse);
+    return true; // async sendResponse
+  } else if (message.type === "getRedirectInfo") {
+    redirectInfo(message.tabId, message.url).then(sendResponse, () => sendResponse(null));
+    return true; // async sendResponse
+  } else if (message.type === "explainBlock") {
+    explainBlock(message.url).then(sendResponse, () => sendResponse(null));
+    return true; // async sendResponse
+  } else if (message.type === "pageKeywordFound") {
+    if (!sender.tab || sender.frameId !== 0) return;
+    blockPageKeyword(sender.tab.id, sender.tab.url, message.keyword);
   }
 });
 
+// The stored block list compiled for checks made outside
+// declarativeNetRequest. `patterns` is what is enforced; `inForce` leaves
+// budgets out, for metering.
+async function loadStoredRules() {
+  const data = await chrome.storage.local.get([
+    STORAGE_KEY, EXCEPTIONS_KEY, KEYWORDS_KEY, MODE_KEY, ALLOWED_DOMAINS_KEY, BUDGET_RESET_KEY,
+  ]);
+  const urlExceptions = data[EXCEPTIONS_KEY] || [];
+  const content = parseContentExceptions(urlExceptions);
+  const budgetReset = normalizeBudgetReset(data[BUDGET_RESET_KEY]);
+  const now = Date.now();
+  const inForce = patternsInForce([
+    ...(isAllowlistMode(data[MODE_KEY]) ? buildAllowlistPatterns(data[ALLOWED_DOMAINS_KEY]) : []),
+    ...parseBlockEntries(data[STORAGE_KEY] || []),
+    ...parseExceptionEntries(urlExceptions),
+    ...content.patterns,
+  ], now);
+
+  const budgeted = applyBudgets(inForce, await budgetTracker.load(), budgetReset, now);
+  const enforced = applyIntentPasses(budgeted, await loadIntentPasses(chrome.storage.local, now), now);
+  const keywordMatchers = compileKeywordMatchers(data[KEYWORDS_KEY] || []);
+  return {
+    patterns: settleRedirects(enforced, (url) => isUrlBlocked(enforced, keywordMatchers, url)),
+    inForce,
+    budgetReset,
+    keywordMatchers,
+    channels: content.channels,
+  };
+}
+
+// YouTube watch pages are let through when a channel exception exists;
+// youtube-metadata.js reports the channel and we decide here.
+async function checkPageContent(tabId, url, channel) {
+  const { patterns, keywordMatchers, channels } = await loadStoredRules();
+  if (channels.length === 0) return;
+
+  if (shouldBlockAfterContentCheck(patterns, keywordMatchers, channels, url, channel)) {
+    // A page someone continued to past the wait page stays open
+    const match = matchUrlPatterns(patterns.filter((pattern) => !pattern.deferred), url);
+    if (match && match.source === continuedTabs.get(tabId)) return;
+
+    console.log(`Blocked video outside allowed channels: ${url}`);
+    try {
+      await chrome.tabs.update(tabId, {
+        url: blockedDestination(match, url, chrome.runtime.getURL("")),
+      });
+    } catch {}
+  }
+}
+
 // Check incognito access and warn if not granted
 async function checkIncognitoAccess() {
   const allowed = await getIncognitoAllowed();
@@ -394,6 +1189,10 @@ async function checkIncognitoAccess() {
 // Initialize
 connectNative();
 checkIncognitoAccess();
+queueBudgetClock(updateBudgetClock);
+// Passes are session rules and outlive a service worker restart, but the
+// timers that close them don't
+closeFrictionPasses(chrome.declarativeNetRequest).catch(() => {});
 
 // Restore rules on startup
 chrome.runtime.onStartup.addListener(async () => {
@@ -407,7 +1206,9 @@ chrome.runtime.onInstalled.addListener((details) => {
   console.log("Extension installed:", details.reason);
 
   if (details.reason === "install") {
-    // First install — open popup to show welcome state
+    // First install — open popup to show welcome state, where the tamper
+    // guard's permissions are asked for
     console.log("FocusDragon extension installed successfully");
+    chrome.tabs.create({ url: chrome.runtime.getURL("popup/popup.html") });
   }
 });
@@ -0,0 +1,75 @@
+// FocusDragon - shared allowlist mode
+//
+// While a Frozen lock with limited access is running the native host sends
+// `mode: "allowlist"` and `allowedDomains`. Every web page is then blocked
+// except the allowed domains, which use the url-patterns.js grammar
+// (`docs.google.com`, `github.com/myorg`, ...).
+//
+// The catch-all is an ordinary block pattern with the lowest specificity,
+// so on Chromium and Safari it becomes the lowest-priority redirect rule and
+// every allow rule outranks it; Firefox gets the same answer from
+// matchUrlPatterns(). It only matches http(s), so the extension's own pages
+// are never caught. Captive portal checks and private network addresses
+// (where portal login pages live) are always allowed, otherwise a Frozen
+// session on hotel Wi-Fi could never get online.
+// Load after url-patterns.js.
+
+const BLOCKING_MODE_BLOCKLIST = "blocklist";
+const BLOCKING_MODE_ALLOWLIST = "allowlist";
+const BLOCK_REASON_ALLOWLIST = "allowlist";
+
+const CAPTIVE_PORTAL_HOSTS = [
+  "=captive.apple.com",
+  "=connectivitycheck.gstatic.com",
+  "=connectivitycheck.android.com",
+  "=clients3.google.com/generate_204",
+  "=detectportal.firefox.com",
+  "=www.msftconnecttest.com",
+  "=www.msftncsi.com",
+  "=nmcheck.gnome.org",
+  "neverssl.com",
+];
+
+// 10/8, 172.16/12, 192.168/16, 169.254/16 and *.local hosts
+const PRIVATE_NETWORK_REGEX =
+  "/^https?:\\/\\/(?:10\\.\\d+\\.\\d+\\.\\d+|172\\.(?:1[6-9]|2\\d|3[01])\\.\\d+\\.\\d+|192\\.168\\.\\d+\\.\\d+|169\\.254\\.\\d+\\.\\d+|[^/?#:]+\\.local)(?::\\d+)?(?:[/?#]|$)/";
+
+function isAllowlistMode(mode) {
+  return mode === BLOCKING_MODE_ALLOWLIST;
+}
+
+function allowlistCatchAllPattern() {
+  const regexSource = "^https?://";
+  return {
+    source: "everything not on the allowlist",
+    action: PATTERN_ACTION_BLOCK,
+    negated: false,
+    enforcement: ENFORCEMENT_HARD,
+    blockReason: BLOCK_REASON_ALLOWLIST,
+    kind: "regex",
+    host: null,
+    path: "",
+    exact: false,
+    regexSource,
+    regex: new RegExp(regexSource, "i"),
+    specificity: 0,
+  };
+}
+
+function allowlistCarveOutPatterns() {
+  return [...CAPTIVE_PORTAL_HOSTS, PRIVATE_NETWORK_REGEX]
+    .map((raw) => parseUrlPattern(raw, PATTERN_ACTION_ALLOW))
+    .filter(Boolean);
+}
+
+// Patterns that turn the pattern engine into an allowlist: the catch-all,
+// the built-in carve-outs and one allow pattern per allowed domain.
+function buildAllowlistPatterns(allowedDomains) {
+  return [
+    allowlistCatchAllPattern(),
+    ...allowlistCarveOutPatterns(),
+    ...(allowedDomains || [])
+      .map((raw) => parseUrlPattern(raw, PATTERN_ACTION_ALLOW))
+      .filter(Boolean),
+  ];
+}
@@ -0,0 +1,260 @@
+// FocusDragon - shared time and visit budgets
+//
+// A block entry with a `budget` stays open until the budget is used up and
+// is blocked from then until the next reset:
+//   { domain: "youtube.com", budget: { minutes: 20, period: "daily" } }
+//   { domain: "reddit.com", budget: { visits: 5, period: "daily" } }
+//   { domain: "twitter.com", budget: { minutes: 120, visits: 20, period: "weekly" } }
+// Whichever limit runs out first uses up the budget. Budgets reset at the
+// local time given by the payload's `budgetReset` ({ minutes, weekday };
+// midnight, and Monday for weekly budgets, by default).
+//
+// Time counts while a metered site is the active tab of the focused window
+// and the computer isn't idle; a visit is a page load arriving from
+// anywhere else. Each browser keeps its own usage in storage and sends it
+// to the native host, which passes every browser's usage on to the others,
+// so a budget is shared across browsers and survives restarts.
+// Load after schedule-windows.js.
+
+const BUDGET_PERIOD_DAILY = "daily";
+const BUDGET_PERIOD_WEEKLY = "weekly";
+const DEFAULT_BUDGET_RESET = { minutes: 0, weekday: 2 };
+
+const BUDGET_USAGE_KEY = "budgetUsage"; // this browser's usage by entry
+const BUDGET_REMOTE_KEY = "budgetRemoteUsage"; // other browsers', by browser
+const BUDGET_ACTIVE_KEY = "budgetActive"; // { key, since } while time counts
+
+// Callers look at the active page at least this often while time counts.
+// A single stretch is never credited more than twice this, so time isn't
+// charged for a browser that was closed or asleep in between.
+const BUDGET_TICK_MS = 60 * 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Strict check for a block entry's `budget`: the reason it is unusable,
+// or null.
+function budgetError(raw) {
+  if (!raw || typeof raw !== "object") return "budget must be an object";
+  if (raw.minutes === undefined && raw.visits === undefined) return "budget needs minutes or visits";
+  if (raw.minutes !== undefined && !isPositiveInteger(raw.minutes)) return "budget minutes must be a positive whole number";
+  if (raw.visits !== undefined && !isPositiveInteger(raw.visits)) return "budget visits must be a positive whole number";
+  if (raw.period !== undefined && raw.period !== BUDGET_PERIOD_DAILY && raw.period !== BUDGET_PERIOD_WEEKLY) {
+    return "budget period must be daily or weekly";
+  }
+  return null;
+}
+
+function normalizeBudget(raw) {
+  if (budgetError(raw)) return null;
+  return {
+    minutes: raw.minutes === undefined ? null : raw.minutes,
+    visits: raw.visits === undefined ? null : raw.visits,
+    period: raw.period || BUDGET_PERIOD_DAILY,
+  };
+}
+
+function normalizeBudgetReset(raw) {
+  const reset = Object.assign({}, DEFAULT_BUDGET_RESET);
+  if (raw && isScheduleMinute(raw.minutes)) reset.minutes = raw.minutes;
+  if (raw && ALL_WEEKDAYS.includes(raw.weekday)) reset.weekday = raw.weekday;
+  return reset;
+}
+
+// Start of the budget period containing `now`, built from local dates so
+// resets stay at the same wall-clock time across daylight saving changes
+function budgetPeriodStart(period, reset, now) {
+  const date = new Date(now);
+  let back = 0;
+  if (period === BUDGET_PERIOD_WEEKLY) back = (date.getDay() + 1 - reset.weekday + 7) % 7;
+
+  const at = (days) =>
+    new Date(date.getFullYear(), date.getMonth(), date.getDate() - days, 0, reset.minutes).getTime();
+  const start = at(back);
+  if (start <= now) return start;
+  return at(back + (period === BUDGET_PERIOD_WEEKLY ? 7 : 1));
+}
+
+function nextBudgetReset(period, reset, now) {
+  const start = new Date(budgetPeriodStart(period, reset, now));
+  const days = period === BUDGET_PERIOD_WEEKLY ? 7 : 1;
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + days, 0, reset.minutes).getTime();
+}
+
+// Earliest of the given times, ignoring nulls
+function earliestTime(...times) {
+  const known = times.filter((time) => time !== null && time !== undefined);
+  return known.length > 0 ? Math.min(...known) : null;
+}
+
+// ─── Usage ──────────────────────────────────────────────────────────
+
+// Milliseconds counted since `active.since` that haven't been credited yet
+function uncreditedTime(active, now) {
+  if (!active) return 0;
+  return Math.max(0, Math.min(now - active.since, 2 * BUDGET_TICK_MS));
+}
+
+// Usage is kept per entry (pattern.source) as { periodStart, seconds,
+// visits }; a record from an earlier period counts as nothing.
+// `state` is { own, remote, active } as kept by createBudgetTracker();
+// time counting right now is included.
+function budgetUsage(pattern, state, reset, now) {
+  const start = budgetPeriodStart(pattern.budget.period, reset, now);
+  const records = [state.own[pattern.source]];
+  for (const usage of Object.values(state.remote)) records.push(usage[pattern.source]);
+
+  const total = { seconds: 0, visits: 0 };
+  for (const record of records) {
+    if (!record || record.periodStart !== start) continue;
+    total.seconds += record.seconds || 0;
+    total.visits += record.visits || 0;
+  }
+  if (state.active && state.active.key === pattern.source) {
+    total.seconds += uncreditedTime(state.active, now) / 1000;
+  }
+  return total;
+}
+
+// { seconds, visits } left (null where the budget sets no limit),
+// `exhausted` and `resetsAt`
+function budgetRemaining(pattern, state, reset, now) {
+  const used = budgetUsage(pattern, state, reset, now);
+  const { minutes, visits } = pattern.budget;
+  const remaining = {
+    seconds: minutes === null ? null : Math.max(0, minutes * 60 - Math.floor(used.seconds)),
+    visits: visits === null ? null : Math.max(0, visits - used.visits),
+    resetsAt: nextBudgetReset(pattern.budget.period, reset, now),
+  };
+  remaining.exhausted = remaining.seconds === 0 || remaining.visits === 0;
+  return remaining;
+}
+
+// The patterns to enforce: budgeted ones only once their budget is used
+// up, as copies that tell the blocked page when the budget resets. A
+// used-up budget is a hard block even on a friction entry.
+function applyBudgets(patterns, state, reset, now) {
+  const enforced = [];
+
+  for (const pattern of patterns) {
+    if (!pattern.budget || pattern.action !== PATTERN_ACTION_BLOCK) {
+      enforced.push(pattern);
+      continue;
+    }
+    const remaining = budgetRemaining(pattern, state, reset, now);
+    if (remaining.exhausted) {
+      enforced.push(Object.assign({}, pattern, {
+        availableAt: remaining.resetsAt,
+        blockReason: "budget",
+        enforcement: ENFORCEMENT_HARD,
+      }));
+    }
+  }
+
+  return enforced;
+}
+
+function exhaustedBudgetKeys(patterns, state, reset, now) {
+  return patterns
+    .filter((pattern) => pattern.budget && budgetRemaining(pattern, state, reset, now).exhausted)
+    .map((pattern) => pattern.source)
+    .sort()
+    .join("\n");
+}
+
+// When the next budget resets, or null when no entry has a budget
+function nextPatternBudgetReset(patterns, reset, now) {
+  return earliestTime(...patterns
+    .filter((pattern) => pattern.budget)
+    .map((pattern) => nextBudgetReset(pattern.budget.period, reset, now)));
+}
+
+// The budgeted entry that decides `url` when budgets are ignored, or null.
+// `patterns` must not have been through applyBudgets().
+function meteredPattern(patterns, url) {
+  const match = matchUrlPatterns(patterns, url);
+  return match && match.budget && match.action === PATTERN_ACTION_BLOCK ? match : null;
+}
+
+// ─── Tracker ────────────────────────────────────────────────────────
+
+// Keeps this browser's usage in `storage` (storage.local) and credits it.
+// State is cached after load(); every change is written back at once so a
+// restarted service worker picks up where it left off.
+function createBudgetTracker(storage) {
+  let state = null;
+
+  async function load() {
+    if (state) return state;
+    const stored = await storage.get([BUDGET_USAGE_KEY, BUDGET_REMOTE_KEY, BUDGET_ACTIVE_KEY]);
+    state = {
+      own: stored[BUDGET_USAGE_KEY] || {},
+      remote: stored[BUDGET_REMOTE_KEY] || {},
+      active: stored[BUDGET_ACTIVE_KEY] || null,
+    };
+    return state;
+  }
+
+  function save() {
+    return storage.set({
+      [BUDGET_USAGE_KEY]: state.own,
+      [BUDGET_REMOTE_KEY]: state.remote,
+      [BUDGET_ACTIVE_KEY]: state.active,
+    });
+  }
+
+  function record(pattern, reset, now) {
+    const periodStart = budgetPeriodStart(pattern.budget.period, reset, now);
+    let entry = state.own[pattern.source];
+    if (!entry || entry.periodStart !== periodStart) {
+      entry = { periodStart, seconds: 0, visits: 0 };
+      state.own[pattern.source] = entry;
+    }
+    return entry;
+  }
+
+  return {
+    load,
+
+    state() {
+      return state;
+    },
+
+    // Credits the time since the last call to the page that was counting,
+    // then counts for `pattern` (null: nothing counts)
+    async setActive(pattern, patterns, reset, now) {
+      await load();
+      if (state.active) {
+        const counted = patterns.find((candidate) => candidate.source === state.active.key && candidate.budget);
+        const elapsed = uncreditedTime(state.active, now);
+        if (counted && elapsed > 0) record(counted, reset, now).seconds += elapsed / 1000;
+      }
+      state.active = pattern ? { key: pattern.source, since: now } : null;
+      await save();
+    },
+
+    async addVisit(pattern, reset, now) {
+      await load();
+      record(pattern, reset, now).visits += 1;
+      await save();
+    },
+
+    // `usage` is every browser's usage as kept by the native host. Our own
+    // copy there only matters when local storage was lost.
+    async mergeRemote(usage, browserName) {
+      await load();
+      const remote = Object.assign({}, usage || {});
+      for (const [key, theirs] of Object.entries(remote[browserName] || {})) {
+        const ours = state.own[key];
+        if (!ours || ours.periodStart < theirs.periodStart
+            || (ours.periodStart === theirs.periodStart && ours.seconds < theirs.seconds)) {
+          state.own[key] = Object.assign({}, theirs);
+        }
+      }
+      delete remote[browserName];
+      state.remote = remote;
+      await save();
+    },
+  };
+}
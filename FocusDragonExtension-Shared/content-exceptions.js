@@ -0,0 +1,145 @@
+// FocusDragon - shared content-aware exceptions
+//
+// Exceptions that name a piece of content instead of a URL prefix:
+//   { type: "youtubeVideo", value: "dQw4w9WgXcQ" }      v= / youtu.be / shorts id
+//   { type: "youtubePlaylist", value: "PL590L5WQmH8..." } list= parameter
+//   { type: "youtubeChannel", value: "@mitocw" }         handle or UC… channel id
+//   { type: "subreddit", value: "learnprogramming" }     reddit.com/r/<name>
+//
+// Videos, playlists and subreddits are visible in the URL, so they become
+// allow patterns that go through the normal rule engine (DNR on Chromium
+// and Safari, matchUrlPatterns() on Firefox). A watch URL doesn't say which
+// channel it belongs to, so channel exceptions add *deferred* allow patterns
+// for YouTube watch and shorts pages: the rule engine lets those load,
+// youtube-metadata.js reports the channel, and the background redirects to
+// blocked.html only when no channel exception matches.
+//
+// Content exceptions name a single item, so they rank above every host or
+// path pattern. Load after url-patterns.js and keywords.js.
+
+const CONTENT_EXCEPTION_TYPES = ["youtubeVideo", "youtubePlaylist", "youtubeChannel", "subreddit"];
+const CONTENT_EXCEPTION_SPECIFICITY = MAX_PATTERN_SPECIFICITY + 1;
+
+const YOUTUBE_HOST_REGEX = `${SCHEME_REGEX}(?:[^/?#]*\\.)?youtube\\.com`;
+const YOUTU_BE_HOST_REGEX = `${SCHEME_REGEX}(?:www\\.)?youtu\\.be`;
+const REDDIT_HOST_REGEX = `${SCHEME_REGEX}(?:[^/?#]*\\.)?reddit\\.com`;
+const QUERY_PARAM_PREFIX_REGEX = "/[^?#]*\\?(?:[^#]*&)?";
+const VALUE_END_REGEX = "(?:[&#]|$)";
+
+// Pages whose channel can only be read from the page itself
+const CHANNEL_CHECKED_PATHS = ["/watch", "/shorts/"];
+
+function isContentException(raw) {
+  return !!raw && typeof raw === "object" && CONTENT_EXCEPTION_TYPES.includes(raw.type);
+}
+
+// Accepts "@handle", "UC…" ids and channel URLs. Handles are
+// case-insensitive, channel ids are not.
+function normalizeChannel(value) {
+  let text = String(value || "").trim();
+  const urlMatch = text.match(/youtube\.com\/(@[^/?#]+|channel\/(UC[\w-]+))/i);
+  if (urlMatch) text = urlMatch[2] || urlMatch[1];
+
+  if (/^UC[\w-]{22}$/.test(text)) return { id: text, handle: null };
+  if (!text) return null;
+  if (!text.startsWith("@")) text = `@${text}`;
+  return { id: null, handle: text.toLowerCase() };
+}
+
+function contentPattern(source, regexSource, extra) {
+  return Object.assign({
+    source,
+    action: PATTERN_ACTION_ALLOW,
+    negated: false,
+    kind: "content",
+    regexSource,
+    regex: new RegExp(regexSource, "i"),
+    specificity: CONTENT_EXCEPTION_SPECIFICITY,
+  }, extra || {});
+}
+
+function contentExceptionPatterns(exception, value) {
+  const escaped = escapeRegex(value);
+  const source = `${exception.type}:${value}`;
+
+  switch (exception.type) {
+    case "youtubeVideo":
+      return [
+        contentPattern(source, `${YOUTUBE_HOST_REGEX}/watch\\?(?:[^#]*&)?v=${escaped}${VALUE_END_REGEX}`),
+        contentPattern(source, `${YOUTUBE_HOST_REGEX}/shorts/${escaped}(?:[/?#]|$)`),
+        contentPattern(source, `${YOUTU_BE_HOST_REGEX}/${escaped}(?:[/?#]|$)`),
+      ];
+    case "youtubePlaylist":
+      return [
+        contentPattern(source, `${YOUTUBE_HOST_REGEX}${QUERY_PARAM_PREFIX_REGEX}list=${escaped}${VALUE_END_REGEX}`),
+        contentPattern(source, `${YOUTU_BE_HOST_REGEX}${QUERY_PARAM_PREFIX_REGEX}list=${escaped}${VALUE_END_REGEX}`),
+      ];
+    case "subreddit":
+      return [
+        contentPattern(source, `${REDDIT_HOST_REGEX}/r/${escapeRegex(value.replace(/^\/?r\//i, ""))}(?:[/?#]|$)`),
+      ];
+    case "youtubeChannel": {
+      const channel = normalizeChannel(value);
+      if (!channel) return [];
+      const channelPath = channel.id ? `channel/${escapeRegex(channel.id)}` : escapeRegex(channel.handle);
+      return [
+        contentPattern(source, `${YOUTUBE_HOST_REGEX}/${channelPath}(?:[/?#]|$)`),
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+// Returns { patterns, channels }: allow patterns for the rule engine and
+// the normalized channels the background checks against page metadata.
+function parseContentExceptions(urlExceptions) {
+  const patterns = [];
+  const channels = [];
+
+  for (const exception of urlExceptions || []) {
+    if (!isContentException(exception)) continue;
+    const value = String(exception.value || "").trim();
+    if (!value) continue;
+
+    patterns.push(...contentExceptionPatterns(exception, value));
+
+    if (exception.type === "youtubeChannel") {
+      const channel = normalizeChannel(value);
+      if (channel) channels.push(channel);
+    }
+  }
+
+  if (channels.length > 0) {
+    for (const path of CHANNEL_CHECKED_PATHS) {
+      patterns.push(contentPattern(
+        `youtubeChannel:check ${path}`,
+        `${YOUTUBE_HOST_REGEX}${escapeRegex(path)}`,
+        { deferred: true }
+      ));
+    }
+  }
+
+  return { patterns, channels };
+}
+
+function channelExceptionMatches(channels, pageChannel) {
+  if (!pageChannel) return false;
+  const handle = pageChannel.handle ? pageChannel.handle.toLowerCase() : null;
+
+  return channels.some((channel) =>
+    (channel.id && channel.id === pageChannel.id) ||
+    (channel.handle && channel.handle === handle)
+  );
+}
+
+// Called when youtube-metadata.js reports a page the rule engine let
+// through on a deferred pattern. True when the page has to be blocked:
+// something blocks the URL and no channel exception covers the page.
+function shouldBlockAfterContentCheck(patterns, keywordMatchers, channels, url, pageChannel) {
+  const match = matchUrlPatterns(patterns, url);
+  if (!match || !match.deferred) return false;
+
+  const blocked = isUrlBlocked(patterns.filter((pattern) => !pattern.deferred), keywordMatchers, url);
+  return blocked && !channelExceptionMatches(channels, pageChannel);
+}
@@ -0,0 +1,186 @@
+// FocusDragon - shared DNS-over-HTTPS guard
+//
+// The daemon also blocks sites in the hosts file, but a browser with secure
+// DNS on resolves names over HTTPS and never reads it. During sessions the
+// DoH endpoints in DOH_ENDPOINTS are blocked for every resource type, along
+// with any the host's payload adds in `dohEndpoints`, so the list can grow
+// without a new extension release. Endpoints are written "dns.example"
+// (the host and its subdomains) or "1.1.1.1/dns-query" (that path only, for
+// hosts that serve other things too).
+//
+// The browser's own resolver doesn't go through extensions, so it is
+// caught by what it does instead: when a domain the hosts file blocks
+// answers from a real address, something resolved it without the hosts
+// file. That, and pages talking to DoH endpoints themselves, is reported
+// to the app as a `dohWarning` so it can tell the user how to turn secure
+// DNS off.
+// Load after friction.js.
+
+const DOH_WARNING_TYPE = "dohWarning";
+const DOH_REASON_ENDPOINT = "endpoint"; // a request to a listed endpoint, blocked
+const DOH_REASON_UNLISTED = "unlistedEndpoint"; // a DNS query to a host not on the list
+const DOH_REASON_HOSTS_BYPASSED = "hostsBypassed"; // a hosts-file domain answered from a real address
+// Above every allow rule, friction passes included: exceptions never open these
+const DOH_RULE_PRIORITY = FRICTION_PASS_PRIORITY + 1;
+// Every type all the DNR browsers know, main_frame included
+const DOH_RESOURCE_TYPES = [
+  "main_frame", "sub_frame", "stylesheet", "script", "image", "font",
+  "xmlhttprequest", "ping", "media", "websocket", "other",
+];
+// RFC 8484's default path, which unlisted endpoints use too
+const DOH_QUERY_MATCH_PATTERN = "*://*/dns-query*";
+
+const DOH_ENDPOINTS = [
+  "dns.google",
+  "cloudflare-dns.com",
+  "dns.quad9.net",
+  "dns9.quad9.net",
+  "dns10.quad9.net",
+  "dns11.quad9.net",
+  "doh.opendns.com",
+  "doh.familyshield.opendns.com",
+  "dns.nextdns.io",
+  "doh.cleanbrowsing.org",
+  "dns.adguard.com",
+  "dns.adguard-dns.com",
+  "family.adguard-dns.com",
+  "unfiltered.adguard-dns.com",
+  "dns.controld.com",
+  "freedns.controld.com",
+  "doh.mullvad.net",
+  "dns.mullvad.net",
+  "dns0.eu",
+  "doh.dns.sb",
+  "doh.libredns.gr",
+  "doh.applied-privacy.net",
+  "dns.switch.ch",
+  "odvr.nic.cz",
+  "dns.alidns.com",
+  "doh.pub",
+  "doh.360.cn",
+  "1.1.1.1/dns-query",
+  "1.0.0.1/dns-query",
+  "one.one.one.one/dns-query",
+  "8.8.8.8/dns-query",
+  "8.8.4.4/dns-query",
+  "8.8.8.8/resolve",
+  "8.8.4.4/resolve",
+  "9.9.9.9/dns-query",
+  "149.112.112.112/dns-query",
+];
+
+// `raw` ("host" or "host/path") as { host, path }, or { error }
+function parseDohEndpoint(raw) {
+  if (typeof raw !== "string" || raw.trim() === "") return { error: "not a host or host/path" };
+  let parsed;
+  try {
+    parsed = new URL(`https://${raw.trim().replace(/^https?:\/\//i, "")}`);
+  } catch {
+    return { error: "not a host or host/path" };
+  }
+  if (parsed.username || parsed.port || parsed.search || parsed.hash || parsed.hostname.startsWith("[")) {
+    return { error: "only a host and a path are allowed" };
+  }
+  const host = canonicalHost(parsed.hostname);
+  if (!host.includes(".")) return { error: "not a host or host/path" };
+  return { endpoint: { host, path: parsed.pathname === "/" ? null : parsed.pathname } };
+}
+
+// The bundled endpoints plus the payload's `dohEndpoints`. Returns
+// { endpoints, rejected } with rejected entries as { list, entry, reason },
+// for reportEntryProblems().
+function parseDohEndpoints(rawEntries) {
+  const endpoints = DOH_ENDPOINTS.map((raw) => parseDohEndpoint(raw).endpoint);
+  const rejected = [];
+  for (const raw of Array.isArray(rawEntries) ? rawEntries : []) {
+    const parsed = parseDohEndpoint(raw);
+    if (parsed.error) {
+      rejected.push({ list: "dohEndpoints", entry: describeRawEntry(raw), reason: parsed.error });
+      continue;
+    }
+    const key = JSON.stringify(parsed.endpoint);
+    if (!endpoints.some((endpoint) => JSON.stringify(endpoint) === key)) endpoints.push(parsed.endpoint);
+  }
+  return { endpoints, rejected };
+}
+
+// The endpoint `url` goes to, or null
+function findDohEndpoint(endpoints, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = canonicalHost(parsed.hostname);
+  return endpoints.find((endpoint) => {
+    if (endpoint.path !== null) return host === endpoint.host && parsed.pathname.startsWith(endpoint.path);
+    return host === endpoint.host || host.endsWith(`.${endpoint.host}`);
+  }) || null;
+}
+
+// Match patterns for `endpoints`, for webRequest filters
+function dohEndpointMatchPatterns(endpoints) {
+  return endpoints.flatMap((endpoint) => (endpoint.path !== null
+    ? [`*://${endpoint.host}${endpoint.path}*`]
+    : [`*://${endpoint.host}/*`, `*://*.${endpoint.host}/*`]));
+}
+
+// ─── Hosts file ─────────────────────────────────────────────────────
+
+// The hosts the daemon writes to the hosts file for the payload's
+// `domains`: the plain domains (blockEntries are objects) and their www.
+function hostsFileDomains(rawDomains) {
+  const hosts = [];
+  for (const raw of Array.isArray(rawDomains) ? rawDomains : []) {
+    if (typeof raw !== "string") continue;
+    const host = canonicalHost(raw.trim());
+    if (!/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(host)) continue;
+    for (const name of host.startsWith("www.") ? [host] : [host, `www.${host}`]) {
+      if (!hosts.includes(name)) hosts.push(name);
+    }
+  }
+  return hosts;
+}
+
+function hostsFileMatchPatterns(hosts) {
+  return hosts.map((host) => `*://${host}/*`);
+}
+
+// Whether a response from `ip` for a hosts-file domain means the hosts
+// file was skipped: anything but the 0.0.0.0 it maps them to, or loopback.
+// No address (a cached response) tells nothing.
+function isHostsFileBypassed(ip) {
+  if (!ip) return false;
+  return !/^(?:0\.0\.0\.0|127\.\d+\.\d+\.\d+|::1?|\[::1?\])$/.test(ip);
+}
+
+// ─── declarativeNetRequest (Chromium, Safari) ───────────────────────
+
+// Rules blocking `endpoints` as { rule, sources }, without ids (see
+// compileKeywordRules())
+function compileDohRules(endpoints) {
+  const hosts = endpoints.filter((endpoint) => endpoint.path === null).map((endpoint) => endpoint.host);
+  const rules = [];
+  for (let i = 0; i < hosts.length; i += REQUEST_DOMAINS_PER_RULE) {
+    rules.push({
+      rule: {
+        priority: DOH_RULE_PRIORITY,
+        action: { type: "block" },
+        condition: { requestDomains: hosts.slice(i, i + REQUEST_DOMAINS_PER_RULE), resourceTypes: DOH_RESOURCE_TYPES },
+      },
+      sources: hosts.slice(i, i + REQUEST_DOMAINS_PER_RULE),
+    });
+  }
+  for (const endpoint of endpoints.filter((candidate) => candidate.path !== null)) {
+    rules.push({
+      rule: {
+        priority: DOH_RULE_PRIORITY,
+        action: { type: "block" },
+        condition: { urlFilter: `||${endpoint.host}${endpoint.path}`, resourceTypes: DOH_RESOURCE_TYPES },
+      },
+      sources: [`${endpoint.host}${endpoint.path}`],
+    });
+  }
+  return rules;
+}
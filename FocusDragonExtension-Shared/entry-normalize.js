@@ -0,0 +1,293 @@
+// FocusDragon - shared block list normalisation
+//
+// Entries arrive the way people type them: `https://Reddit.com/`,
+// `reddit.com:443`, ` youtube.com `, `bücher.de`. normalizeBlockList()
+// rewrites every block entry, exception and allowed domain into the form
+// url-patterns.js expects (lowercase host, no scheme, credentials, port or
+// bare `/` path, IDNs in punycode) and rejects the ones that still aren't
+// valid, one by one, so a single bad entry can't fail the whole rule update.
+// Longer paths are kept: they make path-scoped entries.
+//
+// Hosts that mix Latin with Cyrillic or Greek letters, or are spelled
+// entirely in Latin lookalikes (`раураl.com` in Cyrillic), are kept but
+// flagged. Rejections and flags go back to the native host so the app can
+// show them. The cases in conformance/entry-normalize.json must hold.
+// Load after intent.js.
+
+const MAX_HOST_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+
+// Cyrillic and Greek letters that render like Latin ones
+const LATIN_LOOKALIKES = /^[аеорсухіјѕԁԛԝһӏкмнтвαεικνορτυχ]+$/u;
+
+// ─── Punycode (RFC 3492), decode only; encoding is left to URL ──────
+
+const PUNYCODE_BASE = 36;
+const PUNYCODE_TMIN = 1;
+const PUNYCODE_TMAX = 26;
+const PUNYCODE_SKEW = 38;
+const PUNYCODE_DAMP = 700;
+
+function punycodeAdapt(delta, numPoints, firstTime) {
+  delta = firstTime ? Math.floor(delta / PUNYCODE_DAMP) : delta >> 1;
+  delta += Math.floor(delta / numPoints);
+  let k = 0;
+  while (delta > ((PUNYCODE_BASE - PUNYCODE_TMIN) * PUNYCODE_TMAX) >> 1) {
+    delta = Math.floor(delta / (PUNYCODE_BASE - PUNYCODE_TMIN));
+    k += PUNYCODE_BASE;
+  }
+  return k + Math.floor(((PUNYCODE_BASE - PUNYCODE_TMIN + 1) * delta) / (delta + PUNYCODE_SKEW));
+}
+
+function punycodeDigit(char) {
+  const code = char.charCodeAt(0);
+  if (code >= 48 && code <= 57) return code - 22; // 0-9 → 26-35
+  if (code >= 97 && code <= 122) return code - 97; // a-z → 0-25
+  return PUNYCODE_BASE;
+}
+
+// Unicode form of one punycode label (without `xn--`), or null if invalid
+function punycodeDecode(input) {
+  const output = [];
+  const basicEnd = input.lastIndexOf("-");
+  for (let j = 0; j < Math.max(basicEnd, 0); j++) output.push(input.charCodeAt(j));
+
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+    const oldi = i;
+    for (let w = 1, k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+      if (index >= input.length) return null;
+      const digit = punycodeDigit(input[index++]);
+      if (digit >= PUNYCODE_BASE) return null;
+      i += digit * w;
+      const t = k <= bias ? PUNYCODE_TMIN : k >= bias + PUNYCODE_TMAX ? PUNYCODE_TMAX : k - bias;
+      if (digit < t) break;
+      w *= PUNYCODE_BASE - t;
+    }
+    bias = punycodeAdapt(i - oldi, output.length + 1, oldi === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) return null;
+    output.splice(i++, 0, n);
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+// ─── Hosts ──────────────────────────────────────────────────────────
+
+function unicodeLabel(label) {
+  if (!label.startsWith("xn--")) return label;
+  return punycodeDecode(label.slice(4)) || label;
+}
+
+function asciiLabel(label) {
+  if (/^[\x00-\x7f]*$/.test(label)) return label;
+  if (label.includes("*")) return null;
+  try {
+    return new URL(`http://${label}/`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// "mixedScript", "lookalikeScript" or null for a unicode host
+function homoglyphRisk(unicodeHost) {
+  for (const label of unicodeHost.split(".")) {
+    const latin = /\p{Script=Latin}/u.test(label);
+    const cyrillic = /\p{Script=Cyrillic}/u.test(label);
+    const greek = /\p{Script=Greek}/u.test(label);
+    if ([latin, cyrillic, greek].filter(Boolean).length > 1) return "mixedScript";
+
+    const letters = label.replace(/[\d-]/g, "");
+    if ((cyrillic || greek) && LATIN_LOOKALIKES.test(letters)) return "lookalikeScript";
+  }
+  return null;
+}
+
+// { host, flag } or { error } for the host part of an entry
+function normalizeHost(rawHost) {
+  let host = rawHost;
+  const at = host.lastIndexOf("@");
+  if (at !== -1) host = host.slice(at + 1);
+  if (host.startsWith("[")) return { error: "IPv6 addresses can't be blocked by name" };
+
+  host = host.replace(/:\d*$/, "").replace(/\.+$/, "").toLowerCase();
+  if (!host) return { error: "missing domain" };
+
+  const unicodeHost = host.split(".").map(unicodeLabel).join(".");
+  const labels = host.split(".").map(asciiLabel);
+  if (labels.includes(null)) return { error: "not a valid international domain" };
+  host = labels.join(".");
+
+  if (!/^[a-z0-9*._-]+$/.test(host) || /^\*+$/.test(host)) return { error: "not a valid domain" };
+  if (host.length > MAX_HOST_LENGTH) return { error: "domain is longer than 253 characters" };
+  if (labels.some((label) => label === "")) return { error: "domain has an empty label" };
+  if (labels.some((label) => label.length > MAX_LABEL_LENGTH)) {
+    return { error: "domain label is longer than 63 characters" };
+  }
+
+  return { host, flag: homoglyphRisk(unicodeHost) };
+}
+
+// Normalises pattern text from url-patterns.js's grammar. Regular
+// expressions pass through; `!` and `=` prefixes are kept.
+function normalizePatternText(rawText) {
+  let text = String(rawText).trim();
+  if (/\s/.test(text)) return { error: "contains whitespace" };
+
+  let prefix = "";
+  while (text.startsWith("!") || text.startsWith("=")) {
+    prefix += text[0];
+    text = text.slice(1);
+  }
+  if (text.length > 2 && text.startsWith("/") && text.endsWith("/")) {
+    return { text: prefix + text, flag: null };
+  }
+
+  text = text.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+  const split = text.search(/[/?#]/);
+  const rawHost = split === -1 ? text : text.slice(0, split);
+  let path = split === -1 ? "" : text.slice(split).replace(/#.*$/, "");
+  if (path === "/" || path === "") path = "";
+  else if (!path.startsWith("/")) path = `/${path}`;
+
+  const result = normalizeHost(rawHost);
+  if (result.error) return result;
+  return { text: prefix + result.host + path, host: result.host, flag: result.flag };
+}
+
+// ─── Entries ────────────────────────────────────────────────────────
+
+// { entry } with the normalised entry, or { error }; `flag` is set when
+// the host looks like a homoglyph
+function normalizeBlockEntry(raw, action) {
+  let normalized;
+  let entry;
+
+  if (typeof raw === "string") {
+    normalized = normalizePatternText(raw);
+    entry = normalized.text;
+  } else if (raw && typeof raw === "object" && typeof raw.pattern === "string") {
+    normalized = normalizePatternText(raw.pattern);
+    entry = Object.assign({}, raw, { pattern: normalized.text });
+  } else if (raw && typeof raw === "object" && typeof raw.domain === "string") {
+    normalized = normalizePatternText(raw.domain);
+    if (!normalized.error && normalized.text.replace(/^[!=]+/, "") !== normalized.host) {
+      normalized = { error: "domain field must be a plain domain" };
+    }
+    entry = Object.assign({}, raw, { domain: normalized.text });
+  } else {
+    return { error: "unrecognised entry" };
+  }
+
+  if (normalized.error) return { error: normalized.error };
+  if (typeof raw === "object" && raw.schedule !== undefined) {
+    const scheduleError = scheduleWindowsError(raw.schedule);
+    if (scheduleError) return { error: scheduleError };
+  }
+  if (typeof raw === "object" && raw.budget !== undefined) {
+    const invalidBudget = budgetError(raw.budget);
+    if (invalidBudget) return { error: invalidBudget };
+  }
+  if (typeof raw === "object" && raw.enforcement !== undefined && !ENFORCEMENT_MODES.includes(raw.enforcement)) {
+    return { error: "enforcement must be hard, friction or intent" };
+  }
+  if (typeof raw === "object" && raw.passMinutes !== undefined) {
+    const invalidPass = intentPassError(raw);
+    if (invalidPass) return { error: invalidPass };
+  }
+  if (typeof raw === "object" && raw.redirectTo !== undefined) {
+    const invalidRedirect = redirectTargetError(raw);
+    if (invalidRedirect) return { error: invalidRedirect };
+    entry.redirectTo = redirectTarget(raw.redirectTo);
+  }
+  if (!parseUrlPattern(entry, action)) return { error: "not a valid pattern" };
+  return { entry, flag: normalized.flag };
+}
+
+function normalizeException(raw) {
+  if (raw && typeof raw === "object" && raw.type) {
+    if (typeof raw.value !== "string" || !raw.value.trim()) return { error: "missing value" };
+    return { entry: Object.assign({}, raw, { value: raw.value.trim() }), flag: null };
+  }
+
+  if (raw && typeof raw === "object" && Array.isArray(raw.allowedPaths)) {
+    const normalized = normalizeBlockEntry({ domain: raw.domain || "" }, PATTERN_ACTION_ALLOW);
+    if (normalized.error) return normalized;
+    return { entry: Object.assign({}, raw, { domain: normalized.entry.domain }), flag: normalized.flag };
+  }
+
+  return normalizeBlockEntry(raw, PATTERN_ACTION_ALLOW);
+}
+
+function describeRawEntry(raw) {
+  if (typeof raw === "string") return raw;
+  if (raw && typeof raw === "object") {
+    if (raw.type) return `${raw.type}:${raw.value}`;
+    return raw.pattern || `${raw.domain || ""}${raw.path || ""}`;
+  }
+  return String(raw);
+}
+
+// Normalises each list in { domains, urlExceptions, allowedDomains }.
+// Returns the same lists cleaned up plus `rejected` and `flagged`, each a
+// list of { list, entry, reason } for reporting.
+function normalizeBlockList(lists) {
+  const result = { rejected: [], flagged: [] };
+  const normalizers = {
+    domains: (raw) => normalizeBlockEntry(raw, PATTERN_ACTION_BLOCK),
+    urlExceptions: normalizeException,
+    allowedDomains: (raw) => normalizeBlockEntry(raw, PATTERN_ACTION_ALLOW),
+  };
+
+  for (const [list, normalize] of Object.entries(normalizers)) {
+    result[list] = [];
+    for (const raw of lists[list] || []) {
+      const normalized = normalize(raw);
+      if (normalized.error) {
+        result.rejected.push({ list, entry: describeRawEntry(raw), reason: normalized.error });
+        continue;
+      }
+      if (normalized.flag) {
+        result.flagged.push({ list, entry: describeRawEntry(raw), reason: normalized.flag });
+      }
+      const key = JSON.stringify(normalized.entry);
+      if (!result[list].some((entry) => JSON.stringify(entry) === key)) {
+        result[list].push(normalized.entry);
+      }
+    }
+  }
+
+  return result;
+}
+
+// ─── declarativeNetRequest (Chromium, Safari) ───────────────────────
+
+// Drops patterns whose regexFilter the browser's regex engine won't take
+// (RE2 on Chromium). Returns { patterns, rejected }.
+async function rejectUnsupportedRegexes(dnr, patterns) {
+  if (!dnr || typeof dnr.isRegexSupported !== "function") return { patterns, rejected: [] };
+
+  const kept = [];
+  const rejected = [];
+  for (const pattern of patterns) {
+    const condition = patternCondition(pattern);
+    if (condition.regexFilter) {
+      const result = await dnr.isRegexSupported({ regex: condition.regexFilter });
+      if (!result.isSupported) {
+        rejected.push({
+          list: pattern.action === PATTERN_ACTION_ALLOW ? "urlExceptions" : "domains",
+          entry: pattern.source,
+          reason: `regular expression not supported (${result.reason})`,
+        });
+        continue;
+      }
+    }
+    kept.push(pattern);
+  }
+
+  return { patterns: kept, rejected };
+}
@@ -0,0 +1,54 @@
+// FocusDragon - hides feeds on allowed sites (content script)
+//
+// Registered by the background on the hosts of the session's feed erasers
+// (see feed-eraser.js). Hiding is a style sheet, so elements the page adds
+// later are hidden as they appear. Single-page apps change pages without a
+// reload, and some replace the <head> the sheet sits in, so a
+// MutationObserver picks the selectors for the new path and puts the sheet
+// back.
+
+(() => {
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  let erasers = null; // the stored feedEraser list
+  let style = null;
+  let appliedPath = null;
+  let observer = null;
+
+  function render() {
+    appliedPath = location.pathname;
+    const selectors = erasers ? feedEraserSelectors(erasers, location.hostname, location.pathname) : [];
+    if (selectors.length === 0) {
+      if (style) style.remove();
+      style = null;
+      return;
+    }
+
+    // One rule per selector: a selector the browser rejects only loses its own
+    const css = selectors.map((selector) => `${selector} { display: none !important; }`).join("\n");
+    if (!style) style = document.createElement("style");
+    if (style.textContent !== css) style.textContent = css;
+    if (!style.isConnected) (document.head || document.documentElement).appendChild(style);
+  }
+
+  function check() {
+    if (location.pathname !== appliedPath || (style && !style.isConnected)) render();
+  }
+
+  function start(stored) {
+    erasers = stored;
+    render();
+    if (erasers && !observer) {
+      observer = new MutationObserver(check);
+      observer.observe(document.documentElement, { childList: true, subtree: true });
+    } else if (!erasers && observer) {
+      observer.disconnect();
+      observer = null;
+    }
+  }
+
+  api.storage.local.get(FEED_ERASER_KEY).then((data) => start(data[FEED_ERASER_KEY] || null), () => {});
+  api.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[FEED_ERASER_KEY]) start(changes[FEED_ERASER_KEY].newValue || null);
+  });
+})();
@@ -0,0 +1,87 @@
+// FocusDragon - shared intent prompt and reason journal
+//
+// A block entry with `enforcement: "intent"` is for sites to be deliberate
+// about rather than avoid: its pages go to the reason page
+// (blocked.html?reason=intent, with the URL in the fragment), which asks
+// why and wants at least INTENT_MIN_REASON_LENGTH characters. A reason
+// opens the entry for its `passMinutes` (INTENT_PASS_MINUTES by default),
+// in every tab; callers leave entries with a running pass out through
+// applyIntentPasses() and rebuild their rules when a pass starts or ends.
+//
+// Every reason goes into a local journal (the last INTENT_JOURNAL_LIMIT)
+// and waits in storage until it has been sent to the native host, so the
+// app can show it next to its statistics.
+// Load after friction.js.
+
+const INTENT_MIN_REASON_LENGTH = 15;
+const INTENT_PASS_MINUTES = 15;
+const INTENT_MAX_PASS_MINUTES = 24 * 60;
+const INTENT_JOURNAL_LIMIT = 500;
+
+const INTENT_PASSES_KEY = "intentPasses"; // entry → when its pass ends (ms)
+const INTENT_JOURNAL_KEY = "intentJournal"; // [{ entry, url, reason, minutes, at }]
+const INTENT_REPORTS_KEY = "intentReports"; // journal entries not yet sent to the host
+
+// Strict check for a block entry's `passMinutes`: the reason it is
+// unusable, or null
+function intentPassError(raw) {
+  if (raw.enforcement !== ENFORCEMENT_INTENT) return "passMinutes needs enforcement intent";
+  if (!isPositiveInteger(raw.passMinutes) || raw.passMinutes > INTENT_MAX_PASS_MINUTES) {
+    return `passMinutes must be a whole number from 1 to ${INTENT_MAX_PASS_MINUTES}`;
+  }
+  return null;
+}
+
+// Why `reason` isn't enough to open the site, or null
+function intentReasonError(reason) {
+  if (typeof reason !== "string" || reason.trim().length < INTENT_MIN_REASON_LENGTH) {
+    return `Write at least ${INTENT_MIN_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+function intentPassMinutes(pattern) {
+  return pattern.passMinutes || INTENT_PASS_MINUTES;
+}
+
+// Passes still running at `now`, as entry → end
+async function loadIntentPasses(storage, now) {
+  const stored = await storage.get(INTENT_PASSES_KEY);
+  const passes = {};
+  for (const [entry, endsAt] of Object.entries(stored[INTENT_PASSES_KEY] || {})) {
+    if (endsAt > now) passes[entry] = endsAt;
+  }
+  return passes;
+}
+
+// Opens intent entry `pattern` for its pass length, journals the reason
+// and queues it for the host. Returns { endsAt }, or { error } when the
+// reason is too short.
+async function grantIntentPass(storage, pattern, url, reason, now) {
+  const error = intentReasonError(reason);
+  if (error) return { error };
+
+  const minutes = intentPassMinutes(pattern);
+  const passes = await loadIntentPasses(storage, now);
+  passes[pattern.source] = now + minutes * 60 * 1000;
+
+  const record = { entry: pattern.source, url, reason: reason.trim(), minutes, at: new Date(now).toISOString() };
+  const stored = await storage.get(INTENT_JOURNAL_KEY);
+  const journal = [...(stored[INTENT_JOURNAL_KEY] || []), record].slice(-INTENT_JOURNAL_LIMIT);
+
+  await storage.set({ [INTENT_PASSES_KEY]: passes, [INTENT_JOURNAL_KEY]: journal });
+  await queueHostReport(storage, INTENT_REPORTS_KEY, record);
+  return { endsAt: passes[pattern.source] };
+}
+
+// The patterns to enforce: intent entries only while they have no pass
+// running at `now`
+function applyIntentPasses(patterns, passes, now) {
+  return patterns.filter((pattern) =>
+    pattern.enforcement !== ENFORCEMENT_INTENT || !(passes[pattern.source] > now));
+}
+
+// When the next running pass ends, or null
+function nextIntentPassEnd(passes, now) {
+  return earliestTime(...Object.values(passes).filter((endsAt) => endsAt > now));
+}
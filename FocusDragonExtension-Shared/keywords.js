@@ -0,0 +1,145 @@
+// FocusDragon - shared keyword blocking
+//
+// Blocks any navigation whose URL contains one of the configured keywords,
+// which also covers search queries (`?q=reddit` on Google, Bing, DuckDuckGo).
+// Spaces in a keyword match the ways a query string encodes them
+// ("online casino" matches `online+casino` and `online%20casino`), and
+// keywords with other special characters also match their percent-encoded
+// form.
+//
+// Keyword blocks are the weakest rules: every allowing pattern from
+// url-patterns.js (exceptions, negated block entries) wins over them.
+//
+// Chromium and Safari get a few regexFilter rules, each an alternation of
+// several keywords, so large lists use few of the regex rule budget (see
+// rule-budget.js). Firefox tests the same regular expressions in its
+// webRequest listener.
+// Load after url-patterns.js.
+
+const KEYWORD_MIN_LENGTH = 2;
+const KEYWORD_RULE_PRIORITY = 1;
+const KEYWORD_REGEX_CHUNK_LENGTH = 400;
+
+const KEYWORD_SEPARATOR_REGEX = "(?:\\+|%20|[-_ ])*";
+
+const BLOCK_REASON_KEYWORD = "keyword";
+const KEYWORD_BLOCKED_PAGE_PATH = `${BLOCKED_PAGE_PATH}?reason=${BLOCK_REASON_KEYWORD}`;
+
+function parseKeywords(rawKeywords) {
+  const keywords = [];
+
+  for (const raw of rawKeywords || []) {
+    if (typeof raw !== "string") continue;
+    const keyword = raw.trim().replace(/\s+/g, " ").toLowerCase();
+    if (keyword.length < KEYWORD_MIN_LENGTH) continue;
+    if (!keywords.includes(keyword)) keywords.push(keyword);
+  }
+
+  return keywords;
+}
+
+// URLs reach the rule engines percent-encoded, and regexFilter only takes
+// ASCII, so non-ASCII tokens are matched in their encoded form only.
+function keywordTokenRegex(token) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  const encoded = encodeURIComponent(token);
+  if (encoded === token) return escape(token);
+  if (/^[\x20-\x7e]*$/.test(token)) return `(?:${escape(token)}|${escape(encoded)})`;
+  return escape(encoded);
+}
+
+function keywordRegexSource(keyword) {
+  return keyword.split(" ").map(keywordTokenRegex).join(KEYWORD_SEPARATOR_REGEX);
+}
+
+// Groups keywords into alternations no longer than KEYWORD_REGEX_CHUNK_LENGTH.
+// Returns [{ source, keywords }], one per chunk.
+function chunkKeywordRegexes(keywords) {
+  const chunks = [];
+  let current = null;
+  let currentLength = 0;
+
+  for (const keyword of keywords) {
+    const source = keywordRegexSource(keyword);
+    if (!current || currentLength + source.length + 1 > KEYWORD_REGEX_CHUNK_LENGTH) {
+      current = { sources: [], keywords: [] };
+      chunks.push(current);
+      currentLength = 0;
+    }
+    current.sources.push(source);
+    current.keywords.push(keyword);
+    currentLength += source.length + 1;
+  }
+
+  return chunks.map((chunk) => ({ source: chunk.sources.join("|"), keywords: chunk.keywords }));
+}
+
+// One matcher per keyword so callers can report which keyword matched
+function compileKeywordMatchers(keywords) {
+  return keywords.map((keyword) => ({
+    keyword,
+    regex: new RegExp(keywordRegexSource(keyword), "i"),
+  }));
+}
+
+// The first keyword contained in `url`, or null
+function findBlockedKeyword(matchers, url) {
+  const target = stripFragment(canonicalizeUrl(url));
+  const match = matchers.find((matcher) => matcher.regex.test(target));
+  return match ? match.keyword : null;
+}
+
+// Page-load decision for code that checks URLs itself: the winning
+// pattern decides, and keywords only count when no pattern matches.
+function isUrlBlocked(patterns, keywordMatchers, url) {
+  const match = matchUrlPatterns(patterns, url);
+  if (match) return match.action === PATTERN_ACTION_BLOCK;
+  return !!findBlockedKeyword(keywordMatchers, url);
+}
+
+// The first URL wrapper `url` shows that is blocked, or null (see
+// url-wrappers.js)
+function findBlockedWrappedUrl(patterns, keywordMatchers, url) {
+  return wrappedUrls(url).find((inner) => isUrlBlocked(patterns, keywordMatchers, inner)) || null;
+}
+
+// What blocks `url`, for the blocked page: { entry, reason, until } with
+// the winning block entry (or keyword), why it blocks (see
+// patternBlockReason()) and when that lifts, if it does; null when
+// nothing does
+function explainBlockedUrl(patterns, keywordMatchers, url) {
+  if (typeof url !== "string" || !url) return null;
+  const match = matchUrlPatterns(patterns, url);
+  if (match) {
+    if (match.action !== PATTERN_ACTION_BLOCK) return null;
+    return { entry: match.source, reason: patternBlockReason(match), until: match.availableAt || null };
+  }
+  const keyword = findBlockedKeyword(keywordMatchers, url);
+  return keyword ? { entry: keyword, reason: BLOCK_REASON_KEYWORD, until: null } : null;
+}
+
+// ─── declarativeNetRequest (Chromium, Safari) ───────────────────────
+
+// Compiles keywords to rules, each as { rule, sources } where `sources`
+// lists the keywords in the rule. Rules are returned without ids; the
+// caller numbers them. With `extensionUrl` (runtime.getURL("")) the
+// blocked page gets the URL, like pages blocked by entries.
+function compileKeywordRules(keywords, extensionUrl) {
+  return chunkKeywordRegexes(keywords).map((chunk) => {
+    const page = extensionUrl
+      ? urlCarryingRedirect(KEYWORD_BLOCKED_PAGE_PATH, chunk.source, extensionUrl)
+      : { redirect: { extensionPath: KEYWORD_BLOCKED_PAGE_PATH }, condition: { regexFilter: chunk.source } };
+    return {
+      rule: {
+        priority: KEYWORD_RULE_PRIORITY,
+        action: { type: "redirect", redirect: page.redirect },
+        condition: Object.assign(page.condition, { resourceTypes: ["main_frame"] }),
+      },
+      sources: chunk.keywords,
+    };
+  });
+}
+
+function buildKeywordRules(keywords, extensionUrl) {
+  return compileKeywordRules(keywords, extensionUrl).map((entry) => entry.rule);
+}
@@ -0,0 +1,73 @@
+// FocusDragon - shared link guard
+//
+// Links to blocked sites only lead to the blocked page, so while a session
+// has the link guard on, link-marker.js hides them in search results and
+// greys them out everywhere else. It runs the same matcher as the
+// backgrounds: they publish the enforced patterns and keywords under
+// LINK_GUARD_KEY in storage.local whenever their rules change, and null
+// when nothing is blocked or the session turned the guard off.
+//
+// The content scripts in LINK_GUARD_FILES are only registered while there
+// is something to mark, so pages pay nothing for them otherwise.
+// Load after keywords.js.
+
+const LINK_GUARD_KEY = "linkGuard";
+const LINK_GUARD_SCRIPT_ID = "focusdragon-link-guard";
+const LINK_GUARD_MATCHES = ["<all_urls>"];
+const LINK_GUARD_FILES = [
+  "shared/url-normalize.js",
+  "shared/url-wrappers.js",
+  "shared/url-patterns.js",
+  "shared/keywords.js",
+  "shared/link-guard.js",
+  "shared/link-marker.js",
+];
+
+// What goes into storage for link-marker.js: RegExps don't survive it, so
+// patterns keep their source and keywords are compiled again on the page.
+// Deferred allow patterns (content-exceptions.js) need the page itself and
+// are left out, as in the tab sweep.
+function linkGuardSnapshot(patterns, keywordMatchers) {
+  return {
+    patterns: patterns
+      .filter((pattern) => !pattern.deferred)
+      .map(({ source, action, enforcement, specificity, regexSource }) => ({
+        source, action, enforcement, specificity, regexSource,
+      })),
+    keywords: keywordMatchers.map((matcher) => matcher.keyword),
+  };
+}
+
+// The snapshot back as matchable rules: { patterns, keywordMatchers }
+function reviveLinkGuard(snapshot) {
+  return {
+    patterns: snapshot.patterns.map((pattern) => Object.assign({}, pattern, {
+      regex: new RegExp(pattern.regexSource, "i"),
+    })),
+    keywordMatchers: compileKeywordMatchers(snapshot.keywords),
+  };
+}
+
+// Whether a link to `url` would end on the blocked page, directly or
+// behind a wrapper (see url-wrappers.js). Friction and intent entries let
+// the page through in the end, so their links stay as they are.
+function isLinkBlocked(rules, url) {
+  return [url, ...wrappedUrls(url)].some((target) => {
+    const match = matchUrlPatterns(rules.patterns, target);
+    if (match) return match.action === PATTERN_ACTION_BLOCK && match.enforcement === ENFORCEMENT_HARD;
+    return !!findBlockedKeyword(rules.keywordMatchers, target);
+  });
+}
+
+// Registers the link guard scripts (see content-scripts.js), or takes them
+// away when `on` is false. Pages already open keep what they have;
+// link-marker.js clears its marks once the snapshot goes. A browser whose
+// manifest already injects some of the files passes the rest as `files`.
+function syncLinkGuardScripts(scripting, on, files = LINK_GUARD_FILES) {
+  return syncContentScript(scripting, {
+    id: LINK_GUARD_SCRIPT_ID,
+    js: files,
+    matches: on ? LINK_GUARD_MATCHES : [],
+    runAt: "document_idle",
+  });
+}
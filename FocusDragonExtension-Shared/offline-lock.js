@@ -0,0 +1,101 @@
+// FocusDragon - shared offline lock engine
+//
+// The app decides whether blocking is on. While the native host can't be
+// reached, the extensions keep enforcing the last block list it sent and
+// let only the lock that came with it change anything:
+//   - timer and frozen locks end at `timerExpiry`. A frozen lock's
+//     allowlist mode ends with it; blocking itself carries on, as in the app.
+//   - schedule locks block only inside their `scheduleWindows`
+//     ({ days, startMinutes, endMinutes }, local time, 1 = Sunday).
+//   - any other lock, or none, changes nothing.
+// Losing the host never unblocks anything by itself.
+//
+// The time spent offline is kept in storage and reported to the app when
+// the host is back.
+// Load after allowlist.js and schedule-windows.js.
+
+const LOCK_TYPE_TIMER = "timer";
+const LOCK_TYPE_FROZEN = "frozen";
+const LOCK_TYPE_SCHEDULE = "schedule";
+
+const OFFLINE_SINCE_KEY = "offlineSince";
+const HOST_LIST_KEY = "hostBlockList"; // the last list the host sent, as sent
+
+function parseLockTime(value) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Whether the lock's own terms say it is over at `now`. Locks without a
+// known end never are.
+function lockHasEnded(lockState, now) {
+  if (!lockState || !lockState.isLocked) return true;
+
+  switch (lockState.lockType) {
+    case LOCK_TYPE_TIMER:
+    case LOCK_TYPE_FROZEN: {
+      const expiry = parseLockTime(lockState.timerExpiry);
+      return expiry !== null && now >= expiry;
+    }
+    case LOCK_TYPE_SCHEDULE: {
+      const windows = normalizeScheduleWindows(lockState.scheduleWindows);
+      return windows.length > 0 && !isInScheduleWindow(windows, now);
+    }
+    default:
+      return false;
+  }
+}
+
+// The lock as it stands at `now`, for display: `isLocked` is cleared once
+// the lock has ended even if the host hasn't said so yet.
+function resolveLockState(lockState, now) {
+  if (!lockState) return null;
+  if (!lockState.isLocked || !lockHasEnded(lockState, now)) return lockState;
+  return Object.assign({}, lockState, { isLocked: false });
+}
+
+// What to enforce while the host is unreachable, from the last list it sent
+// ({ isBlocking, mode }) and its lock. Returns { isBlocking, mode }.
+function offlineBlockingState(list, lockState, now) {
+  const state = {
+    isBlocking: !!list.isBlocking,
+    mode: list.mode || BLOCKING_MODE_BLOCKLIST,
+  };
+  if (!lockState || !lockState.isLocked) return state;
+
+  if (lockState.lockType === LOCK_TYPE_FROZEN && lockHasEnded(lockState, now)) {
+    state.mode = BLOCKING_MODE_BLOCKLIST;
+  }
+  if (lockState.lockType === LOCK_TYPE_SCHEDULE) {
+    const windows = normalizeScheduleWindows(lockState.scheduleWindows);
+    if (windows.length > 0) state.isBlocking = state.isBlocking && isInScheduleWindow(windows, now);
+  }
+  return state;
+}
+
+// ─── Offline periods ────────────────────────────────────────────────
+
+// `storage` is the extension's storage.local area. Returns true when this
+// starts a new offline period.
+async function markHostOffline(storage, now) {
+  const stored = await storage.get(OFFLINE_SINCE_KEY);
+  if (stored[OFFLINE_SINCE_KEY]) return false;
+  await storage.set({ [OFFLINE_SINCE_KEY]: now });
+  return true;
+}
+
+// Ends the current offline period, if any, and returns it as
+// { start, end, durationSeconds } with ISO timestamps.
+async function takeOfflinePeriod(storage, now) {
+  const stored = await storage.get(OFFLINE_SINCE_KEY);
+  const since = stored[OFFLINE_SINCE_KEY];
+  if (!since) return null;
+
+  await storage.remove(OFFLINE_SINCE_KEY);
+  return {
+    start: new Date(since).toISOString(),
+    end: new Date(now).toISOString(),
+    durationSeconds: Math.max(0, Math.round((now - since) / 1000)),
+  };
+}
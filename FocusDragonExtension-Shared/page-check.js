@@ -0,0 +1,26 @@
+// FocusDragon - page keyword check (content script)
+//
+// Registered by the background while the session has page keywords (see
+// page-keywords.js). Reads the page once, when it has loaded, and tells the
+// background which keyword it found; the background decides whether the
+// page goes.
+
+(() => {
+  if (window.top !== window) return;
+
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  function pageText() {
+    const description = document.querySelector("meta[name='description'], meta[property='og:description']");
+    // innerText leaves out what isn't rendered: scripts, styles, hidden elements
+    const visible = document.body ? document.body.innerText.slice(0, PAGE_TEXT_LENGTH) : "";
+    return [document.title, description ? description.content : "", visible].join("\n");
+  }
+
+  api.storage.local.get(PAGE_KEYWORDS_KEY).then((data) => {
+    const keywords = data[PAGE_KEYWORDS_KEY];
+    if (!keywords || keywords.length === 0) return;
+    const keyword = findPageKeyword(keywords, pageText());
+    if (keyword) api.runtime.sendMessage({ type: "pageKeywordFound", keyword });
+  }, () => {});
+})();
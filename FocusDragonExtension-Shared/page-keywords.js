@@ -0,0 +1,56 @@
+// FocusDragon - shared page keyword check
+//
+// URL rules can't tell a gaming thread from a work thread on the same
+// forum. The optional `pageKeywords` list in the host's payload blocks pages
+// by what they say: page-check.js reads the title, the meta description and
+// the start of the visible text once per document, and when a keyword
+// matches, the background sends the tab to the blocked page with that
+// keyword. Off while the list is empty, which is the default; the scripts
+// are only registered while a session has keywords to look for.
+//
+// Keywords match whole words, any case, with spaces, hyphens or
+// underscores between their words. As with URL keywords, an allowing
+// pattern for the page wins (see isPageKeywordBlocked()).
+// Load after keywords.js.
+
+const PAGE_KEYWORDS_KEY = "pageKeywords";
+const PAGE_KEYWORDS_SCRIPT_ID = "focusdragon-page-keywords";
+const PAGE_KEYWORDS_FILES = ["shared/page-keywords.js", "shared/page-check.js"];
+const PAGE_KEYWORDS_MATCHES = ["http://*/*", "https://*/*"];
+const PAGE_TEXT_LENGTH = 2000; // characters of visible text read
+const BLOCK_REASON_PAGE_KEYWORD = "pageKeyword";
+
+function pageKeywordRegex(keyword) {
+  const words = keyword.split(" ").map((word) => word.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join("[\\s_-]+")}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+// The first of `keywords` (parseKeywords()) found in `text`, or null
+function findPageKeyword(keywords, text) {
+  return keywords.find((keyword) => pageKeywordRegex(keyword).test(text)) || null;
+}
+
+// Whether page `url`, where page-check.js found `keyword`, has to go: the
+// keyword has to be on the list and no allowing pattern may match the page
+function isPageKeywordBlocked(patterns, keywords, url, keyword) {
+  if (!keywords.includes(keyword) || !/^https?:\/\//i.test(url || "")) return false;
+  const match = matchUrlPatterns(patterns, url);
+  return !match || match.action === PATTERN_ACTION_BLOCK;
+}
+
+// The blocked page for `url`, naming the keyword found on it
+function pageKeywordBlockedUrl(keyword, url, extensionUrl) {
+  const query = `entry=${encodeURIComponent(keyword)}&reason=${BLOCK_REASON_PAGE_KEYWORD}`;
+  return `${extensionUrl.replace(/\/$/, "")}${BLOCKED_PAGE_PATH}?${query}#${url}`;
+}
+
+// Registers page-check.js on every web page while `keywords` has any (see
+// content-scripts.js), or takes it away
+function syncPageKeywordScripts(scripting, keywords) {
+  return syncContentScript(scripting, {
+    id: PAGE_KEYWORDS_SCRIPT_ID,
+    js: PAGE_KEYWORDS_FILES,
+    matches: keywords && keywords.length > 0 ? PAGE_KEYWORDS_MATCHES : [],
+    runAt: "document_idle",
+  });
+}
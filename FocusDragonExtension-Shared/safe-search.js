@@ -0,0 +1,117 @@
+// FocusDragon - shared SafeSearch and YouTube Restricted Mode
+//
+// With `safeSearch` in the host's payload, sessions force SafeSearch on
+// Google, Bing and DuckDuckGo by adding each engine's own query parameter
+// to searches, and YouTube Restricted Mode through the YouTube-Restrict
+// request header. `true` or "strict" asks YouTube for strict filtering,
+// "moderate" for moderate; the search engines only have the one setting
+// that sticks.
+//
+// Chromium and Safari get declarativeNetRequest rules: a redirect that
+// transforms the query, which does nothing once the parameter is there,
+// and modifyHeaders for YouTube. Firefox does the same in its webRequest
+// listeners with safeSearchUrl() and youtubeRestrictHeader().
+// Load after url-patterns.js.
+
+const SAFE_SEARCH_KEY = "safeSearch"; // the level in force, for the popup
+const SAFE_SEARCH_STRICT = "strict";
+const SAFE_SEARCH_MODERATE = "moderate";
+const SAFE_SEARCH_RULE_PRIORITY = 1;
+const SAFE_SEARCH_SOURCE = "safeSearch"; // how its rules show up in rule budget reports
+
+const SAFE_SEARCH_ENGINES = [
+  {
+    name: "Google",
+    host: /^(?:www\.)?google\.(?:com?\.)?[a-z]{2,}$/,
+    path: /^\/search$/,
+    param: "safe",
+    value: "active",
+    conditions: [{ regexFilter: "^https?://(?:www\\.)?google\\.(?:com?\\.)?[a-z]{2,}/search\\?" }],
+  },
+  {
+    name: "Bing",
+    host: /^(?:www\.)?bing\.com$/,
+    path: /^\/search$/,
+    param: "adlt",
+    value: "strict",
+    conditions: [{ urlFilter: "||bing.com/search?" }],
+  },
+  {
+    name: "DuckDuckGo",
+    host: /^(?:html\.)?duckduckgo\.com$/,
+    path: /^\/(?:html\/?)?$/,
+    param: "kp",
+    value: "1",
+    conditions: [{ urlFilter: "||duckduckgo.com/?" }, { urlFilter: "||duckduckgo.com/html/?" }],
+  },
+];
+
+const YOUTUBE_RESTRICT_HEADER = "YouTube-Restrict";
+const YOUTUBE_RESTRICT_DOMAINS = [
+  "youtube.com",
+  "youtube-nocookie.com",
+  "youtubei.googleapis.com",
+  "youtube.googleapis.com",
+];
+
+// The payload's `safeSearch` as "strict", "moderate" or null (off)
+function normalizeSafeSearch(raw) {
+  if (raw === true || raw === SAFE_SEARCH_STRICT) return SAFE_SEARCH_STRICT;
+  if (raw === SAFE_SEARCH_MODERATE) return SAFE_SEARCH_MODERATE;
+  return null;
+}
+
+// The search `url` with SafeSearch forced, or null when it isn't a search
+// on one of the engines or already has it
+function safeSearchUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") return null;
+  const engine = SAFE_SEARCH_ENGINES.find((candidate) =>
+    candidate.host.test(parsed.hostname) && candidate.path.test(parsed.pathname));
+  if (!engine || !parsed.searchParams.has("q")) return null;
+  if (parsed.searchParams.get(engine.param) === engine.value) return null;
+  parsed.searchParams.set(engine.param, engine.value);
+  return parsed.href;
+}
+
+// The YouTube-Restrict value for `level`
+function youtubeRestrictHeader(level) {
+  return level === SAFE_SEARCH_MODERATE ? "Moderate" : "Strict";
+}
+
+function isYoutubeRestrictHost(hostname) {
+  return YOUTUBE_RESTRICT_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// ─── declarativeNetRequest (Chromium, Safari) ───────────────────────
+
+// Rules for `level` as { rule, sources }, without ids (see
+// compileKeywordRules()); none when it is off
+function compileSafeSearchRules(level) {
+  if (!level) return [];
+  const searchRules = SAFE_SEARCH_ENGINES.flatMap((engine) => engine.conditions.map((condition) => ({
+    priority: SAFE_SEARCH_RULE_PRIORITY,
+    action: {
+      type: "redirect",
+      redirect: { transform: { queryTransform: { addOrReplaceParams: [{ key: engine.param, value: engine.value }] } } },
+    },
+    condition: Object.assign({}, condition, { resourceTypes: MAIN_FRAME_RESOURCE_TYPES }),
+  })));
+  const youtubeRule = {
+    priority: SAFE_SEARCH_RULE_PRIORITY,
+    action: {
+      type: "modifyHeaders",
+      requestHeaders: [{ header: YOUTUBE_RESTRICT_HEADER, operation: "set", value: youtubeRestrictHeader(level) }],
+    },
+    condition: {
+      requestDomains: YOUTUBE_RESTRICT_DOMAINS,
+      resourceTypes: ["main_frame", "sub_frame", "xmlhttprequest"],
+    },
+  };
+  return [...searchRules, youtubeRule].map((rule) => ({ rule, sources: [SAFE_SEARCH_SOURCE] }));
+}
@@ -0,0 +1,71 @@
+// FocusDragon - grace countdown for swept tabs (content script)
+//
+// When a block starts on a page that is already open, the background (see
+// tab-sweep.js) gives the tab a few seconds before sending it to the
+// blocked page. This shows how long is left, so work can be saved, and
+// keeps the page's media paused until then.
+
+(() => {
+  if (window.top !== window) return;
+
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  const BANNER_STYLE = [
+    "all: initial",
+    "position: fixed",
+    "top: 0",
+    "left: 0",
+    "right: 0",
+    "z-index: 2147483647",
+    "padding: 12px 16px",
+    "background: rgba(118, 75, 162, 0.95)",
+    "color: #fff",
+    "font: 600 14px/1.4 -apple-system, BlinkMacSystemFont, sans-serif",
+    "text-align: center",
+    "pointer-events: none",
+  ].join("; ");
+
+  let banner = null;
+  let tickTimer = null;
+
+  function pauseMedia(event) {
+    const media = event ? [event.target] : document.querySelectorAll("video, audio");
+    for (const element of media) {
+      if (element instanceof HTMLMediaElement) element.pause();
+    }
+  }
+
+  function stop() {
+    if (banner) banner.host.remove();
+    banner = null;
+    clearInterval(tickTimer);
+    document.removeEventListener("play", pauseMedia, true);
+  }
+
+  function start(seconds) {
+    stop();
+    const endsAt = Date.now() + seconds * 1000;
+    const host = document.createElement("div");
+    const label = document.createElement("div");
+    label.setAttribute("style", BANNER_STYLE);
+    host.attachShadow({ mode: "closed" }).appendChild(label);
+    document.documentElement.appendChild(host);
+    banner = { host, label };
+
+    const render = () => {
+      const left = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      label.textContent = `FocusDragon now blocks this site — the page closes in ${left}s, save your work`;
+    };
+    render();
+    tickTimer = setInterval(render, 250);
+
+    // Media started during the grace is paused too
+    pauseMedia();
+    document.addEventListener("play", pauseMedia, true);
+  }
+
+  api.runtime.onMessage.addListener((message) => {
+    if (message.type === "sweepGrace") start(message.seconds);
+    else if (message.type === "sweepCancel") stop();
+  });
+})();
@@ -0,0 +1,91 @@
+// FocusDragon - shared sweep of open tabs
+//
+// Rules only see new page loads. A tab already open on a site when its
+// block starts keeps working, and a single-page app can move into a
+// blocked path with history.pushState without loading anything. So the
+// background sweeps every open tab whenever its rules change, and checks
+// history navigations (webNavigation.onHistoryStateUpdated) as they
+// happen.
+//
+// A swept tab isn't sent away at once: sweep-overlay.js puts up a
+// countdown and pauses its media, and only when SWEEP_GRACE_SECONDS are up
+// does the tab go to its blocked page, if it is still blocked then. A
+// history navigation is the user asking for the page, so it goes straight
+// there, like a page load would.
+// Load after friction.js and keywords.js.
+
+const SWEEP_GRACE_SECONDS = 10;
+
+// Only web pages; the browser's and our own pages are left alone
+function isSweepableUrl(url) {
+  return /^https?:\/\//i.test(url || "");
+}
+
+// Where a tab open on `url` has to go, or null when it may stay; a
+// blocked site behind a wrapper (see url-wrappers.js) counts as blocked.
+// `continuedEntry` is the friction entry the tab was let through to, if
+// any: that page stays open, as in the content checks.
+function sweepDestination(patterns, keywordMatchers, url, extensionUrl, continuedEntry) {
+  if (!isSweepableUrl(url)) return null;
+  const blocked = isUrlBlocked(patterns, keywordMatchers, url)
+    ? url
+    : findBlockedWrappedUrl(patterns, keywordMatchers, url);
+  if (!blocked) return null;
+  const match = matchUrlPatterns(patterns.filter((pattern) => !pattern.deferred), blocked);
+  if (match && match.source === continuedEntry) return null;
+  return blockedDestination(match, blocked, extensionUrl);
+}
+
+// Sends tabs on blocked pages away. `tabs` is the promise-based tabs API;
+// `loadDestinations()` resolves to a function from (tabId, url) to where
+// that tab has to go, or null. It is asked again once a grace is up, so a
+// tab whose block lifted in the meantime stays.
+function createTabSweeper(tabs, loadDestinations) {
+  const graces = new Map(); // tab id → timer ending its grace
+
+  async function sendAway(tabId, url) {
+    const destination = (await loadDestinations())(tabId, url);
+    if (!destination) return false;
+    await tabs.update(tabId, { url: destination });
+    return true;
+  }
+
+  async function endGrace(tabId) {
+    graces.delete(tabId);
+    try {
+      const tab = await tabs.get(tabId);
+      if (!(await sendAway(tabId, tab.url))) await tabs.sendMessage(tabId, { type: "sweepCancel" });
+    } catch {}
+  }
+
+  function startGrace(tabId) {
+    graces.set(tabId, setTimeout(() => endGrace(tabId), SWEEP_GRACE_SECONDS * 1000));
+    // A tab without the overlay (loaded before the extension was) still
+    // gets its grace, just without the countdown
+    tabs.sendMessage(tabId, { type: "sweepGrace", seconds: SWEEP_GRACE_SECONDS }).catch(() => {});
+  }
+
+  return {
+    // Starts the grace of every open tab on a blocked page
+    async sweep() {
+      const destinationFor = await loadDestinations();
+      for (const tab of await tabs.query({})) {
+        if (graces.has(tab.id) || !destinationFor(tab.id, tab.url)) continue;
+        startGrace(tab.id);
+      }
+    },
+
+    // Tab `tabId` moved to `url` without loading a page
+    async navigated(tabId, url) {
+      if (graces.has(tabId)) return;
+      try {
+        await sendAway(tabId, url);
+      } catch {}
+    },
+
+    forget(tabId) {
+      clearTimeout(graces.get(tabId));
+      graces.delete(tabId);
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// FocusDragon - shared tamper guard
+//
+// A locked session is easy to undo from inside the browser: install a
+// proxy, VPN or "unblocker" extension, point the proxy settings somewhere
+// else, or fetch such an extension from the store. While a lock is active
+// (a strict session), the backgrounds:
+//   - look through the enabled extensions for ones that can reroute or
+//     rewrite requests (RISKY_EXTENSION_PERMISSIONS), when the session
+//     starts and whenever one is installed or enabled, and warn about them
+//     or turn them off as the payload's `extensionGuard` says;
+//   - watch the browser's proxy settings;
+//   - keep tabs off the extension stores (EXTENSION_STORE_URL_PREFIXES).
+// Every finding goes to the app as a `tamperEvent`.
+//
+// The management and proxy APIs (TAMPER_GUARD_PERMISSIONS) are optional
+// permissions, asked for from the popup. Until they are granted the
+// extension and proxy checks are skipped, and refusing them, or a strict
+// session running without them, is a `tamperEvent` too.
+//
+// `extensionGuard` is { action, trusted }: action "warn" (the default),
+// "disable" or "off", and `trusted` the ids of extensions that are left
+// alone, such as a content blocker the user relies on. Firefox only lets
+// extensions turn off themes, so it warns either way.
+// Load after offline-lock.js.
+
+const TAMPER_EVENT_TYPE = "tamperEvent";
+const TAMPER_RISKY_EXTENSION = "riskyExtension"; // found, left on
+const TAMPER_EXTENSION_DISABLED = "extensionDisabled"; // found and turned off
+const TAMPER_PROXY_SETTINGS = "proxySettings";
+const TAMPER_EXTENSION_STORE = "extensionStore";
+const TAMPER_PERMISSIONS_REFUSED = "permissionsRefused";
+
+const TAMPER_GUARD_PERMISSIONS = ["management", "proxy"];
+
+const EXTENSION_GUARD_WARN = "warn";
+const EXTENSION_GUARD_DISABLE = "disable";
+const EXTENSION_GUARD_OFF = "off";
+const EXTENSION_GUARD_KEY = "extensionGuard";
+
+const RISKY_EXTENSION_PERMISSIONS = [
+  "proxy",
+  "vpnProvider",
+  "webRequest",
+  "webRequestBlocking",
+  "declarativeNetRequest",
+  "declarativeNetRequestWithHostAccess",
+];
+
+const EXTENSION_STORE_URL_PREFIXES = [
+  "https://chromewebstore.google.com/",
+  "https://chrome.google.com/webstore",
+  "https://microsoftedge.microsoft.com/addons",
+  "https://addons.opera.com/",
+  "https://addons.mozilla.org/",
+];
+
+// Proxy modes that leave requests going where DNS sends them
+const DIRECT_PROXY_MODES = ["direct", "system", "auto_detect", "none", "autoDetect"];
+
+// The payload's `extensionGuard` as { action, trusted }
+function normalizeExtensionGuard(raw) {
+  const guard = raw && typeof raw === "object" ? raw : {};
+  const actions = [EXTENSION_GUARD_WARN, EXTENSION_GUARD_DISABLE, EXTENSION_GUARD_OFF];
+  return {
+    action: actions.includes(guard.action) ? guard.action : EXTENSION_GUARD_WARN,
+    trusted: Array.isArray(guard.trusted) ? guard.trusted.filter((id) => typeof id === "string") : [],
+  };
+}
+
+// Whether `lockState` still holds at `now`, which makes the session strict
+function isLockActive(lockState, now) {
+  const resolved = resolveLockState(lockState, now);
+  return !!(resolved && resolved.isLocked);
+}
+
+// The enabled extensions among `extensions` (management.getAll()) that
+// could take a session apart, other than this one and the trusted ones, as
+// { id, name, permissions } with the risky permissions only
+function findRiskyExtensions(extensions, selfId, trusted) {
+  const risky = [];
+  for (const extension of extensions) {
+    if (!extension.enabled || extension.type !== "extension") continue;
+    if (extension.id === selfId || trusted.includes(extension.id)) continue;
+    const permissions = (extension.permissions || []).filter((permission) =>
+      RISKY_EXTENSION_PERMISSIONS.includes(permission));
+    if (permissions.length > 0) risky.push({ id: extension.id, name: extension.name, permissions });
+  }
+  return risky;
+}
+
+// Whether proxy.settings.get() `details` show another extension in
+// control, or requests going through a proxy. Chromium has `value.mode`,
+// Firefox `value.proxyType`.
+function isProxyTampered(details) {
+  if (!details) return false;
+  if (details.levelOfControl === "controlled_by_other_extensions") return true;
+  const value = details.value || {};
+  const mode = value.mode || value.proxyType;
+  return !!mode && !DIRECT_PROXY_MODES.includes(mode);
+}
+
+function isExtensionStoreUrl(url) {
+  return EXTENSION_STORE_URL_PREFIXES.some((prefix) => url.startsWith(prefix));
+}
+
+// The TAMPER_GUARD_PERMISSIONS that `permissions` (chrome.permissions or
+// browser.permissions) doesn't hold
+async function missingGuardPermissions(permissions) {
+  const missing = [];
+  for (const permission of TAMPER_GUARD_PERMISSIONS) {
+    if (!(await permissions.contains({ permissions: [permission] }))) missing.push(permission);
+  }
+  return missing;
+}
@@ -0,0 +1,86 @@
+// FocusDragon - shared URL canonicalisation
+//
+// The same site can be written many ways: `http://3232235777/`,
+// `http://0xC0.0xA8.1.1/`, `http://0300.0250.1.1/` and `http://192.168.257/`
+// all reach 192.168.1.1, `http://0x7f.1/` is 127.0.0.1, and
+// `https://reddit.com./` or `https://user@reddit.com/` are still reddit.com.
+// canonicalizeUrl() rewrites a URL into one form (lowercase host without
+// trailing dots or credentials, IPv4 as a dotted quad, IPv6 compressed in
+// brackets) before anything matches against it, and isIpLiteralUrl() tells
+// the direct-IP guards about every IP form, IPv6 included.
+//
+// The cases in conformance/url-normalize.json must hold. Load before
+// url-patterns.js.
+
+const CANONICAL_SCHEMES = ["http:", "https:", "ws:", "wss:", "ftp:"];
+
+// One part of an IPv4 address as the URL standard reads it: 0x… is hex,
+// a leading 0 is octal, anything else decimal. NaN when it isn't a number.
+function parseIpv4Part(part) {
+  if (part === "") return NaN;
+  if (/^0x[0-9a-f]*$/i.test(part)) return part.length === 2 ? 0 : parseInt(part.slice(2), 16);
+  if (/^0[0-7]+$/.test(part)) return parseInt(part.slice(1), 8);
+  if (/^(?:0|[1-9]\d*)$/.test(part)) return parseInt(part, 10);
+  return NaN;
+}
+
+// Dotted-quad form of an IPv4 host in any notation, or null when `host`
+// isn't an IPv4 address.
+function parseIpv4Host(host) {
+  const parts = host.split(".");
+  if (parts.length > 1 && parts[parts.length - 1] === "") parts.pop();
+  if (parts.length === 0 || parts.length > 4) return null;
+
+  const numbers = parts.map(parseIpv4Part);
+  if (numbers.some((n) => Number.isNaN(n))) return null;
+
+  const last = numbers.pop();
+  if (numbers.some((n) => n > 255)) return null;
+  if (last >= 256 ** (4 - numbers.length)) return null;
+
+  let value = last;
+  numbers.forEach((n, index) => {
+    value += n * 256 ** (3 - index);
+  });
+
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join(".");
+}
+
+function canonicalHost(hostname) {
+  const host = hostname.toLowerCase();
+  if (host.startsWith("[")) return host;
+
+  const trimmed = host.replace(/\.+$/, "");
+  return parseIpv4Host(trimmed) || trimmed;
+}
+
+// `url` in canonical form; URLs that don't parse, and schemes without a
+// host (about:, data:, extension pages), come back unchanged.
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (!CANONICAL_SCHEMES.includes(parsed.protocol) || !parsed.hostname) return url;
+
+  const port = parsed.port ? `:${parsed.port}` : "";
+  return `${parsed.protocol}//${canonicalHost(parsed.hostname)}${port}${parsed.pathname}${parsed.search}${parsed.hash}`;
+}
+
+function canonicalHostOf(url) {
+  try {
+    return canonicalHost(new URL(url).hostname);
+  } catch {
+    return "";
+  }
+}
+
+// True for http(s) URLs whose host is an IPv4 address in any notation or
+// an IPv6 literal
+function isIpLiteralUrl(url) {
+  if (!/^https?:/i.test(url)) return false;
+  const host = canonicalHostOf(url);
+  return host.startsWith("[") || /^\d+\.\d+\.\d+\.\d+$/.test(host);
+}
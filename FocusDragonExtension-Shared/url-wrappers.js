@@ -0,0 +1,156 @@
+// FocusDragon - shared proxy, cache, translate and archive wrappers
+//
+// A blocked site is still reachable through services that show it under
+// their own host: Google Translate's proxy (`www-reddit-com.translate.goog`),
+// AMP links (`google.com/amp/s/reddit.com/...`), archive snapshots, cached
+// copies and web proxies, and search engines send result clicks through
+// their own redirectors. The rules only see the wrapper's host, so
+// wrappedUrls() pulls the real target out of the URL shapes in
+// URL_WRAPPERS, and the backgrounds check those targets against the block
+// list as well (see findBlockedWrappedUrl() in keywords.js).
+//
+// URL_WRAPPERS is the table to maintain. Each wrapper lists the `hosts` it
+// is served from (subdomains included; `google.*` stands for any Google
+// country domain) and one way its URLs carry the target:
+//   path      a regex over the path and query whose first group is the
+//             target URL, or host and path (then `scheme` is assumed)
+//   param     a query parameter holding the target URL, on paths matching
+//             `pathname`, after `prefix` and an optional cache id;
+//             `encoding: "base64url"` when the target is encoded (Bing)
+//   hostLabel the target host written into the first label, dots as
+//             hyphens and hyphens doubled (translate.goog)
+//
+// The cases in conformance/url-wrappers.json must hold. Load after
+// url-normalize.js.
+
+const URL_WRAPPERS = [
+  { name: "Google Translate", hosts: ["translate.goog"], hostLabel: true },
+  { name: "Google Translate", hosts: ["translate.google.*"], pathname: /^\/(?:translate|website)$/, param: "u" },
+  { name: "Google AMP", hosts: ["google.*"], path: /^\/amp\/s\/(.+)$/, scheme: "https" },
+  { name: "Google AMP", hosts: ["google.*"], path: /^\/amp\/(?!s\/)(.+)$/, scheme: "http" },
+  { name: "AMP cache", hosts: ["cdn.ampproject.org"], path: /^\/[cvi]\/s\/(.+)$/, scheme: "https" },
+  { name: "AMP cache", hosts: ["cdn.ampproject.org"], path: /^\/[cvi]\/(?!s\/)(.+)$/, scheme: "http" },
+  { name: "Google cache", hosts: ["webcache.googleusercontent.com"], pathname: /^\/search$/, param: "q", prefix: "cache:" },
+  { name: "Wayback Machine", hosts: ["web.archive.org"], path: /^\/web\/\d+[a-z_]*\/(.+)$/, scheme: "http" },
+  {
+    name: "archive.today",
+    hosts: ["archive.ph", "archive.today", "archive.is", "archive.li", "archive.vn", "archive.fo", "archive.md"],
+    path: /^\/(?:\d{14}|newest|oldest|o\/[\w-]+)\/(.+)$/,
+    scheme: "http",
+  },
+  { name: "Yandex Translate", hosts: ["translate.yandex.com", "translate.yandex.ru"], pathname: /^\/translate$/, param: "url" },
+  { name: "12ft", hosts: ["12ft.io"], pathname: /^\/proxy$/, param: "q" },
+  { name: "12ft", hosts: ["12ft.io"], path: /^\/(?!proxy(?:[/?]|$))(.+)$/, scheme: "https" },
+  { name: "Jina Reader", hosts: ["r.jina.ai"], path: /^\/(.+)$/, scheme: "https" },
+  { name: "Google redirect", hosts: ["google.*"], pathname: /^\/url$/, param: "q" },
+  { name: "Google redirect", hosts: ["google.*"], pathname: /^\/url$/, param: "url" },
+  { name: "Bing redirect", hosts: ["bing.com"], pathname: /^\/ck\/a$/, param: "u", prefix: "a1", encoding: "base64url" },
+  { name: "DuckDuckGo redirect", hosts: ["duckduckgo.com"], pathname: /^\/l\/?$/, param: "uddg" },
+];
+
+// Wrappers inside wrappers are unwrapped this many levels deep
+const URL_WRAPPER_DEPTH = 3;
+
+const GOOGLE_TRANSLATE_PARAM_PREFIX = "_x_tr_";
+
+// `google.*` allows any country domain: google.de, google.co.uk, google.com.au
+function wrapperHostRegex(host) {
+  const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\\\.\\\*$/, "\\.(?:com?\\.)?[a-z]{2,}");
+  return new RegExp(`(?:^|\\.)${escaped}$`);
+}
+
+const URL_WRAPPER_HOSTS = URL_WRAPPERS.map((wrapper) => wrapper.hosts.map(wrapperHostRegex));
+
+// `www-reddit-com` → `www.reddit.com`; `my--site-com` → `my-site.com`
+function decodeHostLabel(label) {
+  return label.split("--").map((part) => part.replace(/-/g, ".")).join("-");
+}
+
+// Turns what a wrapper carries into a URL: wrappers collapse `https://` to
+// `https:/` and leave out the scheme
+function wrappedTarget(text, scheme) {
+  const target = text.replace(/^([a-z][a-z0-9+.-]*):\/*/i, "$1://");
+  const full = /^[a-z][a-z0-9+.-]*:\/\//i.test(target) ? target : `${scheme || "https"}://${target}`;
+  try {
+    const parsed = new URL(full);
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function decodeBase64Url(text) {
+  try {
+    return atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    return "";
+  }
+}
+
+function unwrapWith(wrapper, parsed) {
+  if (wrapper.hostLabel) {
+    const label = parsed.hostname.split(".")[0];
+    if (!label.includes("-")) return null;
+    const search = new URLSearchParams(parsed.search);
+    for (const name of [...search.keys()]) {
+      if (name.startsWith(GOOGLE_TRANSLATE_PARAM_PREFIX)) search.delete(name);
+    }
+    const query = search.toString();
+    return wrappedTarget(`${decodeHostLabel(label)}${parsed.pathname}${query ? `?${query}` : ""}`, "https");
+  }
+
+  if (wrapper.param) {
+    if (wrapper.pathname && !wrapper.pathname.test(parsed.pathname)) return null;
+    let value = parsed.searchParams.get(wrapper.param);
+    if (!value) return null;
+    if (wrapper.prefix) {
+      if (!value.startsWith(wrapper.prefix)) return null;
+      // Google cache queries may put a document id before the URL
+      value = value.slice(wrapper.prefix.length).replace(/^[\w-]{8,}:(?!\/\/)/, "");
+    }
+    if (wrapper.encoding === "base64url") value = decodeBase64Url(value);
+    return wrappedTarget(value, wrapper.scheme);
+  }
+
+  const match = `${parsed.pathname}${parsed.search}`.match(wrapper.path);
+  return match ? wrappedTarget(match[1], wrapper.scheme) : null;
+}
+
+// Whether `url` is served by one of the wrappers; a quick test before
+// unwrapping
+function isWrapperUrl(url) {
+  let host;
+  try {
+    host = new URL(canonicalizeUrl(url)).hostname;
+  } catch {
+    return false;
+  }
+  return URL_WRAPPER_HOSTS.some((regexes) => regexes.some((regex) => regex.test(host)));
+}
+
+// The URL a wrapper URL shows, or null when `url` isn't one
+function unwrapUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(canonicalizeUrl(url));
+  } catch {
+    return null;
+  }
+  for (const [index, wrapper] of URL_WRAPPERS.entries()) {
+    if (!URL_WRAPPER_HOSTS[index].some((regex) => regex.test(parsed.hostname))) continue;
+    const target = unwrapWith(wrapper, parsed);
+    if (target) return target;
+  }
+  return null;
+}
+
+// The URLs `url` wraps, outermost first, without `url` itself
+function wrappedUrls(url) {
+  const urls = [];
+  let current = unwrapUrl(url);
+  while (current && urls.length < URL_WRAPPER_DEPTH && !urls.includes(current)) {
+    urls.push(current);
+    current = unwrapUrl(current);
+  }
+  return urls;
+}
@@ -17,11 +17,14 @@ import Foundation
 
 let configPath = "/Library/Application Support/FocusDragon/config.json"
 let heartbeatDir = "/Library/Application Support/FocusDragon/heartbeats"
+let reportsDir = "/Library/Application Support/FocusDragon/extension-reports"
+let budgetUsagePath = "/Library/Application Support/FocusDragon/budget-usage.json"
 let configPollInterval: TimeInterval = 2.0
 
 let writeLock = NSLock()
 var configPollTimer: DispatchSourceTimer?
 var lastConfigModTime: Date?
+var lastBudgetUsageModTime: Date?
 
 // MARK: - Native Messaging I/O
 
@@ -106,48 +109,193 @@ func recordHeartbeat(browser: String, incognitoAllowed: Bool, windowCount: Int,
     }
 }
 
+// MARK: - Extension Reports
+
+/// Saves the latest report of one kind from one browser as
+/// `extension-reports/<browser>_<kind>.json` for the app to show.
+func recordReport(kind: String, browser: String, payload: [String: Any]) {
+    try? FileManager.default.createDirectory(
+        atPath: reportsDir,
+        withIntermediateDirectories: true,
+        attributes: [.posixPermissions: NSNumber(value: 0o777)]
+    )
+
+    var report = payload
+    report["browser"] = browser
+    report["timestamp"] = ISO8601DateFormatter().string(from: Date())
+
+    let path = (reportsDir as NSString).appendingPathComponent("\(browser)_\(kind).json")
+    if let data = try? JSONSerialization.data(withJSONObject: report, options: .prettyPrinted) {
+        try? data.write(to: URL(fileURLWithPath: path), options: .atomic)
+    }
+}
+
+let maxReportHistory = 100
+
+/// Reports that accumulate instead of replacing each other (offline
+/// periods, interruptions, intent reasons) keep their items under `field`; only the latest
+/// `maxReportHistory` are kept.
+func appendReportHistory(kind: String, field: String, browser: String, items: [[String: Any]]) {
+    let path = (reportsDir as NSString).appendingPathComponent("\(browser)_\(kind).json")
+    var history: [[String: Any]] = []
+    if let data = try? Data(contentsOf: URL(fileURLWithPath: path)),
+       let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] {
+        history = json[field] as? [[String: Any]] ?? []
+    }
+    history = Array((history + items).suffix(maxReportHistory))
+    recordReport(kind: kind, browser: browser, payload: [field: history])
+}
+
+func recordOfflinePeriods(browser: String, periods: [[String: Any]]) {
+    appendReportHistory(kind: "offline", field: "periods", browser: browser, items: periods)
+}
+
+// MARK: - Budget Usage
+
+/// Time and visit budget usage of every browser, keyed by browser name.
+/// Each extension sends its own and gets everyone's back, so a budget is
+/// shared across browsers and survives a browser restart.
+func readBudgetUsage() -> [String: Any] {
+    guard let data = try? Data(contentsOf: URL(fileURLWithPath: budgetUsagePath)),
+          let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
+        return [:]
+    }
+    return json
+}
+
+func recordBudgetUsage(browser: String, usage: [String: Any]) {
+    var all = readBudgetUsage()
+    all[browser] = usage
+    if let data = try? JSONSerialization.data(withJSONObject: all, options: .prettyPrinted) {
+        try? data.write(to: URL(fileURLWithPath: budgetUsagePath), options: .atomic)
+    }
+}
+
+func sendBudgetUsage() {
+    writeMessage(["type": "budgetUsage", "usage": readBudgetUsage()])
+}
+
 // MARK: - Config Reading
 
 struct LockInfo {
     let isLocked: Bool
     let lockType: String
     let timerExpiry: String?
+    let scheduleWindows: [[String: Any]]
 }
 
-func getBlockedDomains() -> ([String], Bool, [[String: Any]], LockInfo?) {
+struct BlockList {
+    var domains: [Any] = []
+    var isBlocking = false
+    var urlExceptions: [[String: Any]] = []
+    var keywords: [String] = []
+    var mode = "blocklist"
+    var allowedDomains: [String] = []
+    var lockInfo: LockInfo? = nil
+    var budgetReset: [String: Any]? = nil
+    var linkGuard = true
+    var feedErasers: [Any] = []
+    var pageKeywords: [String] = []
+    var safeSearch: Any? = nil
+    var dohEndpoints: [String] = []
+    var extensionGuard: [String: Any]? = nil
+}
+
+/// Blocked domains plus any path-scoped `blockEntries` objects
+/// (`{ "domain", "path", "scope", "blockEmbedded", "schedule", "budget",
+/// "enforcement", "passMinutes", "redirectTo" }`), which only the browser
+/// extensions can enforce.
+func getBlockedDomains() -> BlockList {
     guard let data = try? Data(contentsOf: URL(fileURLWithPath: configPath)),
           let json = try? JSONSerialization.jsonObject(with: data) as? [String: Any] else {
-        return ([], false, [], nil)
+        return BlockList()
     }
 
-    let domains = json["blockedDomains"] as? [String] ?? []
-    let isBlocking = json["isBlocking"] as? Bool ?? false
-    let urlExceptions = json["urlExceptions"] as? [[String: Any]] ?? []
+    var list = BlockList()
+    let blockedDomains = json["blockedDomains"] as? [String] ?? []
+    let blockEntries = json["blockEntries"] as? [[String: Any]] ?? []
+    list.domains = (blockedDomains as [Any]) + (blockEntries as [Any])
+    list.isBlocking = json["isBlocking"] as? Bool ?? false
+    // `contentExceptions` (`{ "type", "value" }` for YouTube channels, playlists,
+    // videos and subreddits) travel with the URL exceptions.
+    list.urlExceptions = (json["urlExceptions"] as? [[String: Any]] ?? [])
+        + (json["contentExceptions"] as? [[String: Any]] ?? [])
+    list.keywords = json["blockedKeywords"] as? [String] ?? []
+    // When budgets reset: `{ "minutes": <after midnight>, "weekday": <1 = Sunday> }`
+    list.budgetReset = json["budgetReset"] as? [String: Any]
+    // Whether the session marks links to blocked sites on pages (on unless
+    // `"linkGuard": false`)
+    list.linkGuard = json["linkGuard"] as? Bool ?? true
+    // Feed erasers for sites that stay open: pack names ("youtube") or
+    // `{ "pack", "selectors" }` / `{ "domain", "selectors" }` objects
+    list.feedErasers = json["feedErasers"] as? [Any] ?? []
+    // Keywords looked for in page titles and text; none (the default) turns
+    // the page check off
+    list.pageKeywords = json["pageKeywords"] as? [String] ?? []
+    // SafeSearch and YouTube Restricted Mode during sessions: `true` or
+    // "strict", or "moderate"; left out it stays off
+    list.safeSearch = json["safeSearch"]
+    // DNS-over-HTTPS endpoints to block on top of the list the extensions
+    // bundle: "dns.example" or "1.2.3.4/dns-query"
+    list.dohEndpoints = json["dohEndpoints"] as? [String] ?? []
+    // What locked sessions do about proxy, VPN and unblocker extensions:
+    // `{ "action": "warn" | "disable" | "off", "trusted": [<extension ids>] }`
+    list.extensionGuard = json["extensionGuard"] as? [String: Any]
+
+    // A Frozen lock in limited-access mode turns browsing into an allowlist:
+    // everything is blocked except `frozenAllowedDomains`. Without any
+    // allowed domains browsing stays as it is rather than closing every site.
+    if let frozen = json["frozenState"] as? [String: Any],
+       frozen["isActive"] as? Bool == true,
+       frozen["mode"] as? String == "limitedAccess",
+       !isExpired(frozen["expiresAt"] as? String),
+       let allowed = json["frozenAllowedDomains"] as? [String], !allowed.isEmpty {
+        list.mode = "allowlist"
+        list.allowedDomains = allowed
+        list.isBlocking = true
+    }
 
-    var lockInfo: LockInfo? = nil
     if let ls = json["lockState"] as? [String: Any],
        let isLocked = ls["isLocked"] as? Bool, isLocked {
         let lockType = ls["lockType"] as? String ?? "unknown"
         let timerExpiry = json["timerLockExpiry"] as? String
-        lockInfo = LockInfo(isLocked: true, lockType: lockType, timerExpiry: timerExpiry)
+        let scheduleWindows = ls["scheduleWindows"] as? [[String: Any]] ?? []
+        list.lockInfo = LockInfo(isLocked: true, lockType: lockType, timerExpiry: timerExpiry,
+                                 scheduleWindows: scheduleWindows)
     }
 
-    return (domains, isBlocking, urlExceptions, lockInfo)
+    return list
+}
+
+func isExpired(_ isoDate: String?) -> Bool {
+    guard let isoDate = isoDate, let date = ISO8601DateFormatter().date(from: isoDate) else { return false }
+    return Date() >= date
 }
 
 func sendBlockedDomains() {
-    let (domains, isBlocking, urlExceptions, lockInfo) = getBlockedDomains()
+    let list = getBlockedDomains()
     var message: [String: Any] = [
         "type": "updateBlockedDomains",
-        "domains": domains,
-        "isBlocking": isBlocking,
-        "urlExceptions": urlExceptions
+        "domains": list.domains,
+        "isBlocking": list.isBlocking,
+        "urlExceptions": list.urlExceptions,
+        "keywords": list.keywords,
+        "mode": list.mode,
+        "allowedDomains": list.allowedDomains,
+        "linkGuard": list.linkGuard,
+        "feedErasers": list.feedErasers,
+        "pageKeywords": list.pageKeywords,
+        "dohEndpoints": list.dohEndpoints
     ]
-    if let li = lockInfo {
+    if let li = list.lockInfo {
         var ls: [String: Any] = ["isLocked": li.isLocked, "lockType": li.lockType]
         if let expiry = li.timerExpiry { ls["timerExpiry"] = expiry }
+        if !li.scheduleWindows.isEmpty { ls["scheduleWindows"] = li.scheduleWindows }
         message["lockState"] = ls
     }
+    if let budgetReset = list.budgetReset { message["budgetReset"] = budgetReset }
+    if let safeSearch = list.safeSearch { message["safeSearch"] = safeSearch }
+    if let extensionGuard = list.extensionGuard { message["extensionGuard"] = extensionGuard }
     writeMessage(message)
 }
 
@@ -156,6 +304,14 @@ func startConfigPolling() {
     let timer = DispatchSource.makeTimerSource(queue: queue)
     timer.schedule(deadline: .now() + configPollInterval, repeating: configPollInterval)
     timer.setEventHandler {
+        // Another browser's budget usage changed
+        if let attrs = try? FileManager.default.attributesOfItem(atPath: budgetUsagePath),
+           let modDate = attrs[.modificationDate] as? Date,
+           modDate != lastBudgetUsageModTime {
+            lastBudgetUsageModTime = modDate
+            sendBudgetUsage()
+        }
+
         guard FileManager.default.fileExists(atPath: configPath) else {
             return
         }
@@ -194,6 +350,73 @@ func handleMessage(_ message: [String: Any]) {
 
     case "getBlockedDomains":
         sendBlockedDomains()
+        sendBudgetUsage()
+
+    case "entryReport":
+        // Block list entries the extension rejected or flagged as homoglyphs
+        let browser = message["browser"] as? String ?? "chrome"
+        recordReport(kind: "entries", browser: browser, payload: [
+            "rejected": message["rejected"] as? [[String: Any]] ?? [],
+            "flagged": message["flagged"] as? [[String: Any]] ?? []
+        ])
+
+    case "ruleBudgetReport":
+        // Entries that didn't fit the browser's rule limits and are not enforced
+        let browser = message["browser"] as? String ?? "chrome"
+        recordReport(kind: "rules", browser: browser, payload: [
+            "overflow": message["overflow"] as? [String] ?? [],
+            "usage": message["usage"] as? [String: Any] ?? [:]
+        ])
+
+    case "ruleSyncReport":
+        // A rule update the browser refused; the previous rules stay in force
+        let browser = message["browser"] as? String ?? "chrome"
+        recordReport(kind: "sync", browser: browser, payload: [
+            "ok": message["ok"] as? Bool ?? false,
+            "error": message["error"] as? String ?? ""
+        ])
+
+    case "dohWarning":
+        // DNS that seems to go around the hosts file, so the app can say how
+        // to turn the browser's secure DNS off
+        let browser = message["browser"] as? String ?? "chrome"
+        recordReport(kind: "doh", browser: browser, payload: [
+            "reason": message["reason"] as? String ?? "",
+            "host": message["host"] as? String ?? ""
+        ])
+
+    case "tamperEvent":
+        // A proxy, VPN or unblocker extension, a proxy setting or an extension
+        // store visit found during a locked session, or the extension's
+        // tamper guard permissions refused
+        let browser = message["browser"] as? String ?? "chrome"
+        appendReportHistory(kind: "tamper", field: "events", browser: browser, items: [[
+            "kind": message["kind"] as? String ?? "",
+            "detail": message["detail"] as? [String: Any] ?? [:],
+            "at": message["at"] as? String ?? ""
+        ]])
+
+    case "offlineReport":
+        // Time the extension spent enforcing its stored lock without us
+        let browser = message["browser"] as? String ?? "chrome"
+        recordOfflinePeriods(browser: browser, periods: message["periods"] as? [[String: Any]] ?? [])
+
+    case "interruptionReport":
+        // Times someone continued past a friction entry's wait page
+        let browser = message["browser"] as? String ?? "chrome"
+        appendReportHistory(kind: "interruptions", field: "events", browser: browser,
+                            items: message["events"] as? [[String: Any]] ?? [])
+
+    case "intentJournal":
+        // Reasons given on an intent entry's reason page
+        let browser = message["browser"] as? String ?? "chrome"
+        appendReportHistory(kind: "journal", field: "entries", browser: browser,
+                            items: message["entries"] as? [[String: Any]] ?? [])
+
+    case "budgetUsage":
+        // This browser's time and visit budget usage, for the other browsers
+        let browser = message["browser"] as? String ?? "chrome"
+        recordBudgetUsage(browser: browser, usage: message["usage"] as? [String: Any] ?? [:])
 
     case "openApp":
         // Open the FocusDragon app
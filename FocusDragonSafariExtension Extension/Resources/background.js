@@ -2,12 +2,51 @@
 // Uses browser.* WebExtension API + sendNativeMessage to SafariWebExtensionHandler
 
 const STORAGE_KEY = "blockedDomains";
+const EXCEPTIONS_KEY = "urlExceptions";
+const KEYWORDS_KEY = "blockedKeywords";
+const MODE_KEY = "blockingMode";
+const ALLOWED_DOMAINS_KEY = "allowedDomains";
 const POLL_INTERVAL_MS = 3000;
 const HEARTBEAT_INTERVAL_MS = 5000;
+const BUDGET_RESET_KEY = "budgetReset";
+const BUDGET_IDLE_SECONDS = 60;
+const LINK_GUARD_ON_KEY = "linkGuardOn";
+const FEED_ERASERS_KEY = "feedErasers";
+const PAGE_KEYWORDS_LIST_KEY = "pageKeywordList";
+const DOH_ENDPOINTS_KEY = "dohEndpoints";
+// The manifest already puts url-normalize.js into every page
+const LINK_GUARD_PAGE_FILES = LINK_GUARD_FILES.filter((file) => file !== "shared/url-normalize.js");
 
 let blockedDomains = [];
+let urlExceptions = [];
+let blockedKeywords = [];
+let blockingMode = BLOCKING_MODE_BLOCKLIST;
+let allowedDomains = [];
 let isBlocking = false;
 let currentLockState = null;
+let entryRejections = []; // see shared/entry-normalize.js
+let entryFlags = [];
+let lastEntryReport = null;
+let lastBudgetReport = null;
+let lastSyncError = null;
+let rulesInSync = false; // false until the current lists are enforced
+let scheduleCheck = null; // { nextChangeAt, zone }, see shared/schedule-windows.js
+let budgetReset = normalizeBudgetReset(null); // see shared/budgets.js
+let budgetTimer = null; // next look at the page in front while it is metered
+let lastBudgetUsageReport = null;
+let appliedBudgetKeys = null; // exhaustedBudgetKeys() the installed rules were built with
+let intentPasses = {}; // entry → when its pass ends, see shared/intent.js
+let linkGuardOn = true; // whether the session marks links, see shared/link-guard.js
+let feedEraserEntries = []; // the payload's feedErasers, see shared/feed-eraser.js
+let pageKeywords = []; // see shared/page-keywords.js
+let safeSearch = null; // "strict", "moderate" or null, see shared/safe-search.js
+let dohEndpointEntries = []; // the payload's dohEndpoints, see shared/doh-guard.js
+const queueRuleUpdate = createUpdateQueue();
+const budgetTracker = createBudgetTracker(browser.storage.local);
+const budgetVisitTabs = new Map(); // tab id → metered entry it is on, or null
+const frictionPassTabs = new Map(); // tab id → timer closing its friction pass
+const continuedTabs = new Map(); // tab id → friction entry it was let through to
+const tabSweeper = createTabSweeper(browser.tabs, sweepDestinations);
 
 // ─── Native messaging (one-shot per call for Safari) ────────────────
 
@@ -25,37 +64,126 @@ async function sendNative(message) {
 
 // ─── Block list polling ──────────────────────────────────────────────
 
+// Sets everything the app last sent from storage but the blocking state
+// and mode, which the callers decide, and returns what was stored
+async function loadStoredBlockList() {
+    const stored = await browser.storage.local.get([
+        STORAGE_KEY, EXCEPTIONS_KEY, KEYWORDS_KEY, MODE_KEY, ALLOWED_DOMAINS_KEY, "isBlocking", "lockState",
+        LINK_GUARD_ON_KEY, FEED_ERASERS_KEY, PAGE_KEYWORDS_LIST_KEY, SAFE_SEARCH_KEY, DOH_ENDPOINTS_KEY,
+        BUDGET_RESET_KEY,
+    ]);
+    blockedDomains = stored[STORAGE_KEY] || [];
+    urlExceptions = stored[EXCEPTIONS_KEY] || [];
+    blockedKeywords = stored[KEYWORDS_KEY] || [];
+    allowedDomains = stored[ALLOWED_DOMAINS_KEY] || [];
+    linkGuardOn = stored[LINK_GUARD_ON_KEY] !== false;
+    feedEraserEntries = stored[FEED_ERASERS_KEY] || [];
+    pageKeywords = stored[PAGE_KEYWORDS_LIST_KEY] || [];
+    safeSearch = normalizeSafeSearch(stored[SAFE_SEARCH_KEY]);
+    dohEndpointEntries = stored[DOH_ENDPOINTS_KEY] || [];
+    budgetReset = normalizeBudgetReset(stored[BUDGET_RESET_KEY]);
+    currentLockState = stored.lockState || null;
+    return stored;
+}
+
 async function fetchAndApplyBlockList() {
     const response = await sendNative({ type: "getBlockedDomains" });
 
-    if (!response) {
-        // Fallback: use whatever is in storage
-        const stored = await browser.storage.local.get([STORAGE_KEY, "isBlocking", "lockState"]);
-        blockedDomains = stored[STORAGE_KEY] || [];
-        isBlocking = stored.isBlocking || false;
-        currentLockState = stored.lockState || null;
+    // Anything but a block list (no handler, or an error reply) counts as
+    // the host being unreachable
+    if (!response || response.type !== "updateBlockedDomains" || !Array.isArray(response.domains)) {
+        // Fallback: use whatever is in storage, and let the stored lock
+        // decide what may change (see shared/offline-lock.js). Storage keeps
+        // what the app sent.
+        await markHostOffline(browser.storage.local, Date.now());
+        const stored = await loadStoredBlockList();
+        const offline = offlineBlockingState(
+            { isBlocking: stored.isBlocking, mode: stored[MODE_KEY] },
+            currentLockState,
+            Date.now()
+        );
+        isBlocking = offline.isBlocking;
+        blockingMode = offline.mode;
         await applyBlockingRules();
         return;
     }
 
-    const newDomains = response.domains || [];
+    const period = await takeOfflinePeriod(browser.storage.local, Date.now());
+    if (period) sendNative({ type: "offlineReport", browser: "safari", periods: [period] });
+    await reportInterruptions();
+    await reportIntentJournal();
+
+    // Bad entries are dropped one by one instead of failing the whole update
+    const list = normalizeBlockList(response);
+    entryRejections = [
+        ...list.rejected,
+        ...parseFeedErasers(response.feedErasers).rejected,
+        ...parseDohEndpoints(response.dohEndpoints).rejected,
+    ];
+    entryFlags = list.flagged;
+
+    const newDomains = list.domains;
+    const newExceptions = list.urlExceptions;
+    const newKeywords = parseKeywords(response.keywords);
+    const newMode = response.mode || BLOCKING_MODE_BLOCKLIST;
+    const newAllowed = list.allowedDomains;
     const newBlocking = response.isBlocking || false;
     const newLock = response.lockState || null;
+    const newReset = normalizeBudgetReset(response.budgetReset);
+    const newLinkGuard = response.linkGuard !== false;
+    const newFeedErasers = response.feedErasers || [];
+    const newPageKeywords = parseKeywords(response.pageKeywords);
+    const newSafeSearch = normalizeSafeSearch(response.safeSearch);
+    const newDohEndpoints = response.dohEndpoints || [];
 
     const changed = JSON.stringify(newDomains) !== JSON.stringify(blockedDomains)
-        || newBlocking !== isBlocking;
+        || JSON.stringify(newExceptions) !== JSON.stringify(urlExceptions)
+        || JSON.stringify(newKeywords) !== JSON.stringify(blockedKeywords)
+        || newMode !== blockingMode
+        || JSON.stringify(newAllowed) !== JSON.stringify(allowedDomains)
+        || newBlocking !== isBlocking
+        || JSON.stringify(newReset) !== JSON.stringify(budgetReset)
+        || newLinkGuard !== linkGuardOn
+        || JSON.stringify(newFeedErasers) !== JSON.stringify(feedEraserEntries)
+        || JSON.stringify(newPageKeywords) !== JSON.stringify(pageKeywords)
+        || newSafeSearch !== safeSearch
+        || JSON.stringify(newDohEndpoints) !== JSON.stringify(dohEndpointEntries);
 
     blockedDomains = newDomains;
+    urlExceptions = newExceptions;
+    blockedKeywords = newKeywords;
+    blockingMode = newMode;
+    allowedDomains = newAllowed;
     isBlocking = newBlocking;
     currentLockState = newLock;
+    budgetReset = newReset;
+    linkGuardOn = newLinkGuard;
+    feedEraserEntries = newFeedErasers;
+    pageKeywords = newPageKeywords;
+    safeSearch = newSafeSearch;
+    dohEndpointEntries = newDohEndpoints;
 
     await browser.storage.local.set({
         [STORAGE_KEY]: blockedDomains,
+        [EXCEPTIONS_KEY]: urlExceptions,
+        [KEYWORDS_KEY]: blockedKeywords,
+        [MODE_KEY]: blockingMode,
+        [ALLOWED_DOMAINS_KEY]: allowedDomains,
         isBlocking,
         lockState: currentLockState,
+        [BUDGET_RESET_KEY]: budgetReset,
+        [LINK_GUARD_ON_KEY]: linkGuardOn,
+        [FEED_ERASERS_KEY]: feedEraserEntries,
+        [PAGE_KEYWORDS_LIST_KEY]: pageKeywords,
+        [SAFE_SEARCH_KEY]: safeSearch,
+        [DOH_ENDPOINTS_KEY]: dohEndpointEntries,
     });
 
-    if (changed) await applyBlockingRules();
+    // Other browsers' budget usage comes along with the list
+    if (response.budgetUsage) await mergeBudgetUsage(response.budgetUsage);
+
+    // A failed update is retried on the next poll
+    if (changed || !rulesInSync || isScheduleChangeDue()) await applyBlockingRules();
 }
 
 // ─── Heartbeat ───────────────────────────────────────────────────────
@@ -67,50 +195,133 @@ async function sendHeartbeat() {
 // ─── declarativeNetRequest rules ────────────────────────────────────
 
 async function applyBlockingRules() {
-    const existing = await browser.declarativeNetRequest.getDynamicRules();
-    const removeIds = existing.map((r) => r.id);
-
-    if (!isBlocking || blockedDomains.length === 0) {
-        if (removeIds.length > 0) {
-            await browser.declarativeNetRequest.updateDynamicRules({ removeRuleIds: removeIds });
-        }
+    const allowlist = isAllowlistMode(blockingMode);
+    // A session with nothing to block can still erase feeds, check pages
+    // and force SafeSearch
+    const erasers = parseFeedErasers(feedEraserEntries).erasers;
+    publishFeedEraser(isBlocking && erasers.length > 0 ? erasers : null);
+    publishPageKeywords(isBlocking && pageKeywords.length > 0 ? pageKeywords : null);
+    if (!isBlocking || (!allowlist && blockedDomains.length === 0 && blockedKeywords.length === 0 && !safeSearch)) {
+        if (!(await installRules({ dynamic: [], session: [] }))) return;
+        appliedBudgetKeys = "";
+        scheduleCheck = null;
         updateBadge(false);
+        publishLinkGuard(null);
+        reportEntryProblems(entryRejections);
+        reportRuleBudget([], null);
         return;
     }
 
-    const rules = [];
-    let ruleId = 1;
-    for (const domain of blockedDomains) {
-        const blockedPath = browser.runtime.getURL("blocked.html");
+    const checked = await rejectUnsupportedRegexes(browser.declarativeNetRequest, compilePatterns());
+    reportEntryProblems([...entryRejections, ...checked.rejected]);
+
+    // Scheduled entries outside their windows are left out until they
+    // change, budgeted ones until their budget is used up, and intent
+    // entries while a pass is running
+    const now = Date.now();
+    const next = earliestTime(
+        nextPatternScheduleChange(checked.patterns, now),
+        nextPatternBudgetReset(checked.patterns, budgetReset, now),
+        nextIntentPassEnd(intentPasses, now)
+    );
+    const inForce = patternsInForce(checked.patterns, now);
+    const enforced = applyIntentPasses(
+        applyBudgets(inForce, budgetTracker.state(), budgetReset, now),
+        intentPasses,
+        now
+    );
+    const keywordMatchers = compileKeywordMatchers(blockedKeywords);
+    const patterns = settleRedirects(enforced, (url) => isUrlBlocked(enforced, keywordMatchers, url));
+
+    // Whatever doesn't fit the rule budgets is reported, not silently lost
+    const fitted = fitRuleBudget(
+        [
+            ...compilePatternRules(patterns, browser.runtime.getURL("")),
+            ...compileKeywordRules(blockedKeywords, browser.runtime.getURL("")),
+            ...compileSafeSearchRules(safeSearch),
+            // Safari has no webRequest to watch with, so DoH is only blocked
+            ...compileDohRules(parseDohEndpoints(dohEndpointEntries).endpoints),
+        ],
+        ruleLimits(browser.declarativeNetRequest)
+    );
+    if (!(await installRules(fitted))) return;
+    appliedBudgetKeys = exhaustedBudgetKeys(inForce, budgetTracker.state(), budgetReset, now);
+    reportRuleBudget(fitted.overflow, fitted.usage);
+    scheduleCheck = next === null ? null : { nextChangeAt: next, zone: timeZoneSignature(now) };
 
-        rules.push({
-            id: ruleId++,
-            priority: 1,
-            action: { type: "redirect", redirect: { extensionPath: "/blocked.html" } },
-            condition: { urlFilter: `*://${domain}/*`, resourceTypes: ["main_frame"] },
-        });
-        if (!domain.startsWith("www.")) {
-            rules.push({
-                id: ruleId++,
-                priority: 1,
-                action: { type: "redirect", redirect: { extensionPath: "/blocked.html" } },
-                condition: { urlFilter: `*://www.${domain}/*`, resourceTypes: ["main_frame"] },
-            });
-        }
-        rules.push({
-            id: ruleId++,
-            priority: 1,
-            action: { type: "redirect", redirect: { extensionPath: "/blocked.html" } },
-            condition: { urlFilter: `*://*.${domain}/*`, resourceTypes: ["main_frame"] },
-        });
+    updateBadge(true);
+    publishLinkGuard(linkGuardOn ? linkGuardSnapshot(patterns, keywordMatchers) : null);
+    // Tabs already open on what is blocked now get their grace
+    tabSweeper.sweep().catch(() => {});
+}
+
+// Installs `rules` ({ dynamic, session }) through shared/rule-sync.js.
+// On failure the previous rules stay in force and the app is told; returns
+// whether the new rules were installed.
+async function installRules(rules) {
+    try {
+        await syncRules(browser.declarativeNetRequest, rules);
+        rulesInSync = true;
+        reportRuleSync(null);
+        return true;
+    } catch (e) {
+        console.error("FocusDragon: rule update failed, keeping the previous set:", e);
+        rulesInSync = false;
+        reportRuleSync(String(e && e.message || e));
+        return false;
     }
+}
 
-    await browser.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: removeIds,
-        addRules: rules,
-    });
+// Tells the app when rule updates start or stop failing
+function reportRuleSync(errorMessage) {
+    if (errorMessage === lastSyncError) return;
+    lastSyncError = errorMessage;
+    sendNative({ type: "ruleSyncReport", browser: "safari", ok: errorMessage === null, error: errorMessage });
+}
 
-    updateBadge(true);
+// Tells the app which entries didn't fit Safari's rule limits.
+// Only sent when the overflow changes.
+function reportRuleBudget(overflow, usage) {
+    const sources = [...new Set(overflow.flatMap((entry) => entry.sources))];
+    const report = JSON.stringify(sources);
+    if (report === lastBudgetReport) return;
+    lastBudgetReport = report;
+    sendNative({ type: "ruleBudgetReport", browser: "safari", overflow: sources, usage });
+}
+
+// Tells the app which entries were rejected or look like homoglyphs.
+// Only sent when the report changes.
+function reportEntryProblems(rejected) {
+    const report = JSON.stringify({ rejected, flagged: entryFlags });
+    if (report === lastEntryReport) return;
+    lastEntryReport = report;
+    sendNative({ type: "entryReport", browser: "safari", rejected, flagged: entryFlags });
+}
+
+// Polling runs every few seconds, so a timezone change is seen right away
+function isScheduleChangeDue() {
+    if (!scheduleCheck) return false;
+    const now = Date.now();
+    return now >= scheduleCheck.nextChangeAt || timeZoneSignature(now) !== scheduleCheck.zone;
+}
+
+function compilePatterns() {
+    return [
+        ...(isAllowlistMode(blockingMode) ? buildAllowlistPatterns(allowedDomains) : []),
+        ...parseBlockEntries(blockedDomains),
+        ...parseExceptionEntries(urlExceptions),
+        ...parseContentExceptions(urlExceptions).patterns,
+    ];
+}
+
+// Patterns as enforced right now, for checks made outside
+// declarativeNetRequest
+function enforcedPatterns() {
+    const now = Date.now();
+    const inForce = patternsInForce(compilePatterns(), now);
+    const enforced = applyIntentPasses(applyBudgets(inForce, budgetTracker.state(), budgetReset, now), intentPasses, now);
+    const keywordMatchers = compileKeywordMatchers(blockedKeywords);
+    return settleRedirects(enforced, (url) => isUrlBlocked(enforced, keywordMatchers, url));
 }
 
 function updateBadge(active) {
@@ -120,6 +331,78 @@ function updateBadge(active) {
     } catch {}
 }
 
+// ─── Open tabs (see shared/tab-sweep.js) ─────────────────────────────
+
+// Where each open tab has to go under the rules in force
+function sweepDestinations() {
+    if (!isBlocking) return () => null;
+    const patterns = enforcedPatterns();
+    const keywordMatchers = compileKeywordMatchers(blockedKeywords);
+    const extensionUrl = browser.runtime.getURL("");
+    return (tabId, url) => sweepDestination(patterns, keywordMatchers, url, extensionUrl, continuedTabs.get(tabId));
+}
+
+// Single-page apps change pages without a request the rules would see.
+// Older Safari versions don't have the event.
+if (browser.webNavigation && browser.webNavigation.onHistoryStateUpdated) {
+    browser.webNavigation.onHistoryStateUpdated.addListener((details) => {
+        if (details.frameId === 0) tabSweeper.navigated(details.tabId, details.url);
+    });
+}
+
+browser.tabs.onRemoved.addListener((tabId) => tabSweeper.forget(tabId));
+
+// ─── Link guard (see shared/link-guard.js) ───────────────────────────
+
+// Hands link-marker.js what to mark, or null, and keeps its scripts
+// registered only while there is something to mark. Safari versions
+// without scripting.registerContentScripts() don't mark links.
+async function publishLinkGuard(snapshot) {
+    if (!browser.scripting || !browser.scripting.registerContentScripts) return;
+    await browser.storage.local.set({ [LINK_GUARD_KEY]: snapshot });
+    try {
+        await syncLinkGuardScripts(browser.scripting, !!snapshot, LINK_GUARD_PAGE_FILES);
+    } catch (e) {
+        console.warn("FocusDragon: could not update the link guard scripts:", e);
+    }
+}
+
+// ─── Feed eraser (see shared/feed-eraser.js) ─────────────────────────
+
+// Hands feed-hider.js the session's feed erasers, or null, and registers
+// it on their hosts only
+async function publishFeedEraser(erasers) {
+    if (!browser.scripting || !browser.scripting.registerContentScripts) return;
+    await browser.storage.local.set({ [FEED_ERASER_KEY]: erasers });
+    try {
+        await syncFeedEraserScripts(browser.scripting, erasers);
+    } catch (e) {
+        console.warn("FocusDragon: could not update the feed eraser scripts:", e);
+    }
+}
+
+// ─── Page keywords (see shared/page-keywords.js) ─────────────────────
+
+// Hands page-check.js the session's page keywords, or null, and registers
+// it only while there are any
+async function publishPageKeywords(keywords) {
+    if (!browser.scripting || !browser.scripting.registerContentScripts) return;
+    await browser.storage.local.set({ [PAGE_KEYWORDS_KEY]: keywords });
+    try {
+        await syncPageKeywordScripts(browser.scripting, keywords);
+    } catch (e) {
+        console.warn("FocusDragon: could not update the page keyword scripts:", e);
+    }
+}
+
+// page-check.js found `keyword` on the page at `url` in tab `tabId`
+async function blockPageKeyword(tabId, url, keyword) {
+    if (!isBlocking || !isPageKeywordBlocked(enforcedPatterns(), pageKeywords, url, keyword)) return;
+    try {
+        await browser.tabs.update(tabId, { url: pageKeywordBlockedUrl(keyword, url, browser.runtime.getURL("")) });
+    } catch {}
+}
+
 // ─── Tab Guardian (prevent disabling extension) ──────────────────────
 
 const GUARDED_PREFIXES = ["safari-extension://"];
@@ -137,29 +420,344 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
         }
     }
 
-    // Block direct IP navigation
-    const ipPattern = /^https?:\/\/(\d{1,3}\.){3}\d{1,3}(:\d+)?(\/|$)/;
-    if (ipPattern.test(changeInfo.url)) {
+    // declarativeNetRequest matches the URL as the browser wrote it, so
+    // catch other spellings of a blocked site (`reddit.com.`, credentials)
+    // and blocked sites behind a proxy, cache or archive (shared/url-wrappers.js)
+    const canonical = canonicalizeUrl(changeInfo.url);
+    if (canonical !== changeInfo.url || isWrapperUrl(canonical)) {
+        const patterns = enforcedPatterns();
+        const keywordMatchers = compileKeywordMatchers(blockedKeywords);
+        const blocked = canonical !== changeInfo.url && isUrlBlocked(patterns, keywordMatchers, canonical)
+            ? canonical
+            : findBlockedWrappedUrl(patterns, keywordMatchers, canonical);
+        if (blocked) {
+            try {
+                await browser.tabs.update(tabId, {
+                    url: blockedDestination(matchUrlPatterns(patterns, blocked), blocked, browser.runtime.getURL("")),
+                });
+            } catch {}
+            return;
+        }
+    }
+
+    // Allowlist mode already blocks every address that isn't allowed
+    if (isAllowlistMode(blockingMode)) return;
+
+    // Block direct IP navigation (IPv4 in any notation, IPv6)
+    if (isIpLiteralUrl(changeInfo.url)) {
         try {
             await browser.tabs.update(tabId, { url: browser.runtime.getURL("blocked.html") });
         } catch {}
     }
 });
 
+// ─── Channel exceptions ──────────────────────────────────────────────
+
+// YouTube watch pages are let through when a channel exception exists;
+// youtube-metadata.js reports the channel and we decide here.
+async function checkPageContent(tabId, url, channel) {
+    const channels = parseContentExceptions(urlExceptions).channels;
+    if (!isBlocking || channels.length === 0) return;
+
+    const keywordMatchers = compileKeywordMatchers(blockedKeywords);
+    const patterns = enforcedPatterns();
+    if (shouldBlockAfterContentCheck(patterns, keywordMatchers, channels, url, channel)) {
+        // A page someone continued to past the wait page stays open
+        const match = matchUrlPatterns(patterns.filter((pattern) => !pattern.deferred), url);
+        if (match && match.source === continuedTabs.get(tabId)) return;
+
+        try {
+            await browser.tabs.update(tabId, { url: blockedDestination(match, url, browser.runtime.getURL("")) });
+        } catch {}
+    }
+}
+
+// ─── Budgets (see shared/budgets.js) ──────────────────────────────────
+
+// Budgeted entries in force right now, before budgets are applied
+function meteringPatterns() {
+    return isBlocking ? patternsInForce(compilePatterns(), Date.now()) : [];
+}
+
+// The metered entry the user is looking at, with its tab, or null.
+// Safari has no idle API, so time counts whenever the page is in front.
+async function focusedMeteredTab(inForce) {
+    if (typeof browser.idle !== "undefined"
+        && (await browser.idle.queryState(BUDGET_IDLE_SECONDS)) !== "active") return null;
+
+    const [tab] = await browser.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab || !tab.url) return null;
+    const focusedWindow = await browser.windows.get(tab.windowId);
+    if (!focusedWindow.focused) return null;
+
+    const pattern = meteredPattern(inForce, tab.url);
+    return pattern ? { tab, pattern } : null;
+}
+
+// Credits the time spent on the page that was counting and starts counting
+// the one in front now. Runs on every tab and window change, and every
+// BUDGET_TICK_MS while a metered page is in front.
+async function updateBudgetClock() {
+    clearTimeout(budgetTimer);
+    budgetTimer = null;
+
+    const inForce = meteringPatterns();
+    const now = Date.now();
+    const front = await focusedMeteredTab(inForce);
+    await budgetTracker.setActive(front && front.pattern, inForce, budgetReset, now);
+    afterBudgetChange(inForce);
+    if (!front) return;
+
+    const remaining = budgetRemaining(front.pattern, budgetTracker.state(), budgetReset, now);
+    // The visit that uses up a visit budget still gets to finish
+    if (remaining.seconds === 0) {
+        const [blocked] = applyBudgets([front.pattern], budgetTracker.state(), budgetReset, now);
+        try {
+            await browser.tabs.update(front.tab.id, { url: blockedDestination(blocked, front.tab.url, browser.runtime.getURL("")) });
+        } catch {}
+        return;
+    }
+
+    const wait = remaining.seconds === null ? BUDGET_TICK_MS : Math.min(remaining.seconds * 1000, BUDGET_TICK_MS);
+    budgetTimer = setTimeout(updateBudgetClock, wait);
+}
+
+// A visit is a page load of a metered entry in a tab that wasn't already
+// on it
+async function countBudgetVisit(tabId, url) {
+    const inForce = meteringPatterns();
+    const pattern = meteredPattern(inForce, url);
+    const previous = budgetVisitTabs.get(tabId);
+    budgetVisitTabs.set(tabId, pattern ? pattern.source : null);
+    if (!pattern || previous === pattern.source) return;
+
+    await budgetTracker.addVisit(pattern, budgetReset, Date.now());
+    afterBudgetChange(inForce);
+}
+
+// Takes in the usage of every browser as kept by the app. Runs inside a
+// block list update, which applies the rules if a budget changed.
+async function mergeBudgetUsage(usage) {
+    const inForce = meteringPatterns();
+    await budgetTracker.mergeRemote(usage, "safari");
+    if (exhaustedBudgetKeys(inForce, budgetTracker.state(), budgetReset, Date.now()) !== appliedBudgetKeys) {
+        rulesInSync = false;
+    }
+}
+
+// Sends our usage to the app and queues a rule update when a budget ran
+// out or came back since the rules were last built
+function afterBudgetChange(inForce) {
+    reportBudgetUsage();
+    if (exhaustedBudgetKeys(inForce, budgetTracker.state(), budgetReset, Date.now()) === appliedBudgetKeys) return;
+    // Also makes the next poll apply them if a newer update takes this one's place
+    rulesInSync = false;
+    queueRuleUpdate(applyBlockingRules);
+}
+
+// The app keeps every browser's usage and passes it on to the others.
+// Only sent when our usage changes.
+function reportBudgetUsage() {
+    const usage = budgetTracker.state().own;
+    const report = JSON.stringify(usage);
+    if (report === lastBudgetUsageReport) return;
+    lastBudgetUsageReport = report;
+    sendNative({ type: "budgetUsage", browser: "safari", usage });
+}
+
+// What the on-page overlay (shared/budget-overlay.js) shows for `url`:
+// { entry, seconds, visits, resetsAt }, or null when it isn't metered
+async function budgetStatus(url) {
+    const pattern = url ? meteredPattern(meteringPatterns(), url) : null;
+    if (!pattern) return null;
+
+    const remaining = budgetRemaining(pattern, await budgetTracker.load(), budgetReset, Date.now());
+    return {
+        entry: pattern.source,
+        seconds: remaining.seconds,
+        visits: remaining.visits,
+        resetsAt: remaining.resetsAt,
+    };
+}
+
+browser.tabs.onActivated.addListener(() => updateBudgetClock());
+browser.windows.onFocusChanged.addListener(() => updateBudgetClock());
+if (typeof browser.idle !== "undefined") {
+    browser.idle.setDetectionInterval(BUDGET_IDLE_SECONDS);
+    browser.idle.onStateChanged.addListener(() => updateBudgetClock());
+}
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) countBudgetVisit(tabId, changeInfo.url);
+    if (tab.active && changeInfo.url) updateBudgetClock();
+});
+
+browser.tabs.onRemoved.addListener((tabId) => budgetVisitTabs.delete(tabId));
+
+// ─── Friction and intent (see shared/friction.js, shared/intent.js) ───
+
+// The entry that sent `url` to the wait or reason page, while it is still
+// enforced as `enforcement`; otherwise `open` says whether nothing blocks
+// `url` any more
+function softBlockState(url, enforcement) {
+    if (!url) return { open: false };
+    if (!isBlocking) return { open: true };
+    const patterns = enforcedPatterns();
+    const match = matchUrlPatterns(patterns, url);
+    if (match && match.action === PATTERN_ACTION_BLOCK && match.enforcement === enforcement) return { match };
+    return { open: !isUrlBlocked(patterns, compileKeywordMatchers(blockedKeywords), url) };
+}
+
+// Starts the wait page's countdown for `url` in tab `tabId`
+async function startFriction(tabId, url) {
+    const state = softBlockState(url, ENFORCEMENT_FRICTION);
+    if (!state.match) return state.open ? { open: true } : { blocked: true };
+    return beginFriction(browser.storage.local, state.match.source, url, tabId, Date.now());
+}
+
+// "Continue anyway": lets the tab's next page load through and reports it.
+// Returns { url } to go to, or null when the token isn't accepted.
+async function continueFriction(tabId, token) {
+    const passed = await redeemFrictionToken(browser.storage.local, token, tabId, Date.now());
+    if (!passed) return null;
+
+    try {
+        await openFrictionPass(browser.declarativeNetRequest, tabId, passed.url);
+    } catch (e) {
+        console.error("FocusDragon: failed to open a friction pass:", e);
+        return null;
+    }
+    clearTimeout(frictionPassTabs.get(tabId));
+    frictionPassTabs.set(tabId, setTimeout(() => closeFrictionPass(tabId), FRICTION_PASS_MS));
+    continuedTabs.set(tabId, passed.entry);
+
+    await queueHostReport(browser.storage.local, FRICTION_REPORTS_KEY, {
+        entry: passed.entry,
+        at: new Date().toISOString(),
+    });
+    reportInterruptions();
+    return { url: passed.url };
+}
+
+// What the reason page needs for `url`
+function startIntent(url) {
+    const state = softBlockState(url, ENFORCEMENT_INTENT);
+    if (!state.match) return state.open ? { open: true } : { blocked: true };
+    return { minLength: INTENT_MIN_REASON_LENGTH, minutes: intentPassMinutes(state.match) };
+}
+
+// What blocks `url`, for a blocked page that only knows the URL (pages
+// from grouped entries and keywords)
+function explainBlock(url) {
+    return explainBlockedUrl(enforcedPatterns(), compileKeywordMatchers(blockedKeywords), url);
+}
+
+// A reason for opening `url`: opens its entry for a while and journals the
+// reason. Returns { url } once the rules let it through, or { error }.
+async function grantIntent(url, reason) {
+    const state = softBlockState(url, ENFORCEMENT_INTENT);
+    if (!state.match) return state.open ? { url } : { error: "This site is blocked" };
+
+    const granted = await grantIntentPass(browser.storage.local, state.match, url, reason, Date.now());
+    if (granted.error) return granted;
+    await queueRuleUpdate(async () => {
+        intentPasses = await loadIntentPasses(browser.storage.local, Date.now());
+        await applyBlockingRules();
+    });
+    reportIntentJournal();
+    return { url };
+}
+
+function closeFrictionPass(tabId) {
+    clearTimeout(frictionPassTabs.get(tabId));
+    frictionPassTabs.delete(tabId);
+    closeFrictionPasses(browser.declarativeNetRequest, tabId).catch(() => {});
+}
+
+// Sends what the app hasn't seen yet of the queue under `key`, as `field`
+// of a `type` message; it waits in storage until the handler acks it as
+// written
+async function flushHostReports(key, type, field) {
+    const items = await takeHostReports(browser.storage.local, key);
+    if (items.length === 0) return;
+    const response = await sendNative({ type, browser: "safari", [field]: items });
+    if (!response || response.type !== "ack") await requeueHostReports(browser.storage.local, key, items);
+}
+
+// Continues past the wait page, which the app counts as interruptions
+function reportInterruptions() {
+    return flushHostReports(FRICTION_REPORTS_KEY, "interruptionReport", "events");
+}
+
+function reportIntentJournal() {
+    return flushHostReports(INTENT_REPORTS_KEY, "intentJournal", "entries");
+}
+
+// A pass is spent by the page load it was opened for; a tab back on our
+// own pages has left the page it continued to
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (!changeInfo.url) return;
+    if (frictionPassTabs.has(tabId)) closeFrictionPass(tabId);
+    if (changeInfo.url.startsWith(browser.runtime.getURL(""))) continuedTabs.delete(tabId);
+});
+
+browser.tabs.onRemoved.addListener((tabId) => {
+    if (frictionPassTabs.has(tabId)) closeFrictionPass(tabId);
+    continuedTabs.delete(tabId);
+});
+
 // ─── Internal message handler ────────────────────────────────────────
 
-browser.runtime.onMessage.addListener((message) => {
+browser.runtime.onMessage.addListener((message, sender) => {
     if (message.type === "getStatus") {
         return Promise.resolve({
             isBlocking,
             domains: blockedDomains,
+            keywords: blockedKeywords,
+            mode: blockingMode,
+            allowedDomains,
+            safeSearch: isBlocking ? safeSearch : null,
         });
     }
     if (message.type === "getLockInfo") {
         return browser.storage.local.get("lockState").then((r) => ({
-            lockState: r.lockState || currentLockState || null,
+            lockState: resolveLockState(r.lockState || currentLockState, Date.now()),
+            mode: blockingMode,
         }));
     }
+    if (message.type === "ipDetected") {
+        // Reported by content.js; the tab guardian can miss in-page loads
+        if (sender.tab && isBlocking && !isAllowlistMode(blockingMode)) {
+            browser.tabs.update(sender.tab.id, { url: browser.runtime.getURL("blocked.html") }).catch(() => {});
+        }
+        return Promise.resolve({ success: true });
+    }
+    if (message.type === "getBudgetStatus") {
+        return budgetStatus(sender.tab && sender.tab.url);
+    }
+    if (message.type === "beginFriction") {
+        return sender.tab ? startFriction(sender.tab.id, message.url) : undefined;
+    }
+    if (message.type === "continueFriction") {
+        return sender.tab ? continueFriction(sender.tab.id, message.token) : undefined;
+    }
+    if (message.type === "beginIntent") {
+        return Promise.resolve(startIntent(message.url));
+    }
+    if (message.type === "grantIntent") {
+        return grantIntent(message.url, message.reason);
+    }
+    if (message.type === "explainBlock") {
+        return Promise.resolve(explainBlock(message.url));
+    }
+    if (message.type === "pageKeywordFound") {
+        if (sender.tab && sender.frameId === 0) blockPageKeyword(sender.tab.id, sender.tab.url, message.keyword);
+        return undefined;
+    }
+    if (message.type === "pageMetadata") {
+        if (sender.tab) checkPageContent(sender.tab.id, message.url, message.channel);
+        return Promise.resolve({ success: true });
+    }
     if (message.type === "openApp") {
         sendNative({ type: "openApp" });
         return Promise.resolve({ success: true });
@@ -169,19 +767,28 @@ browser.runtime.onMessage.addListener((message) => {
 
 // ─── Init ────────────────────────────────────────────────────────────
 
-// Restore from storage immediately so rules survive service-worker restarts
-browser.storage.local.get([STORAGE_KEY, "isBlocking", "lockState"]).then((stored) => {
-    blockedDomains = stored[STORAGE_KEY] || [];
+// Restore from storage immediately so rules survive service-worker restarts.
+// Rule updates all go through queueRuleUpdate so they never overlap.
+async function restoreBlockList() {
+    const stored = await loadStoredBlockList();
+    blockingMode = stored[MODE_KEY] || BLOCKING_MODE_BLOCKLIST;
     isBlocking = stored.isBlocking || false;
-    currentLockState = stored.lockState || null;
-    applyBlockingRules();
-});
+    await budgetTracker.load();
+    intentPasses = await loadIntentPasses(browser.storage.local, Date.now());
+    await applyBlockingRules();
+    updateBudgetClock();
+}
+
+// Passes outlive a background restart, but the timers that close them don't
+closeFrictionPasses(browser.declarativeNetRequest).catch(() => {});
+
+// Then fetch immediately
+queueRuleUpdate(restoreBlockList)
+    .catch((e) => console.error("FocusDragon: restoring the block list failed:", e))
+    .then(() => queueRuleUpdate(fetchAndApplyBlockList));
 
 // Poll native app for updates every 3 seconds
-setInterval(fetchAndApplyBlockList, POLL_INTERVAL_MS);
+setInterval(() => queueRuleUpdate(fetchAndApplyBlockList), POLL_INTERVAL_MS);
 
 // Send heartbeat every 5 seconds so app knows extension is alive
 setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
-
-// Fetch immediately on startup
-fetchAndApplyBlockList();
@@ -27,6 +27,32 @@ function startCountdown(isoExpiry) {
   tick();
 }
 
+function showMode(mode) {
+  if (mode !== "allowlist") return;
+  document.querySelector("h1").textContent = "Not on the Allowlist";
+  document.getElementById("mode-info").style.display = "block";
+}
+
+// Scheduled and budgeted entries arrive with ?entry=…&reason=…&until=<ms>,
+// see blockedPagePath() in shared/url-patterns.js
+function showAvailability() {
+  const params = new URLSearchParams(location.search);
+  const until = Number(params.get("until"));
+  if (!until) return;
+
+  const when = new Date(until);
+  const day = when.toDateString() === new Date().toDateString()
+    ? "today"
+    : when.toLocaleDateString([], { weekday: "long" });
+  const time = when.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  const info = document.getElementById("schedule-info");
+  const entry = params.get("entry") || "This site";
+  info.textContent = params.get("reason") === "budget"
+    ? `Your budget for ${entry} is used up — it resets ${day} at ${time}`
+    : `${entry} is blocked on a schedule — available again ${day} at ${time}`;
+  info.style.display = "block";
+}
+
 function showLockInfo(lockState) {
   if (!lockState || !lockState.isLocked) {
     document.getElementById("unlock-btn").style.display = "inline-block";
@@ -58,7 +84,194 @@ function showLockInfo(lockState) {
   }
 }
 
+// What blocked the page: every block carries ?reason=… and, through
+// declarativeNetRequest too, the URL in the fragment (see pageRedirect()
+// in shared/url-patterns.js). Grouped entries and keywords leave out the
+// entry, so the background works it out from the URL. Pages blocked for
+// what they say name the keyword (see shared/page-keywords.js).
+const BLOCK_ORIGINS = {
+  list: "Your block list",
+  schedule: "A schedule",
+  budget: "A time or visit budget",
+  keyword: "A blocked keyword",
+  pageKeyword: "A blocked keyword on the page",
+  allowlist: "Allowlist mode",
+};
+
+function showDetails() {
+  const params = new URLSearchParams(location.search);
+  if (!BLOCK_ORIGINS[params.get("reason")]) return;
+
+  let url = null;
+  try {
+    url = new URL(location.hash.slice(1));
+  } catch {}
+  if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) return;
+
+  const describe = (entry, reason) => {
+    document.getElementById("details-host").textContent = url.hostname;
+    document.getElementById("details-entry").textContent = entry || "—";
+    document.getElementById("details-entry-label").textContent = reason === "keyword" || reason === "pageKeyword" ? "Keyword" : "Entry";
+    document.getElementById("details-origin").textContent = BLOCK_ORIGINS[reason] || BLOCK_ORIGINS.list;
+    document.getElementById("block-details").style.display = "grid";
+  };
+  describe(params.get("entry"), params.get("reason"));
+  if (!params.get("entry")) {
+    browser.runtime.sendMessage({ type: "explainBlock", url: url.href }).then((explained) => {
+      if (explained) describe(explained.entry, explained.reason);
+    }).catch(() => {});
+  }
+
+  const button = document.getElementById("retry-btn");
+  button.style.display = "inline-block";
+  button.addEventListener("click", () => location.replace(url.href));
+}
+
+// Friction entries arrive with ?entry=…&reason=friction and the page's
+// URL in the fragment: a countdown, then "Continue anyway", which lets that
+// one page load through (see shared/friction.js)
+function showFriction() {
+  const params = new URLSearchParams(location.search);
+  if (params.get("reason") !== "friction") return;
+
+  const url = location.hash.slice(1);
+  const entry = params.get("entry") || "this site";
+  const label = document.getElementById("friction-label");
+  const timerEl = document.getElementById("friction-timer");
+  const button = document.getElementById("continue-btn");
+  document.querySelector("h1").textContent = "Take a Moment";
+  document.querySelector("p").textContent = `Do you really want to open ${entry}?`;
+  document.getElementById("friction-info").style.display = "block";
+
+  browser.runtime.sendMessage({ type: "beginFriction", url }).then((response) => {
+    if (!response) return;
+    if (response.open) {
+      location.replace(url);
+      return;
+    }
+    if (response.blocked) {
+      document.querySelector("h1").textContent = "Site Blocked";
+      label.textContent = `You've continued to ${entry} as often as you can today — it stays blocked until tomorrow`;
+      return;
+    }
+
+    const readyAt = Date.now() + response.waitMs;
+    function tick() {
+      const remaining = readyAt - Date.now();
+      if (remaining > 0) {
+        label.textContent = "Wait a little before you continue";
+        timerEl.textContent = `${Math.ceil(remaining / 1000)}s`;
+        setTimeout(tick, 250);
+        return;
+      }
+      label.textContent = response.continuesLeft === 0
+        ? "This is the last time today; after this the site stays blocked"
+        : "Each time you continue today, the wait gets longer";
+      timerEl.style.display = "none";
+      button.style.display = "inline-block";
+    }
+    tick();
+
+    button.addEventListener("click", () => {
+      button.disabled = true;
+      browser.runtime.sendMessage({ type: "continueFriction", token: response.token }).then((passed) => {
+        if (!passed) {
+          location.reload();
+          return;
+        }
+        location.replace(passed.url);
+      }).catch(() => location.reload());
+    });
+  }).catch(() => {});
+}
+
+// Intent entries arrive with ?entry=…&reason=intent and the page's URL in
+// the fragment: a reason of at least `minLength` characters opens the site
+// for a while and goes into the journal (see shared/intent.js)
+function showIntent() {
+  const params = new URLSearchParams(location.search);
+  if (params.get("reason") !== "intent") return;
+
+  const url = location.hash.slice(1);
+  const entry = params.get("entry") || "this site";
+  const reasonEl = document.getElementById("intent-reason");
+  const hint = document.getElementById("intent-hint");
+  const button = document.getElementById("intent-btn");
+  document.querySelector("h1").textContent = "Be Intentional";
+  document.querySelector("p").textContent = `${entry} needs a reason`;
+
+  browser.runtime.sendMessage({ type: "beginIntent", url }).then((response) => {
+    if (!response) return;
+    if (response.open) {
+      location.replace(url);
+      return;
+    }
+    if (response.blocked) {
+      document.querySelector("h1").textContent = "Site Blocked";
+      return;
+    }
+
+    const describe = () => {
+      const missing = response.minLength - reasonEl.value.trim().length;
+      button.disabled = missing > 0;
+      hint.textContent = missing > 0
+        ? `${missing} more ${missing === 1 ? "character" : "characters"}`
+        : `Opens ${entry} for ${response.minutes} min`;
+    };
+    document.getElementById("intent-info").style.display = "block";
+    button.style.display = "inline-block";
+    reasonEl.addEventListener("input", describe);
+    reasonEl.focus();
+    describe();
+
+    button.addEventListener("click", () => {
+      button.disabled = true;
+      browser.runtime.sendMessage({ type: "grantIntent", url, reason: reasonEl.value }).then((granted) => {
+        if (!granted) {
+          describe();
+          return;
+        }
+        if (granted.error) {
+          hint.textContent = granted.error;
+          button.disabled = false;
+          return;
+        }
+        location.replace(granted.url);
+      }).catch(() => describe());
+    });
+  }).catch(() => {});
+}
+
+// The popup links here when an entry's redirectTo sent a tab somewhere
+// else: ?entry=…&reason=redirect&to=<url>
+function showRedirect() {
+  const params = new URLSearchParams(location.search);
+  if (params.get("reason") !== "redirect") return;
+
+  let to = null;
+  try {
+    to = new URL(params.get("to"));
+  } catch {}
+  const entry = params.get("entry") || "This site";
+  document.querySelector("p").textContent = to
+    ? `${entry} is blocked, so FocusDragon sent you to ${to.hostname} instead`
+    : `${entry} is blocked`;
+  if (!to || (to.protocol !== "http:" && to.protocol !== "https:")) return;
+
+  const button = document.getElementById("continue-btn");
+  button.textContent = `Back to ${to.hostname}`;
+  button.style.display = "inline-block";
+  button.addEventListener("click", () => location.replace(to.href));
+}
+
+showAvailability();
+showDetails();
+showFriction();
+showIntent();
+showRedirect();
+
 browser.runtime.sendMessage({ type: "getLockInfo" }).then((response) => {
+  showMode(response && response.mode);
   showLockInfo(response && response.lockState);
 }).catch(() => {});
 
@@ -2,8 +2,7 @@
 // Detects direct IP address navigation and notifies background
 
 (function () {
-    const ipPattern = /^https?:\/\/(\d{1,3}\.){3}\d{1,3}(:\d+)?(\/|$)/;
-    if (ipPattern.test(window.location.href)) {
+    if (isIpLiteralUrl(window.location.href)) {
         browser.runtime.sendMessage({ type: "ipDetected", url: window.location.href });
     }
 })();
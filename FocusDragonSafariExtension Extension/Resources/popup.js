@@ -1 +1,68 @@
-console.log("Hello World!", browser);
+// Popup script for FocusDragon Safari extension. The background keeps the
+// block list in memory, so the popup asks it with getStatus.
+
+async function updateUI() {
+    const status = await browser.runtime.sendMessage({ type: "getStatus" });
+    const domains = status.domains || [];
+    const keywords = status.keywords || [];
+    const allowedDomains = status.allowedDomains || [];
+    const safeSearch = status.safeSearch || null;
+
+    const statusIndicator = document.getElementById("status-indicator");
+    const statusText = document.getElementById("status-text");
+    const blockedList = document.getElementById("blocked-list");
+
+    showSafeSearch(safeSearch);
+
+    if (status.isBlocking && status.mode === "allowlist") {
+        statusIndicator.classList.add("active");
+        statusText.textContent = `Allowlist mode — ${allowedDomains.length} site(s) allowed`;
+
+        blockedList.innerHTML = allowedDomains.length > 0
+            ? allowedDomains
+                .map((raw) => parseUrlPattern(raw, PATTERN_ACTION_ALLOW))
+                .filter(Boolean)
+                .map((entry) => `<div class="blocked-item">✅ ${escapeHtml(describeBlockEntry(entry))}</div>`)
+                .join("")
+            : '<div class="blocked-item">Every site is blocked</div>';
+    } else if (status.isBlocking && (domains.length > 0 || keywords.length > 0)) {
+        statusIndicator.classList.add("active");
+        statusText.textContent = keywords.length > 0
+            ? `Blocking ${domains.length} site(s) and ${keywords.length} keyword(s)`
+            : `Blocking ${domains.length} site(s)`;
+
+        blockedList.innerHTML = parseBlockEntries(domains)
+            .map((entry) => `<div class="blocked-item">${escapeHtml(describeBlockEntry(entry))}</div>`)
+            .concat(keywords.map((keyword) => `<div class="blocked-item">🔎 ${escapeHtml(keyword)}</div>`))
+            .join("");
+    } else if (safeSearch) {
+        statusIndicator.classList.add("active");
+        statusText.textContent = "Enforcing SafeSearch";
+        blockedList.innerHTML = '<div class="blocked-item">No sites blocked</div>';
+    } else {
+        statusIndicator.classList.remove("active");
+        statusText.textContent = "No blocking active";
+        blockedList.innerHTML = '<div class="blocked-item">No sites blocked</div>';
+    }
+}
+
+// SafeSearch and YouTube Restricted Mode, while a session forces them
+function showSafeSearch(level) {
+    const info = document.getElementById("safe-search-info");
+    info.style.display = level ? "block" : "none";
+    if (!level) return;
+    document.getElementById("safe-search-text").textContent =
+        `SafeSearch and YouTube Restricted Mode (${level}) are on`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+document.getElementById("open-app").addEventListener("click", () => {
+    browser.runtime.sendMessage({ type: "openApp" });
+});
+
+updateUI().catch((e) => console.warn("FocusDragon: reading the status failed:", e));
@@ -0,0 +1,95 @@
+// FocusDragon - time and visit budget overlay (content script)
+//
+// On a site with a budget (see budgets.js) shows a small badge with the
+// time and visits left. The background does the counting and the blocking;
+// the badge counts down on its own between checks, which it repeats every
+// CHECK_INTERVAL_MS and whenever the tab comes back into view.
+
+(() => {
+  if (window.top !== window) return;
+
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  const CHECK_INTERVAL_MS = 30 * 1000;
+  const BADGE_STYLE = [
+    "all: initial",
+    "position: fixed",
+    "right: 16px",
+    "bottom: 16px",
+    "z-index: 2147483647",
+    "padding: 6px 10px",
+    "border-radius: 8px",
+    "background: rgba(20, 20, 30, 0.85)",
+    "color: #fff",
+    "font: 12px/1.4 -apple-system, BlinkMacSystemFont, sans-serif",
+    "pointer-events: none",
+  ].join("; ");
+
+  let status = null; // { entry, seconds, visits, resetsAt } from the background
+  let checkedAt = 0;
+  let badge = null;
+  let tickTimer = null;
+  let checkTimer = null;
+
+  function formatRemaining(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    if (hours > 0) return `${hours}h ${String(mins).padStart(2, "0")}m`;
+    return `${mins}:${String(secs).padStart(2, "0")}`;
+  }
+
+  // Time only runs down while the page is in front, as in the background
+  function describe() {
+    const parts = [];
+    if (status.seconds !== null) {
+      const counting = document.visibilityState === "visible" && document.hasFocus();
+      const elapsed = counting ? (Date.now() - checkedAt) / 1000 : 0;
+      parts.push(`${formatRemaining(status.seconds - elapsed)} left`);
+    }
+    if (status.visits !== null) {
+      parts.push(`${status.visits} ${status.visits === 1 ? "visit" : "visits"} left`);
+    }
+    return `${status.entry}: ${parts.join(", ")}`;
+  }
+
+  function render() {
+    if (!status) {
+      if (badge) badge.host.remove();
+      badge = null;
+      clearInterval(tickTimer);
+      clearInterval(checkTimer);
+      tickTimer = checkTimer = null;
+      return;
+    }
+
+    if (!badge) {
+      const host = document.createElement("div");
+      const label = document.createElement("div");
+      label.setAttribute("style", BADGE_STYLE);
+      host.attachShadow({ mode: "closed" }).appendChild(label);
+      document.documentElement.appendChild(host);
+      badge = { host, label };
+      tickTimer = setInterval(render, 1000);
+      checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+    }
+    badge.label.textContent = describe();
+  }
+
+  function check() {
+    api.runtime.sendMessage({ type: "getBudgetStatus" })
+      .then((response) => {
+        status = response || null;
+        checkedAt = Date.now();
+        render();
+      })
+      .catch(() => {});
+  }
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") check();
+  });
+  window.addEventListener("focus", check);
+  check();
+})();
@@ -0,0 +1,21 @@
+// FocusDragon - shared on-demand content scripts (Chromium, Safari)
+//
+// The link guard, feed eraser and page keyword check only run on pages
+// while a session needs them, so their content scripts are registered with
+// the MV3 `scripting` API instead of the manifest, and only where they have
+// something to do. Registrations outlive the service worker, so each
+// update compares against what is registered instead of keeping state.
+// Firefox registers its own with contentScripts.register().
+
+// Makes the content script `id` run `js` on `matches` at `runAt`, or
+// takes it away when `matches` is empty
+async function syncContentScript(scripting, { id, js, matches, runAt }) {
+  const [registered] = await scripting.getRegisteredContentScripts({ ids: [id] });
+  if (registered) {
+    if (JSON.stringify(registered.matches) === JSON.stringify(matches)
+        && JSON.stringify(registered.js) === JSON.stringify(js)) return;
+    await scripting.unregisterContentScripts({ ids: [id] });
+  }
+  if (matches.length === 0) return;
+  await scripting.registerContentScripts([{ id, js, matches, runAt }]);
+}
@@ -0,0 +1,166 @@
+// FocusDragon - shared feed eraser
+//
+// Some sites have to stay open during a session, just not their feeds. The
+// `feedErasers` list in the host's payload turns selector packs on, one
+// entry each, and feed-hider.js hides what they select while the session
+// runs:
+//   "youtube"                                   a pack from FEED_ERASER_PACKS
+//   { pack: "reddit", selectors: [".sidebar"] } a pack plus selectors of your own
+//   { domain: "news.example.com", selectors: ["#latest"] }
+//                                               your own selectors for any site
+//
+// Packs follow the sites' markup, so FEED_ERASER_PACKS is the table to
+// maintain when a site changes. A rule's `path` is a regex over the path;
+// without one it applies to every page of the pack's hosts (subdomains
+// included). The backgrounds publish the compiled list under
+// FEED_ERASER_KEY in storage.local, or null when no session is running,
+// and register feed-hider.js only on the hosts in it.
+// Load after entry-normalize.js.
+
+const FEED_ERASER_KEY = "feedEraser";
+const FEED_ERASER_SCRIPT_ID = "focusdragon-feed-eraser";
+const FEED_ERASER_FILES = ["shared/feed-eraser.js", "shared/feed-hider.js"];
+const FEED_ERASER_MAX_SELECTOR_LENGTH = 500;
+
+const FEED_ERASER_PACKS = {
+  youtube: {
+    hosts: ["youtube.com"],
+    rules: [
+      // Home feed
+      { path: "^/$", selectors: ["ytd-browse[page-subtype='home'] #contents", "ytm-browse ytm-rich-grid-renderer"] },
+      // Recommendations next to and after a video, and the end screen
+      {
+        path: "^/watch",
+        selectors: [
+          "#secondary #related",
+          "ytd-watch-next-secondary-results-renderer",
+          "ytm-item-section-renderer[section-identifier='related-items']",
+          ".html5-endscreen",
+          ".ytp-endscreen-content",
+          ".ytp-ce-element",
+        ],
+      },
+      // Shorts shelves wherever they turn up
+      { path: null, selectors: ["ytd-reel-shelf-renderer", "ytd-rich-shelf-renderer[is-shorts]"] },
+    ],
+  },
+  twitter: {
+    hosts: ["twitter.com", "x.com"],
+    rules: [
+      { path: "^/home", selectors: ["[data-testid='primaryColumn'] section[role='region']"] },
+      {
+        path: null,
+        selectors: [
+          "[data-testid='sidebarColumn'] section[role='region']",
+          "[data-testid='sidebarColumn'] aside[role='complementary']",
+        ],
+      },
+    ],
+  },
+  linkedin: {
+    hosts: ["linkedin.com"],
+    rules: [
+      { path: "^/feed", selectors: ["main .scaffold-finite-scroll", "#feed-news-module", ".feed-follows-module"] },
+    ],
+  },
+  reddit: {
+    hosts: ["reddit.com"],
+    rules: [
+      // The front page and the all/popular listings, not subreddits
+      {
+        path: "^/(?:(?:best|hot|new|top|rising)/?|r/(?:all|popular)(?:/.*)?)?$",
+        selectors: ["shreddit-feed", "#siteTable", ".ListingLayout-outerContainer"],
+      },
+    ],
+  },
+};
+
+// { selectors } or { error } for the raw `selectors` of an entry. Selectors
+// can't be checked without a page; one that is invalid there is skipped.
+function normalizeFeedEraserSelectors(raw) {
+  if (raw === undefined) return { selectors: [] };
+  if (!Array.isArray(raw)) return { error: "selectors must be a list" };
+  const selectors = [];
+  for (const selector of raw) {
+    if (typeof selector !== "string" || !selector.trim()) return { error: "empty selector" };
+    if (/[{}]/.test(selector)) return { error: "selectors can't contain { or }" };
+    if (selector.length > FEED_ERASER_MAX_SELECTOR_LENGTH) return { error: "selector is longer than 500 characters" };
+    if (!selectors.includes(selector.trim())) selectors.push(selector.trim());
+  }
+  return { selectors };
+}
+
+// { eraser } compiled for feed-hider.js, or { error }
+function compileFeedEraser(raw) {
+  const entry = typeof raw === "string" ? { pack: raw } : raw;
+  if (!entry || typeof entry !== "object") return { error: "unrecognised entry" };
+  const own = normalizeFeedEraserSelectors(entry.selectors);
+  if (own.error) return own;
+  const ownRule = own.selectors.length > 0 ? [{ path: null, selectors: own.selectors }] : [];
+
+  if (entry.pack !== undefined) {
+    const pack = Object.prototype.hasOwnProperty.call(FEED_ERASER_PACKS, entry.pack) && FEED_ERASER_PACKS[entry.pack];
+    if (!pack) return { error: `no feed eraser pack named "${entry.pack}"` };
+    return { eraser: { source: entry.pack, hosts: pack.hosts, rules: [...pack.rules, ...ownRule] } };
+  }
+
+  if (typeof entry.domain !== "string") return { error: "needs a pack or a domain" };
+  if (ownRule.length === 0) return { error: "needs selectors" };
+  const normalized = normalizeHost(entry.domain.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").replace(/\/.*$/, ""));
+  if (normalized.error) return normalized;
+  if (normalized.host.includes("*")) return { error: "wildcards aren't supported here" };
+  return { eraser: { source: normalized.host, hosts: [normalized.host], rules: ownRule } };
+}
+
+// Compiles the payload's `feedErasers`. Returns { erasers, rejected } with
+// rejected entries as { list, entry, reason }, for reportEntryProblems().
+function parseFeedErasers(rawEntries) {
+  const erasers = [];
+  const rejected = [];
+  for (const raw of Array.isArray(rawEntries) ? rawEntries : []) {
+    const compiled = compileFeedEraser(raw);
+    if (compiled.error) {
+      const entry = raw && typeof raw.pack === "string" ? raw.pack : describeRawEntry(raw);
+      rejected.push({ list: "feedErasers", entry, reason: compiled.error });
+      continue;
+    }
+    erasers.push(compiled.eraser);
+  }
+  return { erasers, rejected };
+}
+
+function isFeedEraserHost(eraser, hostname) {
+  return eraser.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// The selectors to hide on the page at `hostname` and `pathname`
+function feedEraserSelectors(erasers, hostname, pathname) {
+  const selectors = [];
+  for (const eraser of erasers) {
+    if (!isFeedEraserHost(eraser, hostname)) continue;
+    for (const rule of eraser.rules) {
+      if (rule.path !== null && !new RegExp(rule.path).test(pathname)) continue;
+      for (const selector of rule.selectors) {
+        if (!selectors.includes(selector)) selectors.push(selector);
+      }
+    }
+  }
+  return selectors;
+}
+
+// Match patterns for the pages feed-hider.js has to run on
+function feedEraserMatches(erasers) {
+  const hosts = [...new Set(erasers.flatMap((eraser) => eraser.hosts))].sort();
+  return hosts.flatMap((host) => [`*://${host}/*`, `*://*.${host}/*`]);
+}
+
+// Registers feed-hider.js on the hosts of `erasers` (see
+// content-scripts.js), or takes it away when there are none
+function syncFeedEraserScripts(scripting, erasers) {
+  return syncContentScript(scripting, {
+    id: FEED_ERASER_SCRIPT_ID,
+    js: FEED_ERASER_FILES,
+    matches: erasers ? feedEraserMatches(erasers) : [],
+    runAt: "document_start",
+  });
+}
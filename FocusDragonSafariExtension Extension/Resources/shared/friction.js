@@ -0,0 +1,190 @@
+// FocusDragon - shared friction interstitial
+//
+// A block entry with `enforcement: "friction"` doesn't block outright: its
+// pages go to the wait page (blocked.html?reason=friction, with the URL in
+// the fragment), which counts down before offering "Continue anyway". Each
+// continue makes the next wait that day longer (FRICTION_DELAYS_SECONDS);
+// once they are used up the entry is blocked until midnight.
+//
+// Continuing lets a single navigation through. The wait page gets a token
+// from beginFriction(); once the wait is over, redeemFrictionToken() takes
+// it, once and only from the same tab, and the caller opens a pass for that
+// tab's next page load. Under declarativeNetRequest a pass is a rule from
+// FRICTION_PASS_FIRST_ID up, which syncRules() leaves alone.
+//
+// Every continue is kept in storage until it has been sent to the native
+// host, which the app counts as an interruption attempt.
+// Load after url-patterns.js.
+
+const FRICTION_DELAYS_SECONDS = [5, 15, 60];
+
+const FRICTION_COUNTS_KEY = "frictionContinues"; // { day, counts: { entry: continues } }
+const FRICTION_TOKENS_KEY = "frictionTokens"; // token → { entry, url, tabId, readyAt, expiresAt }
+const FRICTION_REPORTS_KEY = "frictionReports"; // continues not yet sent to the host
+
+// A wait page left open longer than this starts over
+const FRICTION_TOKEN_TTL_MS = 10 * 60 * 1000;
+// A pass not used within this long is dropped
+const FRICTION_PASS_MS = 30 * 1000;
+
+const FRICTION_PASS_FIRST_ID = 900001;
+// Above every block list rule, content exceptions included
+const FRICTION_PASS_PRIORITY = (MAX_PATTERN_SPECIFICITY + 2) * 2 + 1;
+
+function frictionToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Start of the local day containing `now`
+function frictionDay(now) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+// Today's continues and the tokens that haven't expired
+async function loadFrictionState(storage, now) {
+  const stored = await storage.get([FRICTION_COUNTS_KEY, FRICTION_TOKENS_KEY]);
+  const day = frictionDay(now);
+  const continues = stored[FRICTION_COUNTS_KEY] && stored[FRICTION_COUNTS_KEY].day === day
+    ? stored[FRICTION_COUNTS_KEY]
+    : { day, counts: {} };
+
+  const tokens = {};
+  for (const [token, pending] of Object.entries(stored[FRICTION_TOKENS_KEY] || {})) {
+    if (pending.expiresAt > now) tokens[token] = pending;
+  }
+  return { continues, tokens };
+}
+
+function saveFrictionState(storage, state) {
+  return storage.set({ [FRICTION_COUNTS_KEY]: state.continues, [FRICTION_TOKENS_KEY]: state.tokens });
+}
+
+// Starts the wait for `url` (matched by friction entry `entry`) in tab
+// `tabId`: { token, waitMs, continuesLeft }, or { blocked: true } once
+// today's continues are used up. Reloading the wait page keeps its place.
+async function beginFriction(storage, entry, url, tabId, now) {
+  const state = await loadFrictionState(storage, now);
+  const used = state.continues.counts[entry] || 0;
+  if (used >= FRICTION_DELAYS_SECONDS.length) return { blocked: true };
+
+  let token = Object.keys(state.tokens).find((candidate) => {
+    const pending = state.tokens[candidate];
+    return pending.entry === entry && pending.url === url && pending.tabId === tabId;
+  });
+  if (!token) {
+    token = frictionToken();
+    state.tokens[token] = {
+      entry,
+      url,
+      tabId,
+      readyAt: now + FRICTION_DELAYS_SECONDS[used] * 1000,
+      expiresAt: now + FRICTION_TOKEN_TTL_MS,
+    };
+    await saveFrictionState(storage, state);
+  }
+
+  return {
+    token,
+    waitMs: Math.max(0, state.tokens[token].readyAt - now),
+    continuesLeft: FRICTION_DELAYS_SECONDS.length - used - 1,
+  };
+}
+
+// The { entry, url } a token lets through, counted as a continue; null
+// when it is unknown, from another tab, early, or over today's limit
+async function redeemFrictionToken(storage, token, tabId, now) {
+  const state = await loadFrictionState(storage, now);
+  const pending = state.tokens[token];
+  if (!pending || pending.tabId !== tabId || pending.readyAt > now) return null;
+
+  delete state.tokens[token];
+  const used = state.continues.counts[pending.entry] || 0;
+  if (used >= FRICTION_DELAYS_SECONDS.length) {
+    await saveFrictionState(storage, state);
+    return null;
+  }
+  state.continues.counts[pending.entry] = used + 1;
+  await saveFrictionState(storage, state);
+  return { entry: pending.entry, url: pending.url };
+}
+
+// Where a page blocked outside declarativeNetRequest goes, relative to the
+// extension: the blocked page for `pattern` (a keyword when null) with the
+// URL in the fragment, as pageRedirect() sends it
+function blockedPageFor(pattern, url) {
+  const path = pattern ? blockedPagePath(pattern) : KEYWORD_BLOCKED_PAGE_PATH;
+  return url ? `${path}#${url}` : path;
+}
+
+// The full URL that page goes to: the entry's own destination when it has
+// one, otherwise blockedPageFor() under `extensionUrl` (runtime.getURL(""))
+function blockedDestination(pattern, url, extensionUrl) {
+  if (pattern && pattern.redirectTo) return pattern.redirectTo;
+  return `${extensionUrl.replace(/\/$/, "")}${blockedPageFor(pattern, url)}`;
+}
+
+// ─── Reports to the host ────────────────────────────────────────────
+
+// Items wait in storage under `key` until the native host has them
+async function queueHostReport(storage, key, item) {
+  const stored = await storage.get(key);
+  await storage.set({ [key]: [...(stored[key] || []), item] });
+}
+
+// The items not reported yet, cleared from storage; the caller puts them
+// back with requeueHostReports() if sending fails
+async function takeHostReports(storage, key) {
+  const stored = await storage.get(key);
+  const items = stored[key] || [];
+  if (items.length > 0) await storage.remove(key);
+  return items;
+}
+
+async function requeueHostReports(storage, key, items) {
+  const stored = await storage.get(key);
+  await storage.set({ [key]: [...items, ...(stored[key] || [])] });
+}
+
+// ─── Passes (declarativeNetRequest) ─────────────────────────────────
+
+// Session rules can be limited to one tab; without them the pass is a
+// dynamic rule for the whole site, open only as briefly.
+function frictionPassStore(dnr) {
+  return typeof dnr.updateSessionRules === "function"
+    ? { get: "getSessionRules", update: "updateSessionRules", perTab: true }
+    : { get: "getDynamicRules", update: "updateDynamicRules", perTab: false };
+}
+
+function isFrictionPassRule(rule) {
+  return rule.id >= FRICTION_PASS_FIRST_ID;
+}
+
+// Lets tab `tabId`'s next page load in `url`'s site through. Replaces any
+// pass the tab already had.
+async function openFrictionPass(dnr, tabId, url) {
+  const store = frictionPassStore(dnr);
+  const passes = (await dnr[store.get]()).filter(isFrictionPassRule);
+  let id = FRICTION_PASS_FIRST_ID;
+  while (passes.some((rule) => rule.id === id)) id += 1;
+
+  const condition = { requestDomains: [new URL(url).hostname], resourceTypes: MAIN_FRAME_RESOURCE_TYPES };
+  if (store.perTab) condition.tabIds = [tabId];
+  await dnr[store.update]({
+    removeRuleIds: passes
+      .filter((rule) => !store.perTab || rule.condition.tabIds.includes(tabId))
+      .map((rule) => rule.id),
+    addRules: [{ id, priority: FRICTION_PASS_PRIORITY, action: { type: "allow" }, condition }],
+  });
+}
+
+// Closes tab `tabId`'s pass, or every pass when no tab is given
+async function closeFrictionPasses(dnr, tabId) {
+  const store = frictionPassStore(dnr);
+  const ids = (await dnr[store.get]())
+    .filter(isFrictionPassRule)
+    .filter((rule) => tabId === undefined || !store.perTab || rule.condition.tabIds.includes(tabId))
+    .map((rule) => rule.id);
+  if (ids.length > 0) await dnr[store.update]({ removeRuleIds: ids });
+}
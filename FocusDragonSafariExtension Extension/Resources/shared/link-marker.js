@@ -0,0 +1,130 @@
+// FocusDragon - marks links to blocked sites (content script)
+//
+// Registered by the background only while the session's link guard is on
+// (see link-guard.js). On Google, Bing and DuckDuckGo result pages a result
+// that links to a blocked site is folded away behind a one-line note;
+// everywhere else such links are greyed out, labelled and don't follow.
+// Links added later (infinite scroll, single-page apps) are checked as they
+// appear, and the marks follow the snapshot in storage.
+
+(() => {
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  const MARK_ATTRIBUTE = "data-focusdragon-blocked";
+  const RESULT_ATTRIBUTE = "data-focusdragon-hidden";
+  const NOTE_ATTRIBUTE = "data-focusdragon-note";
+  const SCAN_DELAY_MS = 200;
+  const SEARCH_RESULTS = [
+    { host: /(?:^|\.)google\.(?:com?\.)?[a-z]{2,}$/, path: /^\/search$/, result: "div.MjjYud, div.g" },
+    { host: /(?:^|\.)bing\.com$/, path: /^\/search$/, result: "li.b_algo" },
+    { host: /(?:^|\.)duckduckgo\.com$/, path: /^\/(?:html\/?)?$/, result: "article[data-testid='result'], div.result" },
+  ];
+  const MARK_STYLE = `
+    a[${MARK_ATTRIBUTE}] { opacity: 0.45 !important; text-decoration: line-through !important; cursor: not-allowed !important; }
+    a[${MARK_ATTRIBUTE}]::after { content: " · blocked by FocusDragon"; font-size: 0.85em; text-decoration: none; }
+    [${RESULT_ATTRIBUTE}] { display: none !important; }
+    [${NOTE_ATTRIBUTE}] { margin: 4px 0 12px; color: #70757a; font: 12px/1.4 -apple-system, BlinkMacSystemFont, sans-serif; }
+  `;
+
+  const engine = SEARCH_RESULTS.find((site) => site.host.test(location.hostname) && site.path.test(location.pathname));
+  let rules = null; // reviveLinkGuard() of the stored snapshot
+  let style = null;
+  let observer = null;
+  let scanTimer = null;
+  let pending = [];
+
+  function isBlockedHref(link) {
+    if (!/^https?:$/.test(link.protocol)) return false;
+    return isLinkBlocked(rules, link.href);
+  }
+
+  function hideResult(result, link) {
+    result.setAttribute(RESULT_ATTRIBUTE, "");
+    const note = document.createElement("div");
+    note.setAttribute(NOTE_ATTRIBUTE, "");
+    note.textContent = `Result from ${link.hostname} hidden — blocked by FocusDragon`;
+    result.before(note);
+  }
+
+  function mark(link) {
+    const result = engine && link.closest(engine.result);
+    if (result) {
+      if (!result.hasAttribute(RESULT_ATTRIBUTE)) hideResult(result, link);
+      return;
+    }
+    link.setAttribute(MARK_ATTRIBUTE, "");
+  }
+
+  function scan(root) {
+    const links = root.matches && root.matches("a[href]") ? [root] : [...root.querySelectorAll("a[href]")];
+    for (const link of links) {
+      if (!link.hasAttribute(MARK_ATTRIBUTE) && isBlockedHref(link)) mark(link);
+    }
+  }
+
+  function scanPending() {
+    scanTimer = null;
+    const roots = pending;
+    pending = [];
+    for (const root of roots) {
+      if (root.isConnected) scan(root);
+    }
+  }
+
+  function queueScan(mutations) {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) pending.push(node);
+      }
+    }
+    if (pending.length > 0 && !scanTimer) scanTimer = setTimeout(scanPending, SCAN_DELAY_MS);
+  }
+
+  // Links can't be followed while marked; capture runs before the page's
+  // own handlers
+  function stopBlockedClick(event) {
+    const link = event.target instanceof Element && event.target.closest(`a[${MARK_ATTRIBUTE}]`);
+    if (!link) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  function clearMarks() {
+    for (const link of document.querySelectorAll(`a[${MARK_ATTRIBUTE}]`)) link.removeAttribute(MARK_ATTRIBUTE);
+    for (const result of document.querySelectorAll(`[${RESULT_ATTRIBUTE}]`)) result.removeAttribute(RESULT_ATTRIBUTE);
+    for (const note of document.querySelectorAll(`[${NOTE_ATTRIBUTE}]`)) note.remove();
+  }
+
+  function stop() {
+    rules = null;
+    if (observer) observer.disconnect();
+    observer = null;
+    clearTimeout(scanTimer);
+    scanTimer = null;
+    pending = [];
+    if (style) style.remove();
+    style = null;
+    document.removeEventListener("click", stopBlockedClick, true);
+    document.removeEventListener("auxclick", stopBlockedClick, true);
+    clearMarks();
+  }
+
+  function start(snapshot) {
+    stop();
+    if (!snapshot) return;
+    rules = reviveLinkGuard(snapshot);
+    style = document.createElement("style");
+    style.textContent = MARK_STYLE;
+    document.documentElement.appendChild(style);
+    document.addEventListener("click", stopBlockedClick, true);
+    document.addEventListener("auxclick", stopBlockedClick, true);
+    scan(document);
+    observer = new MutationObserver(queueScan);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  api.storage.local.get(LINK_GUARD_KEY).then((data) => start(data[LINK_GUARD_KEY] || null), () => {});
+  api.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[LINK_GUARD_KEY]) start(changes[LINK_GUARD_KEY].newValue || null);
+  });
+})();
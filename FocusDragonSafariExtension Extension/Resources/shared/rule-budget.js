@@ -0,0 +1,105 @@
+// FocusDragon - shared declarativeNetRequest rule budgets
+//
+// Chromium and Safari cap how many dynamic rules, regex rules and session
+// rules an extension may install, and Chromium caps "unsafe" rules (anything
+// but block/allow/upgradeScheme, so every redirect) more tightly still. A
+// rule set over any cap is rejected as a whole, which would leave nothing
+// blocked.
+//
+// fitRuleBudget() packs compiled rules into the dynamic budget first and
+// spills the rest into session rules. Blocking rules are placed before
+// allowing ones, so running out of room over-blocks rather than under-blocks.
+// Whatever still doesn't fit comes back as `overflow` for the caller to
+// report to the app. Placement never changes precedence: that comes from
+// rule priorities alone.
+//
+// Redirects that only use a regexFilter to hand the blocked page the URL
+// come with a `fallback` rule without it (see pageRedirect() in
+// url-patterns.js). They get the regex room the other rules leave over and
+// fall back once it runs out, so the URL never costs an entry.
+// Load after keywords.js.
+
+const DEFAULT_DYNAMIC_RULE_LIMIT = 5000;
+const DEFAULT_SESSION_RULE_LIMIT = 5000;
+const DEFAULT_REGEX_RULE_LIMIT = 1000;
+
+const SAFE_RULE_ACTIONS = ["block", "allow", "allowAllRequests", "upgradeScheme"];
+
+function limitOr(value, fallback) {
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Reads the budgets off the declarativeNetRequest namespace. Browsers that
+// only publish a combined dynamic-and-session limit get no session budget.
+function ruleLimits(dnr) {
+  const combined = dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES;
+  const dynamic = limitOr(dnr.MAX_NUMBER_OF_DYNAMIC_RULES, limitOr(combined, DEFAULT_DYNAMIC_RULE_LIMIT));
+  const hasSession = typeof dnr.updateSessionRules === "function" &&
+    (dnr.MAX_NUMBER_OF_DYNAMIC_RULES !== undefined || combined === undefined);
+  const session = hasSession ? limitOr(dnr.MAX_NUMBER_OF_SESSION_RULES, DEFAULT_SESSION_RULE_LIMIT) : 0;
+
+  return {
+    dynamic,
+    unsafeDynamic: limitOr(dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES, dynamic),
+    session,
+    unsafeSession: limitOr(dnr.MAX_NUMBER_OF_UNSAFE_SESSION_RULES, session),
+    // Counted across dynamic and session rules together, which is the
+    // stricter reading of the browsers' documentation.
+    regex: limitOr(dnr.MAX_NUMBER_OF_REGEX_RULES, DEFAULT_REGEX_RULE_LIMIT),
+  };
+}
+
+function isUnsafeRule(rule) {
+  return !SAFE_RULE_ACTIONS.includes(rule.action.type);
+}
+
+// Splits compiled { rule, sources, fallback } entries into { dynamic,
+// session, overflow, usage }. `dynamic` and `session` hold the rules to install,
+// without ids; `overflow` holds the entries that fit nowhere.
+function fitRuleBudget(compiled, limits) {
+  const ordered = [
+    ...compiled.filter((entry) => entry.rule.action.type !== "allow"),
+    ...compiled.filter((entry) => entry.rule.action.type === "allow"),
+  ];
+  const buckets = {
+    dynamic: { rules: [], unsafe: 0, total: limits.dynamic, unsafeTotal: limits.unsafeDynamic },
+    session: { rules: [], unsafe: 0, total: limits.session, unsafeTotal: limits.unsafeSession },
+  };
+  const overflow = [];
+  let regex = 0;
+  let spareRegex = limits.regex - ordered
+    .filter((entry) => entry.rule.condition.regexFilter && !entry.fallback)
+    .length;
+
+  const fits = (bucket, rule) =>
+    bucket.rules.length < bucket.total &&
+    (!isUnsafeRule(rule) || bucket.unsafe < bucket.unsafeTotal);
+
+  for (const entry of ordered) {
+    let { rule } = entry;
+    if (entry.fallback) {
+      if (spareRegex > 0) spareRegex -= 1;
+      else rule = entry.fallback;
+    }
+    const bucket = [buckets.dynamic, buckets.session].find((candidate) => fits(candidate, rule));
+    if (!bucket || (rule.condition.regexFilter && regex >= limits.regex)) {
+      overflow.push(entry);
+      continue;
+    }
+    bucket.rules.push(rule);
+    if (isUnsafeRule(rule)) bucket.unsafe += 1;
+    if (rule.condition.regexFilter) regex += 1;
+  }
+
+  return {
+    dynamic: buckets.dynamic.rules,
+    session: buckets.session.rules,
+    overflow,
+    usage: {
+      dynamic: buckets.dynamic.rules.length,
+      session: buckets.session.rules.length,
+      regex,
+      limits,
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// FocusDragon - shared declarativeNetRequest rule sync
+//
+// Installs a new rule set by changing only what differs from the installed
+// one. Rules are matched by a content key (everything but the id), so a
+// rule that is already installed keeps its id and is never taken out and
+// put back. Each store (dynamic, session) is updated in one call, which the
+// browser applies atomically; if a later store fails, the stores already
+// changed are put back to the rules they held before, so what is enforced
+// is always a complete rule set, old or new.
+//
+// Friction passes (see friction.js) share the stores but are installed and
+// removed on their own, so they are never part of the diff.
+//
+// lastRuleRedirect() reads back where a rule last sent a tab, so the
+// blocked page can explain a redirect to an entry's own destination.
+//
+// createUpdateQueue() runs block list updates one at a time, so two updates
+// arriving together can't interleave their reads and writes.
+// Load after rule-budget.js.
+
+const RULE_STORES = [
+  { name: "dynamic", get: "getDynamicRules", update: "updateDynamicRules", firstId: 1 },
+  // Ids kept apart from dynamic ones to tell them apart when debugging
+  { name: "session", get: "getSessionRules", update: "updateSessionRules", firstId: 500001 },
+];
+
+// JSON with object keys sorted, so the key doesn't depend on the order the
+// browser hands fields back in.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function ruleKey(rule) {
+  const { id, ...content } = rule;
+  return stableStringify(content);
+}
+
+// Works out the single update that turns `installed` into `wanted`. Wanted
+// rules come without ids; new ones get the lowest ids not in use.
+function diffRules(installed, wanted, firstId) {
+  const byKey = new Map();
+  for (const rule of installed) {
+    const key = ruleKey(rule);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(rule.id);
+  }
+
+  const keptIds = new Set();
+  const fresh = [];
+  for (const rule of wanted) {
+    const ids = byKey.get(ruleKey(rule));
+    if (ids && ids.length > 0) {
+      keptIds.add(ids.shift());
+    } else {
+      fresh.push(rule);
+    }
+  }
+
+  const usedIds = new Set(keptIds);
+  let nextId = firstId;
+  const addRules = fresh.map((rule) => {
+    while (usedIds.has(nextId)) nextId += 1;
+    usedIds.add(nextId);
+    return Object.assign({}, rule, { id: nextId });
+  });
+
+  return {
+    removeRuleIds: installed.map((rule) => rule.id).filter((id) => !keptIds.has(id)),
+    addRules,
+  };
+}
+
+async function applyRuleDiff(dnr, store, installed, wanted) {
+  const diff = diffRules(installed, wanted, store.firstId);
+  if (diff.removeRuleIds.length === 0 && diff.addRules.length === 0) return diff;
+  await dnr[store.update](diff);
+  return diff;
+}
+
+// Brings every store in line with `wanted` ({ dynamic, session }, rules
+// without ids). Stores the browser lacks are skipped. Throws the original
+// error after rolling back.
+async function syncRules(dnr, wanted) {
+  const changed = [];
+
+  try {
+    for (const store of RULE_STORES) {
+      if (typeof dnr[store.update] !== "function") continue;
+      const installed = (await dnr[store.get]()).filter((rule) => !isFrictionPassRule(rule));
+      await applyRuleDiff(dnr, store, installed, wanted[store.name] || []);
+      changed.push({ store, installed });
+    }
+  } catch (error) {
+    for (const { store, installed } of changed.reverse()) {
+      try {
+        const previous = installed.map(({ id, ...rule }) => rule);
+        const current = (await dnr[store.get]()).filter((rule) => !isFrictionPassRule(rule));
+        await applyRuleDiff(dnr, store, current, previous);
+      } catch (rollbackError) {
+        console.error(`FocusDragon: failed to restore ${store.name} rules:`, rollbackError);
+      }
+    }
+    throw error;
+  }
+}
+
+// The URL a `redirect.url` rule (an entry's `redirectTo`) last sent tab
+// `tabId` to, within the five minutes the browser remembers matches, or
+// null. Needs declarativeNetRequestFeedback.
+async function lastRuleRedirect(dnr, tabId) {
+  if (typeof dnr.getMatchedRules !== "function") return null;
+  const { rulesMatchedInfo } = await dnr.getMatchedRules({ tabId });
+
+  const targets = new Map();
+  for (const store of RULE_STORES) {
+    if (typeof dnr[store.get] !== "function") continue;
+    for (const rule of await dnr[store.get]()) {
+      if (rule.action.redirect && rule.action.redirect.url) {
+        targets.set(`_${store.name} ${rule.id}`, rule.action.redirect.url);
+      }
+    }
+  }
+
+  // Matches name their store as the ruleset "_dynamic" or "_session"
+  const key = (info) => `${info.rule.rulesetId} ${info.rule.ruleId}`;
+  const last = rulesMatchedInfo
+    .filter((info) => targets.has(key(info)))
+    .sort((a, b) => b.timeStamp - a.timeStamp)[0];
+  return last ? targets.get(key(last)) : null;
+}
+
+// Returns enqueue(task): tasks run one after another, and a task still
+// waiting when a newer one arrives is skipped, since only the newest block
+// list matters. Skipped tasks resolve to undefined.
+function createUpdateQueue() {
+  let tail = Promise.resolve();
+  let latest = 0;
+
+  return function enqueue(task) {
+    const ticket = ++latest;
+    const run = tail.then(() => (ticket === latest ? task() : undefined));
+    tail = run.catch(() => {});
+    return run;
+  };
+}
@@ -0,0 +1,139 @@
+// FocusDragon - shared weekly schedule windows
+//
+// A schedule is a list of windows { days, startMinutes, endMinutes } in
+// local time: `days` are Calendar weekdays (1 = Sunday, as in the app) and
+// the minutes count from midnight, with endMinutes < startMinutes for a
+// window that runs past midnight. Schedule locks use them (offline-lock.js),
+// and so can block entries:
+//   { domain: "twitter.com", schedule: [{ days: [2, 3, 4, 5, 6], startMinutes: 540, endMinutes: 1020 }] }
+// blocks twitter.com 09:00–17:00 on weekdays and leaves it open otherwise.
+//
+// Entries are switched on and off by recompiling the rules at each window
+// boundary. Boundaries are worked out on local calendar days, so they
+// follow daylight saving changes; callers also look again every
+// SCHEDULE_RECHECK_MS and whenever timeZoneSignature() changes, which
+// covers the computer moving to another timezone.
+// Load after url-normalize.js.
+
+const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+const MINUTES_PER_DAY = 24 * 60;
+const SCHEDULE_HORIZON_DAYS = 8; // a weekly schedule changes within a week, if ever
+const SCHEDULE_RECHECK_MS = 5 * 60 * 1000;
+
+function isScheduleMinute(value) {
+  return Number.isInteger(value) && value >= 0 && value < MINUTES_PER_DAY;
+}
+
+// Lenient: drops windows it can't read. Used for lock state from the app.
+function normalizeScheduleWindows(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .filter((window) => window && isScheduleMinute(window.startMinutes) && isScheduleMinute(window.endMinutes))
+    .map((window) => ({
+      days: Array.isArray(window.days)
+        ? window.days.filter((day) => ALL_WEEKDAYS.includes(day))
+        : ALL_WEEKDAYS,
+      startMinutes: window.startMinutes,
+      endMinutes: window.endMinutes,
+    }));
+}
+
+// Strict check for a block entry's `schedule`: the reason it is unusable,
+// or null.
+function scheduleWindowsError(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) return "schedule must list at least one window";
+
+  for (const window of raw) {
+    if (!window || typeof window !== "object") return "schedule window must be an object";
+    if (!isScheduleMinute(window.startMinutes) || !isScheduleMinute(window.endMinutes)) {
+      return "schedule times must be minutes between 0 and 1439";
+    }
+    if (window.startMinutes === window.endMinutes) return "schedule window is empty";
+    if (!Array.isArray(window.days) || window.days.length === 0
+        || !window.days.every((day) => ALL_WEEKDAYS.includes(day))) {
+      return "schedule days must be weekdays 1-7";
+    }
+  }
+  return null;
+}
+
+// Same test as ScheduleRule.isActiveNow() in the app: the weekday is the
+// current one, also for the part of an overnight window after midnight.
+function isInScheduleWindow(windows, now) {
+  const date = new Date(now);
+  const day = date.getDay() + 1;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return windows.some((window) => {
+    if (!window.days.includes(day)) return false;
+    if (window.endMinutes < window.startMinutes) {
+      return minutes >= window.startMinutes || minutes < window.endMinutes;
+    }
+    return minutes >= window.startMinutes && minutes < window.endMinutes;
+  });
+}
+
+// The next time after `now` at which isInScheduleWindow() changes, or null
+// when it never does. Only midnights and window edges can change it; each
+// is built from a local date, so a 09:00 edge stays at 09:00 across a
+// daylight saving change.
+function nextScheduleChange(windows, now) {
+  const today = new Date(now);
+  const inWindow = isInScheduleWindow(windows, now);
+  const edges = [];
+
+  for (let offset = 0; offset <= SCHEDULE_HORIZON_DAYS; offset += 1) {
+    const at = (minutes) =>
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset, 0, minutes).getTime();
+    edges.push(at(0));
+    for (const window of windows) edges.push(at(window.startMinutes), at(window.endMinutes));
+  }
+
+  const next = edges
+    .filter((edge) => edge > now)
+    .sort((a, b) => a - b)
+    .find((edge) => isInScheduleWindow(windows, edge) !== inWindow);
+  return next === undefined ? null : next;
+}
+
+// ─── Scheduled patterns ─────────────────────────────────────────────
+
+// The patterns to enforce at `now`: unscheduled ones, and scheduled ones
+// inside a window. The latter come back as copies with `availableAt`, the
+// time they lift, and `blockReason`, for the blocked page.
+function patternsInForce(patterns, now) {
+  const inForce = [];
+
+  for (const pattern of patterns) {
+    if (!pattern.schedule) {
+      inForce.push(pattern);
+    } else if (isInScheduleWindow(pattern.schedule, now)) {
+      inForce.push(Object.assign({}, pattern, {
+        availableAt: nextScheduleChange(pattern.schedule, now),
+        blockReason: "schedule",
+      }));
+    }
+  }
+
+  return inForce;
+}
+
+// When scheduled patterns next switch on or off, or null when none will
+function nextPatternScheduleChange(patterns, now) {
+  let next = null;
+
+  for (const pattern of patterns) {
+    if (!pattern.schedule) continue;
+    const change = nextScheduleChange(pattern.schedule, now);
+    if (change !== null && (next === null || change < next)) next = change;
+  }
+
+  return next;
+}
+
+// Changes when the computer's timezone (or its UTC offset) does
+function timeZoneSignature(now) {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone || "";
+  return `${zone}|${new Date(now).getTimezoneOffset()}`;
+}
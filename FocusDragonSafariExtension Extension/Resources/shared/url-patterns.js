@@ -0,0 +1,564 @@
+// FocusDragon - shared URL pattern language
+//
+// Loaded ahead of background.js by every extension (importScripts on
+// Chromium, the manifest script list on Firefox and Safari) so that block
+// entries and exceptions mean exactly the same thing in every browser.
+// Chromium and Safari compile patterns to declarativeNetRequest rules;
+// Firefox runs matchUrlPatterns() from its webRequest listener. The cases
+// in conformance/url-patterns.json must hold for both. Load after
+// url-normalize.js, schedule-windows.js and budgets.js.
+//
+// Grammar (block entries and exceptions share it):
+//   reddit.com               reddit.com and every subdomain, any path
+//   youtube.com/shorts       same hosts, path (+ query) starting with /shorts
+//   youtube.com/*/videos     `*` in a path matches any run of characters
+//   =m.youtube.com/shorts    that exact host only, no subdomains
+//   *.reddit.com             subdomains of reddit.com, not reddit.com itself
+//   *.casino                 every host under the .casino TLD
+//   reddit.*                 `*` in a host matches any run of host characters
+//   /^https?:\/\/[^/]*bet/   regular expression against the whole URL
+//                            (RE2 subset: no lookaround or backreferences)
+//   !pattern                 negation: a negated block entry allows, a
+//                            negated exception blocks
+//
+// Object entries from the native host are accepted too:
+//   { pattern: "youtube.com/shorts" }
+//   { domain: "m.youtube.com", path: "/shorts", scope: "host" }
+//   { domain: "youtube.com", blockEmbedded: true }
+//   { domain: "twitter.com", schedule: [...] }
+//   { domain: "youtube.com", budget: { minutes: 20 } }
+//   { domain: "news.ycombinator.com", enforcement: "friction" }
+//   { domain: "reddit.com", enforcement: "intent", passMinutes: 10 }
+//   { domain: "twitter.com", redirectTo: "https://board.example.com/" }
+// where scope "host" is the same as a leading "=". A block entry with
+// `blockEmbedded` also blocks the site inside frames on other pages and its
+// background requests (EMBEDDED_RESOURCE_TYPES), not just page loads.
+// Requests a site makes to itself are left alone, so pages allowed by an
+// exception keep working. Allowing patterns cover every resource type. An
+// entry with a `schedule` is only in force inside its windows (see
+// schedule-windows.js); callers filter with patternsInForce(). An entry
+// with a `budget` is only enforced once its budget is used up (see
+// budgets.js); callers filter with applyBudgets(). A block entry with
+// `enforcement: "friction"` sends the page to a wait page instead of the
+// blocked page (see friction.js); one with `enforcement: "intent"` asks
+// for a reason and lets the site through for `passMinutes` (see intent.js,
+// callers filter with applyIntentPasses()). A block entry with a
+// `redirectTo` URL sends its pages there instead of the blocked page;
+// callers run settleRedirects() over the enforced patterns so a destination
+// that is blocked itself falls back to the blocked page rather than loop.
+//
+// Matching is case-insensitive and ignores the #fragment. Paths match by
+// prefix against the path plus query string. matchUrlPatterns() sees the
+// canonical URL (canonicalizeUrl()), so `reddit.com.` or a decimal IP can't
+// slip past it.
+//
+// Precedence: when several patterns match a URL the most specific one
+// wins, blocks and exceptions alike. Specificity compares the host first
+// (more literal characters, then exact host over domain scope) and the
+// path second (more literal characters). Regular expressions are the least
+// specific. On a tie the allowing pattern wins. Content exceptions
+// (content-exceptions.js) rank above every pattern written here.
+
+const PATTERN_ACTION_BLOCK = "block";
+const PATTERN_ACTION_ALLOW = "allow";
+
+const ENFORCEMENT_HARD = "hard";
+const ENFORCEMENT_FRICTION = "friction";
+const ENFORCEMENT_INTENT = "intent";
+const ENFORCEMENT_MODES = [ENFORCEMENT_HARD, ENFORCEMENT_FRICTION, ENFORCEMENT_INTENT];
+
+// Highest specificity a host pattern can reach (253-char exact host, long path)
+const MAX_PATTERN_SPECIFICITY = (253 * 2 + 1) * 1000 + 999;
+
+const MAIN_FRAME_RESOURCE_TYPES = ["main_frame"];
+const EMBEDDED_RESOURCE_TYPES = ["sub_frame", "xmlhttprequest", "websocket", "media"];
+
+// Domains per requestDomains rule; keeps single rules a reasonable size
+const REQUEST_DOMAINS_PER_RULE = 1000;
+
+const BLOCKED_PAGE_PATH = "/blocked.html";
+const BLOCK_REASON_LIST = "list";
+const EMBED_PLACEHOLDER_PATH = "/embed-blocked.html";
+
+const SCHEME_REGEX = "^[a-z][a-z0-9+.-]*://";
+const HOST_CHARS_REGEX = "[^/?#]";
+const UNSUPPORTED_REGEX_SYNTAX = /\(\?[=!<]|\\[1-9]/;
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+// Escapes everything except `*`, which becomes `replacement`
+function wildcardToRegex(text, replacement) {
+  return text.split("*").map(escapeRegex).join(replacement);
+}
+
+function oppositeAction(action) {
+  return action === PATTERN_ACTION_BLOCK ? PATTERN_ACTION_ALLOW : PATTERN_ACTION_BLOCK;
+}
+
+function patternText(raw) {
+  if (typeof raw === "string") {
+    return {
+      text: raw,
+      exact: false,
+      embedded: false,
+      schedule: null,
+      budget: null,
+      enforcement: ENFORCEMENT_HARD,
+      passMinutes: null,
+      redirectTo: null,
+    };
+  }
+  if (!raw || typeof raw !== "object") return null;
+
+  const exact = raw.scope === "host";
+  const embedded = raw.blockEmbedded === true;
+  const windows = normalizeScheduleWindows(raw.schedule);
+  const schedule = windows.length > 0 ? windows : null;
+  const budget = raw.budget === undefined ? null : normalizeBudget(raw.budget);
+  const enforcement = ENFORCEMENT_MODES.includes(raw.enforcement) ? raw.enforcement : ENFORCEMENT_HARD;
+  const passMinutes = enforcement === ENFORCEMENT_INTENT && isPositiveInteger(raw.passMinutes)
+    ? raw.passMinutes
+    : null;
+  const redirectTo = enforcement === ENFORCEMENT_HARD ? redirectTarget(raw.redirectTo) : null;
+  if (typeof raw.pattern === "string") {
+    return { text: raw.pattern, exact, embedded, schedule, budget, enforcement, passMinutes, redirectTo };
+  }
+
+  const domain = raw.domain || "";
+  let path = raw.path || "";
+  if (path && !path.startsWith("/")) path = `/${path}`;
+  return { text: `${domain}${path}`, exact, embedded, schedule, budget, enforcement, passMinutes, redirectTo };
+}
+
+// The http(s) URL an entry's `redirectTo` names, normalised, or null
+function redirectTarget(raw) {
+  if (typeof raw !== "string") return null;
+  try {
+    const url = new URL(raw.trim());
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Strict check for a block entry's `redirectTo`: the reason it is
+// unusable, or null
+function redirectTargetError(raw) {
+  if (raw.enforcement !== undefined && raw.enforcement !== ENFORCEMENT_HARD) {
+    return "redirectTo only works with enforcement hard";
+  }
+  if (!redirectTarget(raw.redirectTo)) return "redirectTo must be an http or https URL";
+  return null;
+}
+
+// Returns a compiled pattern, or null when the input isn't a valid pattern.
+// `action` is what the pattern does when it isn't negated.
+function parseUrlPattern(raw, action) {
+  const parsed = patternText(raw);
+  if (!parsed) return null;
+
+  let text = parsed.text.trim();
+  let exact = parsed.exact;
+  let negated = false;
+
+  if (text.startsWith("!")) {
+    negated = true;
+    text = text.slice(1).trim();
+  }
+
+  const pattern = {
+    source: typeof raw === "string" ? raw.trim() : parsed.text.trim(),
+    action: negated ? oppositeAction(action) : action,
+    negated,
+    embedded: parsed.embedded,
+    schedule: parsed.schedule,
+    budget: parsed.budget,
+    enforcement: parsed.enforcement,
+    passMinutes: parsed.passMinutes,
+    redirectTo: negated ? null : parsed.redirectTo,
+  };
+
+  if (text.length > 2 && text.startsWith("/") && text.endsWith("/")) {
+    const body = text.slice(1, -1);
+    if (UNSUPPORTED_REGEX_SYNTAX.test(body)) return null;
+    try {
+      new RegExp(body, "i");
+    } catch {
+      return null;
+    }
+    return Object.assign(pattern, {
+      kind: "regex",
+      host: null,
+      path: "",
+      exact: false,
+      regexSource: body,
+      regex: new RegExp(body, "i"),
+      specificity: 0,
+    });
+  }
+
+  if (text.startsWith("=")) {
+    exact = true;
+    text = text.slice(1);
+  }
+
+  const slash = text.indexOf("/");
+  const host = (slash === -1 ? text : text.slice(0, slash)).toLowerCase();
+  let path = slash === -1 ? "" : text.slice(slash);
+  if (path === "/" || path === "/*") path = "";
+
+  if (!/^[a-z0-9*._-]+$/.test(host) || /^\*+$/.test(host)) return null;
+
+  let hostRegex;
+  let hostForm;
+  if (host.startsWith("*.") && !host.slice(2).includes("*")) {
+    hostForm = "subdomains";
+    hostRegex = `${HOST_CHARS_REGEX}+\\.${escapeRegex(host.slice(2))}`;
+  } else if (host.includes("*")) {
+    hostForm = "wildcard";
+    hostRegex = wildcardToRegex(host, `${HOST_CHARS_REGEX}*`);
+  } else {
+    hostForm = "literal";
+    hostRegex = escapeRegex(host);
+  }
+
+  if (!exact && hostForm !== "subdomains") {
+    hostRegex = `(?:${HOST_CHARS_REGEX}*\\.)?${hostRegex}`;
+  }
+
+  const tailRegex = path
+    ? wildcardToRegex(path, ".*")
+    : "(?::\\d+)?(?:[/?#]|$)";
+
+  const hostLiteral = host.replace(/\*/g, "").length;
+  const pathLiteral = path.replace(/\*/g, "").length;
+  const hostScore = Math.min(hostLiteral, 253) * 2 + (exact ? 1 : 0);
+  const regexSource = `${SCHEME_REGEX}${hostRegex}${tailRegex}`;
+
+  return Object.assign(pattern, {
+    kind: "host",
+    host,
+    hostForm,
+    path,
+    exact,
+    regexSource,
+    regex: new RegExp(regexSource, "i"),
+    specificity: hostScore * 1000 + Math.min(pathLiteral, 999),
+  });
+}
+
+function parseBlockEntries(rawEntries) {
+  return (rawEntries || [])
+    .map((raw) => parseUrlPattern(raw, PATTERN_ACTION_BLOCK))
+    .filter(Boolean);
+}
+
+// Exceptions arrive as { domain, allowedPaths } from the app, or as plain
+// pattern strings/objects. Content exceptions ({ type, value }) are left to
+// content-exceptions.js.
+function parseExceptionEntries(urlExceptions) {
+  const patterns = [];
+
+  for (const exception of urlExceptions || []) {
+    if (exception && typeof exception === "object" && exception.type) continue;
+    if (exception && typeof exception === "object" && Array.isArray(exception.allowedPaths)) {
+      for (const rawPath of exception.allowedPaths) {
+        patterns.push(parseUrlPattern({
+          domain: exception.domain,
+          path: rawPath,
+          scope: exception.scope,
+        }, PATTERN_ACTION_ALLOW));
+      }
+    } else {
+      patterns.push(parseUrlPattern(exception, PATTERN_ACTION_ALLOW));
+    }
+  }
+
+  return patterns.filter(Boolean);
+}
+
+// Human-readable form used by the popup and logs
+function describeBlockEntry(pattern) {
+  return pattern.source;
+}
+
+function stripFragment(url) {
+  const hash = url.indexOf("#");
+  return hash === -1 ? url : url.slice(0, hash);
+}
+
+function comparePatterns(a, b) {
+  if (a.specificity !== b.specificity) return a.specificity - b.specificity;
+  if (a.action === b.action) return 0;
+  return a.action === PATTERN_ACTION_ALLOW ? 1 : -1;
+}
+
+// Only literal hosts can be told apart from their own requests; the same
+// limit applies to excludedInitiatorDomains in DNR.
+function isOwnRequest(pattern, initiator) {
+  if (!initiator || pattern.kind !== "host" || pattern.hostForm !== "literal") return false;
+  const host = canonicalHostOf(initiator);
+  return host === pattern.host || (!pattern.exact && host.endsWith(`.${pattern.host}`));
+}
+
+function appliesToRequest(pattern, resourceType, initiator) {
+  if (!resourceType || resourceType === "main_frame") return true;
+  if (pattern.action === PATTERN_ACTION_ALLOW) return true;
+  return pattern.embedded === true && !isOwnRequest(pattern, initiator);
+}
+
+// The winning pattern for `url`, or null when none match. `resourceType`
+// defaults to a page load (main_frame); for other requests `initiator` is
+// the URL of the page that made them.
+function matchUrlPatterns(patterns, url, resourceType, initiator) {
+  const target = stripFragment(canonicalizeUrl(url));
+  let best = null;
+
+  for (const pattern of patterns) {
+    if (!appliesToRequest(pattern, resourceType, initiator)) continue;
+    if (!pattern.regex.test(target)) continue;
+    if (!best || comparePatterns(pattern, best) > 0) best = pattern;
+  }
+
+  return best;
+}
+
+function isUrlBlockedByPatterns(patterns, url, resourceType, initiator) {
+  const match = matchUrlPatterns(patterns, url, resourceType, initiator);
+  return !!match && match.action === PATTERN_ACTION_BLOCK;
+}
+
+// Drops the `redirectTo` of entries whose destination `isBlocked(url)`
+// would block too, so they get the blocked page instead of a redirect
+// loop. Run it over the patterns actually enforced, with the caller's
+// page-load decision (keywords and all).
+function settleRedirects(patterns, isBlocked) {
+  return patterns.map((pattern) => (pattern.redirectTo && isBlocked(pattern.redirectTo)
+    ? Object.assign({}, pattern, { redirectTo: null })
+    : pattern));
+}
+
+// ─── declarativeNetRequest (Chromium, Safari) ───────────────────────
+
+// Higher specificity → higher priority; allow beats block on a tie.
+function patternPriority(pattern) {
+  return pattern.specificity * 2 + (pattern.action === PATTERN_ACTION_ALLOW ? 1 : 0) + 1;
+}
+
+// Plain domain patterns use a urlFilter (`||` anchors at the domain and
+// its subdomains, `^` ends the hostname); everything else needs regexFilter.
+function patternCondition(pattern) {
+  const simple =
+    pattern.kind === "host" &&
+    pattern.hostForm === "literal" &&
+    !pattern.exact &&
+    !/[|^]/.test(pattern.path);
+
+  if (simple) {
+    return { urlFilter: `||${pattern.host}${pattern.path || "^"}` };
+  }
+  return { regexFilter: pattern.regexSource };
+}
+
+// Why `pattern` blocks: its enforcement for friction and intent entries,
+// "schedule" or "budget" for entries blocked by those (their `blockReason`),
+// "allowlist" for the allowlist catch-all, "list" for everything else
+function patternBlockReason(pattern) {
+  if (pattern.enforcement !== ENFORCEMENT_HARD) return pattern.enforcement;
+  return pattern.blockReason || BLOCK_REASON_LIST;
+}
+
+// The blocked page is told which entry it was and why; scheduled and
+// budgeted entries add when the block lifts, and the rule is rebuilt
+// whenever that changes anyway. Friction and intent entries (other than
+// used-up budgets) get the wait or reason page this way.
+function blockedPagePath(pattern) {
+  const query = [`entry=${encodeURIComponent(pattern.source)}`, `reason=${patternBlockReason(pattern)}`];
+  if (pattern.enforcement === ENFORCEMENT_HARD && pattern.availableAt) query.push(`until=${pattern.availableAt}`);
+  return `${BLOCKED_PAGE_PATH}?${query.join("&")}`;
+}
+
+// A redirect to `path` that carries the whole URL in the fragment.
+// regexSubstitution needs a full extension URL and a regex matching the
+// whole URL; `regexSource` may be null to match any URL.
+function urlCarryingRedirect(path, regexSource, extensionUrl) {
+  return {
+    redirect: { regexSubstitution: `${extensionUrl.replace(/\/$/, "")}${path}#\\0` },
+    condition: { regexFilter: regexSource === null ? "^.*" : `^.*?(?:${regexSource}).*` },
+  };
+}
+
+// Entries with a destination of their own go there. Every other page goes
+// to the blocked page with the URL in the fragment, so it can show what
+// was blocked and go back to it; the wait and reason pages can't do
+// without it. Plain entries don't need a regexFilter otherwise, so they
+// also get a `fallback` without the URL for when the regex rule budget
+// runs out (see rule-budget.js).
+function pageRedirect(pattern, extensionUrl) {
+  const plain = { redirect: { extensionPath: blockedPagePath(pattern) }, condition: patternCondition(pattern) };
+  if (pattern.redirectTo) {
+    return { redirect: { url: pattern.redirectTo }, condition: patternCondition(pattern) };
+  }
+  if (!extensionUrl) return plain;
+
+  const carrying = urlCarryingRedirect(blockedPagePath(pattern), pattern.regexSource, extensionUrl);
+  const needsUrl = pattern.enforcement !== ENFORCEMENT_HARD || plain.condition.regexFilter;
+  return needsUrl ? carrying : Object.assign(carrying, { fallback: plain });
+}
+
+function patternRule(pattern, action, resourceTypes, condition = patternCondition(pattern)) {
+  condition = Object.assign({}, condition, { resourceTypes });
+  if (!resourceTypes.includes("main_frame") && pattern.kind === "host" && pattern.hostForm === "literal") {
+    // Same-site requests stay allowed (see isOwnRequest)
+    condition.excludedInitiatorDomains = [pattern.host];
+  }
+  return { priority: patternPriority(pattern), action, condition };
+}
+
+// A blockEmbedded entry takes three rules: the page redirect, a
+// placeholder redirect for frames, and a plain block for background
+// requests and media. `extensionUrl` is runtime.getURL(""). Returns
+// { rule, fallback } entries, see pageRedirect().
+function patternRules(pattern, extensionUrl) {
+  if (pattern.action === PATTERN_ACTION_ALLOW) {
+    return [{
+      rule: {
+        priority: patternPriority(pattern),
+        action: { type: "allow" },
+        condition: Object.assign(patternCondition(pattern), {
+          resourceTypes: [...MAIN_FRAME_RESOURCE_TYPES, ...EMBEDDED_RESOURCE_TYPES],
+        }),
+      },
+    }];
+  }
+
+  const pageRule = (page) =>
+    patternRule(pattern, { type: "redirect", redirect: page.redirect }, MAIN_FRAME_RESOURCE_TYPES, page.condition);
+  const page = pageRedirect(pattern, extensionUrl);
+  const rules = [page.fallback ? { rule: pageRule(page), fallback: pageRule(page.fallback) } : { rule: pageRule(page) }];
+
+  if (pattern.embedded) {
+    rules.push({
+      rule: patternRule(pattern, {
+        type: "redirect",
+        redirect: { extensionPath: EMBED_PLACEHOLDER_PATH },
+      }, ["sub_frame"]),
+    });
+    rules.push({
+      rule: patternRule(pattern, { type: "block" },
+        EMBEDDED_RESOURCE_TYPES.filter((type) => type !== "sub_frame")),
+    });
+  }
+
+  return rules;
+}
+
+// Whole-domain block entries can share one requestDomains rule
+// (requestDomains covers subdomains, like `||host^`) with the other
+// entries going to the same place.
+function isGroupablePattern(pattern) {
+  return pattern.action === PATTERN_ACTION_BLOCK &&
+    pattern.kind === "host" &&
+    pattern.hostForm === "literal" &&
+    !pattern.exact &&
+    !pattern.path &&
+    !pattern.embedded &&
+    !pattern.schedule &&
+    !pattern.budget &&
+    pattern.enforcement === ENFORCEMENT_HARD;
+}
+
+// Compiles patterns to rules, each as { rule, sources } where `sources`
+// lists the entries the rule enforces, plus `fallback` for rules that have
+// one (see pageRedirect()). Rules come back without ids, in pattern order.
+// `extensionUrl` is runtime.getURL("").
+//
+// Whole-domain blocks are grouped into requestDomains rules, one set per
+// destination. A group may only hold blocks that no allow rule sits between
+// in priority, so every exception still outranks exactly the blocks it did
+// before; in practice thousands of domains collapse into a handful of rules.
+function compilePatternRules(patterns, extensionUrl) {
+  const allowPriorities = [...new Set(patterns
+    .filter((pattern) => pattern.action === PATTERN_ACTION_ALLOW)
+    .map(patternPriority))]
+    .sort((a, b) => a - b);
+  const band = (priority) => allowPriorities.filter((allow) => allow < priority).length;
+
+  const compiled = [];
+  const groups = new Map();
+  // Groups carry the URL too; which of their entries matched is left to
+  // the blocked page to ask (see explainBlockedUrl() in keywords.js)
+  const groupPath = `${BLOCKED_PAGE_PATH}?reason=${BLOCK_REASON_LIST}`;
+
+  for (const pattern of patterns) {
+    if (!isGroupablePattern(pattern)) {
+      for (const entry of patternRules(pattern, extensionUrl)) {
+        compiled.push(Object.assign(entry, { sources: [pattern.source] }));
+      }
+      continue;
+    }
+
+    const priority = patternPriority(pattern);
+    const key = `${band(priority)} ${pattern.redirectTo || ""}`;
+    let group = groups.get(key);
+    if (!group || group.rule.condition.requestDomains.length >= REQUEST_DOMAINS_PER_RULE) {
+      let page = { redirect: { extensionPath: groupPath }, condition: {} };
+      if (pattern.redirectTo) page = { redirect: { url: pattern.redirectTo }, condition: {} };
+      else if (extensionUrl) page = urlCarryingRedirect(groupPath, null, extensionUrl);
+      group = {
+        rule: {
+          priority,
+          action: { type: "redirect", redirect: page.redirect },
+          condition: Object.assign({ requestDomains: [] }, page.condition, { resourceTypes: MAIN_FRAME_RESOURCE_TYPES }),
+        },
+        sources: [],
+      };
+      groups.set(key, group);
+      compiled.push(group);
+    }
+
+    group.rule.priority = Math.max(group.rule.priority, priority);
+    if (!group.rule.condition.requestDomains.includes(pattern.host)) {
+      group.rule.condition.requestDomains.push(pattern.host);
+    }
+    group.sources.push(pattern.source);
+  }
+
+  for (const group of groups.values()) {
+    if (!group.rule.condition.regexFilter) continue;
+    const { regexFilter, ...condition } = group.rule.condition;
+    group.fallback = {
+      priority: group.rule.priority,
+      action: { type: "redirect", redirect: { extensionPath: groupPath } },
+      condition,
+    };
+  }
+
+  return compiled;
+}
+
+function buildPatternRules(patterns, extensionUrl) {
+  return compilePatternRules(patterns, extensionUrl).map((entry) => entry.rule);
+}
+
+// ─── webRequest match patterns (Firefox) ────────────────────────────
+
+// Match patterns only pre-select hosts for the listener; matchUrlPatterns()
+// makes the decision. Returns null when no match pattern can express the
+// host, in which case the listener has to see every URL.
+function patternMatchPatterns(pattern) {
+  if (pattern.kind !== "host") return null;
+
+  switch (pattern.hostForm) {
+    case "literal":
+      return pattern.exact
+        ? [`*://${pattern.host}/*`]
+        : [`*://${pattern.host}/*`, `*://*.${pattern.host}/*`];
+    case "subdomains":
+      return [`*://${pattern.host}/*`];
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,81 @@
+// FocusDragon - YouTube page metadata (content script)
+//
+// Reports which channel the current watch or shorts page belongs to, so the
+// background can apply youtubeChannel exceptions (see content-exceptions.js).
+// YouTube navigates without reloading the page, so this runs again on every
+// `yt-navigate-finish`.
+
+(() => {
+  const api = typeof browser !== "undefined" ? browser : chrome;
+
+  const OWNER_LINK_SELECTORS = [
+    "ytd-watch-metadata ytd-channel-name a",
+    "#owner ytd-channel-name a",
+    "ytd-reel-player-overlay-renderer ytd-channel-name a",
+    "ytm-slim-owner-renderer a",
+  ];
+  const POLL_INTERVAL_MS = 500;
+  const POLL_ATTEMPTS = 20;
+
+  let initialPage = true;
+  let pollTimer = null;
+
+  function isCheckedPage() {
+    return location.pathname === "/watch" || location.pathname.startsWith("/shorts/");
+  }
+
+  function channelFromLink(link) {
+    const href = link.getAttribute("href") || "";
+    const handle = href.match(/^\/(@[^/?#]+)/);
+    const id = href.match(/^\/channel\/(UC[\w-]+)/);
+    return {
+      id: id ? id[1] : null,
+      handle: handle ? decodeURIComponent(handle[1]) : null,
+      name: link.textContent.trim() || null,
+    };
+  }
+
+  function readChannel() {
+    for (const selector of OWNER_LINK_SELECTORS) {
+      const link = document.querySelector(selector);
+      if (link && link.getAttribute("href")) return channelFromLink(link);
+    }
+
+    // The microdata describes the page as first loaded, so it is stale
+    // after an in-app navigation.
+    if (initialPage) {
+      const meta = document.querySelector('meta[itemprop="channelId"]');
+      if (meta && meta.content) return { id: meta.content, handle: null, name: null };
+    }
+    return null;
+  }
+
+  function report(channel) {
+    api.runtime.sendMessage({
+      type: "pageMetadata",
+      url: location.href,
+      channel,
+    }).catch(() => {});
+  }
+
+  function check() {
+    clearInterval(pollTimer);
+    if (!isCheckedPage()) return;
+
+    let attempts = 0;
+    pollTimer = setInterval(() => {
+      attempts++;
+      const channel = readChannel();
+      if (channel || attempts >= POLL_ATTEMPTS) {
+        clearInterval(pollTimer);
+        report(channel);
+      }
+    }, POLL_INTERVAL_MS);
+  }
+
+  document.addEventListener("yt-navigate-finish", () => {
+    initialPage = false;
+    check();
+  });
+  check();
+})();
@@ -4,22 +4,35 @@
 //
 //  Created by Anay Goenka on 20/02/2026.
 //
+//  Safari can't talk to FocusDragonNativeHost, so this handler answers the
+//  extension's native messages in its place. The extension is sandboxed to
+//  the app group: it reads the copy of config.json the app keeps in the
+//  group container, and writes its heartbeat to the group's defaults and
+//  its reports to the container's extension-reports folder, in the same
+//  formats the native host uses, for ExtensionMonitor to read.
+//
 
+import AppKit
 import SafariServices
 import os.log
 
+/// The app's SharedConstants, which this target doesn't build
+private let appGroupIdentifier = "group.com.focusdragon.shared"
+private let heartbeatKey = "safariExtensionHeartbeat"
+private let appBundleIdentifier = "com.anaygoenka.FocusDragon"
+
+private let browserName = "safari"
+private let maxReportHistory = 100
+
 class SafariWebExtensionHandler: NSObject, NSExtensionRequestHandling {
 
+    private var containerURL: URL? {
+        FileManager.default.containerURL(forSecurityApplicationGroupIdentifier: appGroupIdentifier)
+    }
+
     func beginRequest(with context: NSExtensionContext) {
         let request = context.inputItems.first as? NSExtensionItem
 
-        let profile: UUID?
-        if #available(iOS 17.0, macOS 14.0, *) {
-            profile = request?.userInfo?[SFExtensionProfileKey] as? UUID
-        } else {
-            profile = request?.userInfo?["profile"] as? UUID
-        }
-
         let message: Any?
         if #available(iOS 15.0, macOS 11.0, *) {
             message = request?.userInfo?[SFExtensionMessageKey]
@@ -27,16 +40,198 @@ class SafariWebExtensionHandler: NSObject, NSExtensionRequestHandling {
             message = request?.userInfo?["message"]
         }
 
-        os_log(.default, "Received message from browser.runtime.sendNativeMessage: %@ (profile: %@)", String(describing: message), profile?.uuidString ?? "none")
+        let reply = handleMessage(message as? [String: Any] ?? [:])
 
         let response = NSExtensionItem()
         if #available(iOS 15.0, macOS 11.0, *) {
-            response.userInfo = [ SFExtensionMessageKey: [ "echo": message ] ]
+            response.userInfo = [ SFExtensionMessageKey: reply ]
         } else {
-            response.userInfo = [ "message": [ "echo": message ] ]
+            response.userInfo = [ "message": reply ]
         }
 
         context.completeRequest(returningItems: [ response ], completionHandler: nil)
     }
 
+    // MARK: - Message Handling
+
+    /// The reply to one message. Reports are answered with an `ack` once
+    /// written, so the extension keeps them queued when they weren't.
+    private func handleMessage(_ message: [String: Any]) -> [String: Any] {
+        guard let type = message["type"] as? String else {
+            return ["type": "error", "message": "Missing message type"]
+        }
+
+        switch type {
+        case "heartbeat":
+            UserDefaults(suiteName: appGroupIdentifier)?.set(Date().timeIntervalSince1970, forKey: heartbeatKey)
+            return ["type": "heartbeatAck", "status": "ok"]
+
+        case "getBlockedDomains":
+            var reply = blockListMessage()
+            // Only Safari's own usage: the other browsers' lives outside the sandbox
+            reply["budgetUsage"] = readJSON("budget-usage.json") ?? [:]
+            return reply
+
+        case "entryReport":
+            return acknowledge(recordReport(kind: "entries", payload: [
+                "rejected": message["rejected"] as? [[String: Any]] ?? [],
+                "flagged": message["flagged"] as? [[String: Any]] ?? []
+            ]))
+
+        case "ruleBudgetReport":
+            return acknowledge(recordReport(kind: "rules", payload: [
+                "overflow": message["overflow"] as? [String] ?? [],
+                "usage": message["usage"] as? [String: Any] ?? [:]
+            ]))
+
+        case "ruleSyncReport":
+            return acknowledge(recordReport(kind: "sync", payload: [
+                "ok": message["ok"] as? Bool ?? false,
+                "error": message["error"] as? String ?? ""
+            ]))
+
+        case "dohWarning":
+            return acknowledge(recordReport(kind: "doh", payload: [
+                "reason": message["reason"] as? String ?? "",
+                "host": message["host"] as? String ?? ""
+            ]))
+
+        case "tamperEvent":
+            return acknowledge(appendReportHistory(kind: "tamper", field: "events", items: [[
+                "kind": message["kind"] as? String ?? "",
+                "detail": message["detail"] as? [String: Any] ?? [:],
+                "at": message["at"] as? String ?? ""
+            ]]))
+
+        case "offlineReport":
+            return acknowledge(appendReportHistory(kind: "offline", field: "periods",
+                                                   items: message["periods"] as? [[String: Any]] ?? []))
+
+        case "interruptionReport":
+            return acknowledge(appendReportHistory(kind: "interruptions", field: "events",
+                                                   items: message["events"] as? [[String: Any]] ?? []))
+
+        case "intentJournal":
+            return acknowledge(appendReportHistory(kind: "journal", field: "entries",
+                                                   items: message["entries"] as? [[String: Any]] ?? []))
+
+        case "budgetUsage":
+            let usage = message["usage"] as? [String: Any] ?? [:]
+            return acknowledge(writeJSON([browserName: usage], to: "budget-usage.json"))
+
+        case "openApp":
+            if let appURL = NSWorkspace.shared.urlForApplication(withBundleIdentifier: appBundleIdentifier) {
+                NSWorkspace.shared.openApplication(at: appURL, configuration: NSWorkspace.OpenConfiguration())
+            }
+            return ["type": "openAppAck", "status": "ok"]
+
+        default:
+            return ["type": "error", "message": "Unknown message type: \(type)"]
+        }
+    }
+
+    private func acknowledge(_ written: Bool) -> [String: Any] {
+        written ? ["type": "ack"] : ["type": "error", "message": "Could not write to the app group container"]
+    }
+
+    // MARK: - Block List
+
+    /// The `updateBlockedDomains` message the native host builds from
+    /// config.json (see getBlockedDomains() there), built from the app's copy
+    private func blockListMessage() -> [String: Any] {
+        var message: [String: Any] = [
+            "type": "updateBlockedDomains",
+            "domains": [Any](),
+            "isBlocking": false,
+            "urlExceptions": [[String: Any]](),
+            "keywords": [String](),
+            "mode": "blocklist",
+            "allowedDomains": [String](),
+            "linkGuard": true,
+            "feedErasers": [Any](),
+            "pageKeywords": [String](),
+            "dohEndpoints": [String]()
+        ]
+        guard let json = readJSON("config.json") else { return message }
+
+        let blockedDomains = json["blockedDomains"] as? [String] ?? []
+        let blockEntries = json["blockEntries"] as? [[String: Any]] ?? []
+        message["domains"] = (blockedDomains as [Any]) + (blockEntries as [Any])
+        message["isBlocking"] = json["isBlocking"] as? Bool ?? false
+        message["urlExceptions"] = (json["urlExceptions"] as? [[String: Any]] ?? [])
+            + (json["contentExceptions"] as? [[String: Any]] ?? [])
+        message["keywords"] = json["blockedKeywords"] as? [String] ?? []
+        message["linkGuard"] = json["linkGuard"] as? Bool ?? true
+        message["feedErasers"] = json["feedErasers"] as? [Any] ?? []
+        message["pageKeywords"] = json["pageKeywords"] as? [String] ?? []
+        message["dohEndpoints"] = json["dohEndpoints"] as? [String] ?? []
+        if let budgetReset = json["budgetReset"] as? [String: Any] { message["budgetReset"] = budgetReset }
+        if let safeSearch = json["safeSearch"], !(safeSearch is NSNull) { message["safeSearch"] = safeSearch }
+        if let extensionGuard = json["extensionGuard"] as? [String: Any] { message["extensionGuard"] = extensionGuard }
+
+        // A Frozen limited-access lock turns browsing into an allowlist
+        if let frozen = json["frozenState"] as? [String: Any],
+           frozen["isActive"] as? Bool == true,
+           frozen["mode"] as? String == "limitedAccess",
+           !isExpired(frozen["expiresAt"] as? String),
+           let allowed = json["frozenAllowedDomains"] as? [String], !allowed.isEmpty {
+            message["mode"] = "allowlist"
+            message["allowedDomains"] = allowed
+            message["isBlocking"] = true
+        }
+
+        if let lockState = json["lockState"] as? [String: Any], lockState["isLocked"] as? Bool == true {
+            var lock: [String: Any] = ["isLocked": true, "lockType": lockState["lockType"] as? String ?? "unknown"]
+            if let expiry = json["timerLockExpiry"] as? String { lock["timerExpiry"] = expiry }
+            if let windows = lockState["scheduleWindows"] as? [[String: Any]], !windows.isEmpty {
+                lock["scheduleWindows"] = windows
+            }
+            message["lockState"] = lock
+        }
+
+        return message
+    }
+
+    private func isExpired(_ isoDate: String?) -> Bool {
+        guard let isoDate = isoDate, let date = ISO8601DateFormatter().date(from: isoDate) else { return false }
+        return Date() >= date
+    }
+
+    // MARK: - Reports
+
+    /// Writes `safari_<kind>.json` the way the native host's recordReport() does
+    private func recordReport(kind: String, payload: [String: Any]) -> Bool {
+        var report = payload
+        report["browser"] = browserName
+        report["timestamp"] = ISO8601DateFormatter().string(from: Date())
+        return writeJSON(report, to: "extension-reports/\(browserName)_\(kind).json")
+    }
+
+    /// Adds `items` to the history under `field`, keeping the latest `maxReportHistory`
+    private func appendReportHistory(kind: String, field: String, items: [[String: Any]]) -> Bool {
+        let existing = readJSON("extension-reports/\(browserName)_\(kind).json")?[field] as? [[String: Any]] ?? []
+        return recordReport(kind: kind, payload: [field: Array((existing + items).suffix(maxReportHistory))])
+    }
+
+    // MARK: - Container Files
+
+    private func readJSON(_ path: String) -> [String: Any]? {
+        guard let url = containerURL?.appendingPathComponent(path),
+              let data = try? Data(contentsOf: url) else { return nil }
+        return try? JSONSerialization.jsonObject(with: data) as? [String: Any]
+    }
+
+    private func writeJSON(_ json: [String: Any], to path: String) -> Bool {
+        guard let url = containerURL?.appendingPathComponent(path) else { return false }
+        do {
+            try FileManager.default.createDirectory(at: url.deletingLastPathComponent(),
+                                                    withIntermediateDirectories: true)
+            let data = try JSONSerialization.data(withJSONObject: json, options: .prettyPrinted)
+            try data.write(to: url, options: .atomic)
+            return true
+        } catch {
+            os_log(.error, "FocusDragon: could not write %@: %@", path, error.localizedDescription)
+            return false
+        }
+    }
 }
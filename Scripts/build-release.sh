@@ -15,6 +15,14 @@ echo ""
 echo "→ Cleaning..."
 xcodebuild clean -project "$PROJECT" -scheme "$SCHEME" -quiet
 
+# The shared extension engine has to pass its conformance corpora
+echo "→ Checking extension conformance..."
+node "$(dirname "$0")/run-conformance.js"
+
+# Safari bundles its own copy of the shared extension scripts
+echo "→ Syncing Safari extension scripts..."
+"$(dirname "$0")/sync-safari-shared.sh"
+
 # Build archive
 echo "→ Archiving..."
 xcodebuild archive \
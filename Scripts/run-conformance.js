@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Checks the shared extension engine against every corpus in
+// FocusDragonExtension-Shared/conformance/. The shared scripts are loaded
+// in the order Firefox's manifest lists them, into one context the way a
+// background page sees them. url-patterns.json is also checked against the
+// rules compilePatternRules() builds for Chromium and Safari, through a
+// small declarativeNetRequest matcher: the rules as the backgrounds install
+// them, with the URL-carrying redirects and grouped domains, and with the
+// fallbacks that replace the redirects when the regex rule budget runs out.
+//
+// Run it after changing anything in FocusDragonExtension-Shared/:
+//   npm test
+// Exits non-zero when a case fails.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const PROJECT_DIR = path.dirname(__dirname);
+const SHARED_DIR = path.join(PROJECT_DIR, "FocusDragonExtension-Shared");
+const CORPUS_DIR = path.join(SHARED_DIR, "conformance");
+const LOAD_ORDER_MANIFEST = path.join(PROJECT_DIR, "FocusDragonExtension-Firefox", "manifest.json");
+// What runtime.getURL("") returns, which the URL-carrying redirects start with
+const EXTENSION_URL = "chrome-extension://focusdragonconformance/";
+
+function loadSharedScripts() {
+  const context = vm.createContext({ URL, URLSearchParams, atob, console });
+  const manifest = JSON.parse(fs.readFileSync(LOAD_ORDER_MANIFEST, "utf8"));
+  for (const script of manifest.background.scripts) {
+    if (!script.startsWith("shared/")) continue;
+    const file = path.join(SHARED_DIR, path.basename(script));
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+  }
+  return context;
+}
+
+function readCorpus(name) {
+  return JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, name), "utf8"));
+}
+
+// ─── declarativeNetRequest ──────────────────────────────────────────
+
+// A DNR urlFilter as a RegExp: `||` anchors to the domain, `|` to the
+// start or end, `*` matches anything and `^` a separator
+function urlFilterToRegExp(filter) {
+  let source = "";
+  let i = 0;
+  if (filter.startsWith("||")) {
+    source += "^[a-z][a-z0-9+.-]*://(?:[^/?#]*\\.)?";
+    i = 2;
+  } else if (filter.startsWith("|")) {
+    source += "^";
+    i = 1;
+  }
+  for (; i < filter.length; i++) {
+    const char = filter[i];
+    if (char === "*") source += ".*";
+    else if (char === "^") source += "(?:[^a-zA-Z0-9_.%-]|$)";
+    else if (char === "|" && i === filter.length - 1) source += "$";
+    else source += char.replace(/[.+?^${}()|[\]\\/]/g, "\\$&");
+  }
+  return new RegExp(source, "i");
+}
+
+// A regexSubstitution applied to `url`, with \0-\9 as the regex groups
+function substitute(regex, substitution, url) {
+  const match = url.match(regex);
+  return substitution.replace(/\\(\d)/g, (_, group) => match[Number(group)] || "");
+}
+
+// Whether `rules` block `url`: the highest priority match wins, allow
+// winning ties. Throws when a URL-carrying redirect would lose the URL.
+function isBlockedByRules(rules, url) {
+  const target = url.split("#")[0];
+  let winner = null;
+  for (const rule of rules) {
+    const condition = rule.condition;
+    if (condition.requestDomains) {
+      const host = new URL(target).hostname.toLowerCase();
+      if (!condition.requestDomains.some((domain) => host === domain || host.endsWith(`.${domain}`))) continue;
+    }
+    const pattern = condition.regexFilter
+      ? new RegExp(condition.regexFilter, "i")
+      : condition.urlFilter ? urlFilterToRegExp(condition.urlFilter) : /^/;
+    if (!pattern.test(target)) continue;
+    if (!winner || rule.priority > winner.priority ||
+        (rule.priority === winner.priority && rule.action.type === "allow")) {
+      winner = rule;
+    }
+  }
+  const substitution = winner && winner.action.redirect && winner.action.redirect.regexSubstitution;
+  if (substitution) {
+    const redirected = substitute(new RegExp(winner.condition.regexFilter, "i"), substitution, target);
+    if (!redirected.startsWith(EXTENSION_URL) || !redirected.endsWith(`#${target}`)) {
+      throw new Error(`redirect to ${redirected} doesn't carry the URL`);
+    }
+  }
+  return !!winner && winner.action.type !== "allow";
+}
+
+// ─── Corpora ────────────────────────────────────────────────────────
+
+// Each check returns { total, failures } with failures as strings
+function checkMatching(shared, cases, isBlocked) {
+  const failures = [];
+  let total = 0;
+  for (const testCase of cases) {
+    const patterns = [...shared.parseBlockEntries(testCase.block), ...shared.parseExceptionEntries(testCase.allow)];
+    for (const [url, expected] of Object.entries(testCase.expect)) {
+      total++;
+      let got;
+      try {
+        got = isBlocked(patterns, url);
+      } catch (error) {
+        failures.push(`${testCase.name}: ${url} ${error.message}`);
+        continue;
+      }
+      if (got !== expected) failures.push(`${testCase.name}: ${url} expected ${expected}, got ${got}`);
+    }
+  }
+  return { total, failures };
+}
+
+function checkUrlPatterns(shared) {
+  const { cases } = readCorpus("url-patterns.json");
+  const firefox = checkMatching(shared, cases, (patterns, url) => shared.isUrlBlockedByPatterns(patterns, url));
+  const dnr = checkMatching(shared, cases, (patterns, url) => isBlockedByRules(
+    shared.compilePatternRules(patterns, EXTENSION_URL).map((entry) => entry.rule), url));
+  const fallback = checkMatching(shared, cases, (patterns, url) => isBlockedByRules(
+    shared.compilePatternRules(patterns, EXTENSION_URL).map((entry) => entry.fallback || entry.rule), url));
+  return {
+    total: firefox.total + dnr.total + fallback.total,
+    failures: [
+      ...firefox.failures.map((failure) => `matchUrlPatterns ${failure}`),
+      ...dnr.failures.map((failure) => `DNR ${failure}`),
+      ...fallback.failures.map((failure) => `DNR fallback ${failure}`),
+    ],
+  };
+}
+
+function checkUrlNormalize(shared) {
+  const corpus = readCorpus("url-normalize.json");
+  const failures = [];
+  for (const { url, canonical, ipLiteral } of corpus.canonical) {
+    const got = shared.canonicalizeUrl(url);
+    const gotIpLiteral = shared.isIpLiteralUrl(url);
+    if (got !== canonical || gotIpLiteral !== ipLiteral) {
+      failures.push(`${url}: expected ${canonical} (ip ${ipLiteral}), got ${got} (ip ${gotIpLiteral})`);
+    }
+  }
+  const matching = checkMatching(shared, corpus.matching,
+    (patterns, url) => shared.isUrlBlockedByPatterns(patterns, url));
+  return { total: corpus.canonical.length + matching.total, failures: [...failures, ...matching.failures] };
+}
+
+function checkUrlWrappers(shared) {
+  const corpus = readCorpus("url-wrappers.json");
+  const failures = [];
+  for (const { url, wrapped } of corpus.unwrap) {
+    const got = JSON.stringify(shared.wrappedUrls(url));
+    if (got !== JSON.stringify(wrapped)) failures.push(`${url}: expected ${JSON.stringify(wrapped)}, got ${got}`);
+  }
+  const matching = checkMatching(shared, corpus.matching,
+    (patterns, url) => shared.isUrlBlocked(patterns, [], url) || !!shared.findBlockedWrappedUrl(patterns, [], url));
+  return { total: corpus.unwrap.length + matching.total, failures: [...failures, ...matching.failures] };
+}
+
+function checkEntryNormalize(shared) {
+  const { cases } = readCorpus("entry-normalize.json");
+  const failures = [];
+  for (const { list, entry, normalized, flagged } of cases) {
+    const result = shared.normalizeBlockList({ [list]: [entry] });
+    const got = result[list].length > 0 ? result[list][0] : null;
+    const gotFlagged = result.flagged.length > 0 ? result.flagged[0].reason : undefined;
+    if (JSON.stringify(got) !== JSON.stringify(normalized) || gotFlagged !== flagged) {
+      failures.push(`${list} ${JSON.stringify(entry)}: expected ${JSON.stringify(normalized)} (${flagged}), ` +
+        `got ${JSON.stringify(got)} (${gotFlagged})`);
+    }
+  }
+  return { total: cases.length, failures };
+}
+
+const CHECKS = {
+  "url-patterns.json": checkUrlPatterns,
+  "url-normalize.json": checkUrlNormalize,
+  "url-wrappers.json": checkUrlWrappers,
+  "entry-normalize.json": checkEntryNormalize,
+};
+
+function main() {
+  const shared = loadSharedScripts();
+  let failed = 0;
+  for (const corpus of fs.readdirSync(CORPUS_DIR).filter((name) => name.endsWith(".json")).sort()) {
+    const check = CHECKS[corpus];
+    if (!check) {
+      console.log(`❌ ${corpus}: no check for this corpus`);
+      failed++;
+      continue;
+    }
+    const { total, failures } = check(shared);
+    for (const failure of failures) console.log(`   FAIL ${failure}`);
+    console.log(`${failures.length === 0 ? "✅" : "❌"} ${corpus}: ${total - failures.length}/${total} passed`);
+    failed += failures.length;
+  }
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,18 @@
+#!/bin/bash
+set -e
+
+# Copy the shared extension engine into the Safari extension's resources.
+# Safari bundles Resources/ through Xcode, so it can't reach files outside
+# that folder the way the Chromium and Firefox build.sh scripts can.
+# Run this after changing anything in FocusDragonExtension-Shared/.
+
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+PROJECT_DIR="$(dirname "$SCRIPT_DIR")"
+SHARED_DIR="$PROJECT_DIR/FocusDragonExtension-Shared"
+SAFARI_SHARED_DIR="$PROJECT_DIR/FocusDragonSafariExtension Extension/Resources/shared"
+
+rm -rf "$SAFARI_SHARED_DIR"
+mkdir -p "$SAFARI_SHARED_DIR"
+cp "$SHARED_DIR/"*.js "$SAFARI_SHARED_DIR/"
+
+echo "Synced shared extension scripts into Safari resources."